@@ -3,17 +3,34 @@
     try {
         // Import modules
         const { updateCharts, destroyCharts } = await import('./src/renderer/dashboard/charts.js'); // <-- Import updateCharts
-        const { setupTabs, updateSessionsTable } = await import('./src/renderer/dashboard/ui.js');
+        const { setupTabs, updateSessionsTable, updateSortIndicators } = await import('./src/renderer/dashboard/ui.js');
+        const { parseSearchQuery, isSearchActive, sessionMatchesSearch } = await import('./src/renderer/dashboard/search.js');
+        const { formatMinutesToHoursMinutes, escapeHtml, collectTags, formatDateYYYYMMDD } = await import('./src/renderer/dashboard/utils.js');
+        const { createEmptyFilter, isFilterActive, sessionMatchesFilter, renderFilterConditions, addFilterCondition } = await import('./src/renderer/dashboard/filters.js');
+        const { countImportRows, createProjectMap, renderColumnMapping, renderImportPreview, renderProjectMapping, isCalendarEventSelected, renderCalendarEvents, renderCalendarRules } = await import('./src/renderer/dashboard/import-wizard.js');
+        const { MAX_PROJECT_DEPTH, LEVEL_NAMES, getProjectPath, flattenProjectTree, rollUpSessions } = await import('./src/renderer/dashboard/project-tree.js');
+        const { renderTimesheetGrid } = await import('./src/renderer/dashboard/timesheet-grid.js');
 
         // --- Global Variables ---
         let allSessions = []; // Store all loaded sessions
         let currentChartFilter = '1y'; // Default CHART filter
         let currentChartRangeTitle = 'This Year'; // Default CHART title
+        let chartGrouping = { depth: MAX_PROJECT_DEPTH, rootId: null }; // Hierarchy level the charts group by, and the project drilled into
+        let pieDimension = 'project'; // What the pie chart slices by: 'project' or 'tag'
 
         // Session Table State
         const pageSize = 20;
         let currentPage = 1;
         let currentProjectFilter = 'All'; // Default project filter
+        let currentSearch = parseSearchQuery(''); // Parsed text of the session search box
+        let currentAdvancedFilter = createEmptyFilter(); // Conditions from the filter builder
+        let reloadSavedViews = async () => {}; // Set up by initFilterBuilder
+        let currentSort = { primary: { key: 'date', direction: 'desc' }, secondary: null }; // Loaded from settings on init
+        const selectedSessionIds = new Set(); // Rows ticked for bulk actions; kept across pages and filters
+
+        // Timesheet Grid State
+        let timesheetGridDate = formatDateYYYYMMDD(new Date()); // Any day in the week shown
+        const timesheetExtraProjects = new Set(); // Projects given a row to fill in, though they have no time yet
 
         // --- DOM Elements ---
         // Chart Filters
@@ -23,9 +40,23 @@
         const applyCustomDateButton = document.getElementById('apply-custom-date');
         // Session Table Controls
         const projectFilterSelect = document.getElementById('project-filter-select');
+        const sessionSearchInput = document.getElementById('session-search');
+        const searchSummarySpan = document.getElementById('search-summary');
         const prevPageBtn = document.getElementById('prev-page-btn');
         const nextPageBtn = document.getElementById('next-page-btn');
         const pageInfoSpan = document.getElementById('page-info');
+        // Bulk Actions
+        const selectPageCheckbox = document.getElementById('select-page-checkbox');
+        const bulkActionsBar = document.getElementById('bulk-actions-bar');
+        const bulkSelectionInfo = document.getElementById('bulk-selection-info');
+        const selectAllMatchingBtn = document.getElementById('select-all-matching-btn');
+        const bulkProjectSelect = document.getElementById('bulk-project-select');
+        const bulkShiftDaysInput = document.getElementById('bulk-shift-days');
+        const bulkNotesInput = document.getElementById('bulk-notes-text');
+        const bulkBillableSelect = document.getElementById('bulk-billable-select');
+        // Undo/Redo
+        const undoBtn = document.getElementById('undo-btn');
+        const redoBtn = document.getElementById('redo-btn');
 
 
         // --- Chart Date Filtering Logic ---
@@ -171,12 +202,109 @@
 
             // Update charts with the filtered data
             try {
-                await updateCharts(filteredSessionsForChart, allSessions, rangeTitle); // Pass filtered and all sessions
+                await renderCharts(filteredSessionsForChart, rangeTitle);
             } catch (error) {
                 console.error(`[Dashboard] Error updating charts for range ${range}:`, error);
             }
         }
 
+        // --- Chart Hierarchy (roll up / drill down) ---
+
+        /**
+         * Rolls sessions up to the current hierarchy level (within the drilled-into project, if any)
+         * and redraws the charts. Clicking a pie slice with sub-projects drills into it.
+         * @param {Array<Object>} filteredSessions - Sessions in the chart date range.
+         * @param {string} rangeTitle - Description of the date range.
+         */
+        async function renderCharts(filteredSessions, rangeTitle) {
+            let projects = [];
+            try {
+                projects = await window.api.loadProjects();
+            } catch (error) {
+                console.error('[Dashboard] Error loading projects for charts:', error);
+            }
+            if (chartGrouping.rootId && !projects.some(p => p.id === chartGrouping.rootId)) {
+                chartGrouping = { depth: chartGrouping.depth, rootId: null }; // Drilled-into project was deleted
+            }
+            updateChartGroupingControls(projects);
+
+            const groupedSessions = rollUpSessions(filteredSessions, projects, chartGrouping);
+            await updateCharts(groupedSessions, allSessions, rangeTitle, {
+                pieDimension,
+                onPieSliceClick: (projectName) => {
+                    const project = projects.find(p => p.name === projectName);
+                    if (!project || !projects.some(p => p.parentId === project.id)) return; // Nothing below it
+                    const depth = getProjectPath(project, new Map(projects.map(p => [p.id, p]))).length;
+                    chartGrouping = { depth: depth + 1, rootId: project.id };
+                    redrawCharts();
+                },
+            });
+        }
+
+        /** Redraws the charts for the current date range. */
+        async function redrawCharts() {
+            const { startDate, endDate } = currentChartFilter === 'custom'
+                ? getDatesForRange(currentChartFilter, dateFromInput.value, dateToInput.value)
+                : getDatesForRange(currentChartFilter);
+            await renderCharts(filterSessionsByDate(startDate, endDate), currentChartRangeTitle);
+        }
+
+        /**
+         * Shows the current grouping level and drilldown path next to the chart filters.
+         * @param {Array<Object>} projects - All projects.
+         */
+        function updateChartGroupingControls(projects) {
+            const levelSelect = document.getElementById('chart-group-level');
+            const upButton = document.getElementById('chart-up-level-btn');
+            const pathSpan = document.getElementById('chart-drilldown-path');
+            if (!levelSelect || !upButton || !pathSpan) return;
+
+            const root = chartGrouping.rootId ? projects.find(p => p.id === chartGrouping.rootId) : null;
+            const rootDepth = root ? getProjectPath(root, new Map(projects.map(p => [p.id, p]))).length : 0;
+            levelSelect.value = String(chartGrouping.depth);
+            [...levelSelect.options].forEach(option => {
+                option.disabled = Number(option.value) <= rootDepth; // Can't group above the drilled-into project
+            });
+            upButton.disabled = !root && chartGrouping.depth === 1;
+            pathSpan.textContent = root
+                ? getProjectPath(root, new Map(projects.map(p => [p.id, p]))).map(p => p.name).join(' › ')
+                : '';
+        }
+
+        function initChartGrouping() {
+            const levelSelect = document.getElementById('chart-group-level');
+            const upButton = document.getElementById('chart-up-level-btn');
+            if (!levelSelect || !upButton) {
+                console.error('Chart grouping controls not found');
+                return;
+            }
+
+            levelSelect.innerHTML = LEVEL_NAMES
+                .map((name, index) => `<option value="${index + 1}">${name}s</option>`)
+                .join('');
+            levelSelect.addEventListener('change', () => {
+                chartGrouping = { ...chartGrouping, depth: Number(levelSelect.value) };
+                redrawCharts();
+            });
+
+            document.getElementById('pie-dimension-select')?.addEventListener('change', (e) => {
+                pieDimension = e.target.value;
+                redrawCharts();
+            });
+
+            upButton.addEventListener('click', async () => {
+                if (chartGrouping.rootId) {
+                    // Step out of the drilled-into project, grouping by its level again
+                    const projects = await window.api.loadProjects();
+                    const root = projects.find(p => p.id === chartGrouping.rootId);
+                    chartGrouping = { depth: Math.max(1, chartGrouping.depth - 1), rootId: root?.parentId || null };
+                } else {
+                    chartGrouping = { ...chartGrouping, depth: Math.max(1, chartGrouping.depth - 1) };
+                }
+                redrawCharts();
+            });
+        }
+
         // --- Data Refresh ---
         async function refreshDashboardData() {
             console.log('[Dashboard] Refreshing dashboard data...');
@@ -185,6 +313,12 @@
                 allSessions = await window.api.loadSessions();
                 console.log('[Dashboard] Refreshed sessions data count:', allSessions.length);
 
+                // Forget selected rows that no longer exist (deleted, or undone additions)
+                const existingIds = new Set(allSessions.map(s => s.id));
+                [...selectedSessionIds].forEach(id => {
+                    if (!existingIds.has(id)) selectedSessionIds.delete(id);
+                });
+
                 // 2. Populate Project Filter Dropdown (only needs to happen once or when projects change significantly)
                 // We'll call this after the first load, and potentially after project edits if needed.
                 // For now, just call after first load.
@@ -204,7 +338,19 @@
                     ({ startDate: initialStartDate, endDate: initialEndDate } = getDatesForRange(currentChartFilter));
                 }
                 const initialFilteredSessionsForChart = filterSessionsByDate(initialStartDate, initialEndDate);
-                await updateCharts(initialFilteredSessionsForChart, allSessions, currentChartRangeTitle);
+                await renderCharts(initialFilteredSessionsForChart, currentChartRangeTitle);
+
+                // 5. Every refresh follows a possible change, so bring the Undo/Redo buttons up to date
+                await refreshHistoryButtons();
+
+                // 6. Sessions may have gained or lost a matching project
+                await refreshOrphanedProjects();
+
+                // 7. Progress towards hour goals
+                await refreshGoalProgress();
+
+                // 8. The timesheet grid totals the same sessions
+                await refreshTimesheetGrid();
 
             } catch (error) {
                 console.error('[Dashboard] Error refreshing dashboard data:', error);
@@ -236,9 +382,62 @@
             console.log('[Dashboard] Project filter populated.');
         }
 
+        /**
+         * Compares two sessions by one column.
+         * @param {Object} a - First session.
+         * @param {Object} b - Second session.
+         * @param {{key: string, direction: 'asc' | 'desc'}} sortKey - Column and direction.
+         * @returns {number} Negative, zero or positive, as for Array.prototype.sort.
+         */
+        function compareSessions(a, b, sortKey) {
+            let result;
+            switch (sortKey.key) {
+                case 'date': {
+                    const dateA = new Date(`${a.date || ''}T${a.start_time || ''}`).getTime();
+                    const dateB = new Date(`${b.date || ''}T${b.start_time || ''}`).getTime();
+                    // Handle potential NaN values robustly
+                    const valA = isNaN(dateA) ? -Infinity : dateA;
+                    const valB = isNaN(dateB) ? -Infinity : dateB;
+                    result = valA === valB ? 0 : (valA < valB ? -1 : 1);
+                    break;
+                }
+                case 'duration_minutes':
+                    result = (parseInt(a.duration_minutes, 10) || 0) - (parseInt(b.duration_minutes, 10) || 0);
+                    break;
+                default: // Text columns: project, notes, start_time, end_time
+                    result = String(a[sortKey.key] || '').localeCompare(String(b[sortKey.key] || ''), undefined, { sensitivity: 'base', numeric: true });
+            }
+            return sortKey.direction === 'desc' ? -result : result;
+        }
+
+        /**
+         * Sorts the sessions table by a column. Clicking the current column flips its direction;
+         * clicking another column makes it the primary sort and keeps the old one as the tie-breaker.
+         * The choice is saved so the dashboard reopens with the same sort.
+         * @param {string} key - The column's data-sort-key.
+         */
+        async function handleSortClick(key) {
+            if (currentSort.primary.key === key) {
+                currentSort.primary.direction = currentSort.primary.direction === 'asc' ? 'desc' : 'asc';
+            } else {
+                currentSort = {
+                    primary: { key, direction: key === 'date' || key === 'duration_minutes' ? 'desc' : 'asc' },
+                    secondary: currentSort.primary,
+                };
+            }
+            currentPage = 1;
+            updateSortIndicators(currentSort);
+            refreshSessionDisplay();
+            try {
+                await window.api.updateSettings({ sessionSort: currentSort });
+            } catch (error) {
+                console.error('[Dashboard] Error saving session sort:', error);
+            }
+        }
+
         /**
          * Calculates the sessions to display based on current filters and pagination.
-         * @returns {{ visibleSessions: Array<Object>, currentPage: number, totalPages: number }}
+         * @returns {{ visibleSessions: Array<Object>, matchingSessions: Array<Object>, currentPage: number, totalPages: number }}
          */
         function calculateVisibleSessions() {
             // 1. Filter by Project
@@ -247,17 +446,23 @@
                 filtered = allSessions.filter(session => (session.project || 'N/A') === currentProjectFilter);
             }
 
-            // 2. Sort by Date (most recent first - already done in ui.js, but good to ensure here too)
-            // Let's keep the sorting logic primarily in ui.js for consistency when editing,
-            // but we need the *full* sorted list here for pagination.
-             filtered.sort((a, b) => {
-                 const dateA = new Date(`${a.date || ''}T${a.start_time || ''}`).getTime();
-                 const dateB = new Date(`${b.date || ''}T${b.start_time || ''}`).getTime();
-                 // Handle potential NaN values robustly
-                 const valA = isNaN(dateA) ? -Infinity : dateA;
-                 const valB = isNaN(dateB) ? -Infinity : dateB;
-                 return valB - valA; // Descending order
-             });
+            // 1b. Filter by search text (notes and project names)
+            if (isSearchActive(currentSearch)) {
+                filtered = filtered.filter(session => sessionMatchesSearch(session, currentSearch));
+            }
+
+            // 1c. Apply the filter builder's conditions
+            if (isFilterActive(currentAdvancedFilter)) {
+                filtered = filtered.filter(session => sessionMatchesFilter(session, currentAdvancedFilter));
+            }
+
+            // 2. Sort the *full* filtered list before paginating, so the sort covers every matching session
+            // (copy first: with no filters, filtered is allSessions itself)
+            filtered = [...filtered].sort((a, b) =>
+                compareSessions(a, b, currentSort.primary) ||
+                (currentSort.secondary ? compareSessions(a, b, currentSort.secondary) : 0) ||
+                compareSessions(a, b, { key: 'date', direction: 'desc' }) // Most recent first for any remaining ties
+            );
 
 
             // 3. Paginate
@@ -277,20 +482,38 @@
             const endIndex = startIndex + pageSize;
             const visibleSessions = filtered.slice(startIndex, endIndex);
 
-            return { visibleSessions, currentPage, totalPages };
+            return { visibleSessions, matchingSessions: filtered, currentPage, totalPages };
         }
 
         /**
          * Updates the session table display, pagination controls, and info text.
          */
         function refreshSessionDisplay() {
-            const { visibleSessions, currentPage: adjustedCurrentPage, totalPages } = calculateVisibleSessions();
+            const { visibleSessions, matchingSessions, currentPage: adjustedCurrentPage, totalPages } = calculateVisibleSessions();
 
             // Update state (currentPage might have been adjusted)
             currentPage = adjustedCurrentPage;
 
             // Update the table in the UI
-            updateSessionsTable(visibleSessions, refreshDashboardData); // Pass only the visible sessions
+            updateSessionsTable(visibleSessions, refreshDashboardData, { // Pass only the visible sessions
+                selectedIds: selectedSessionIds,
+                onToggle: (id, checked) => {
+                    if (checked) selectedSessionIds.add(id);
+                    else selectedSessionIds.delete(id);
+                    updateBulkActionsBar(visibleSessions, matchingSessions);
+                },
+            }, currentSearch.include);
+            updateBulkActionsBar(visibleSessions, matchingSessions);
+
+            // Summarize search results
+            if (searchSummarySpan) {
+                if (isSearchActive(currentSearch)) {
+                    const totalMinutes = matchingSessions.reduce((sum, s) => sum + (parseInt(s.duration_minutes, 10) || 0), 0);
+                    searchSummarySpan.textContent = `${matchingSessions.length} match${matchingSessions.length === 1 ? '' : 'es'} · ${formatMinutesToHoursMinutes(totalMinutes)}`;
+                } else {
+                    searchSummarySpan.textContent = '';
+                }
+            }
 
             // Update pagination controls
             if (pageInfoSpan) {
@@ -306,6 +529,393 @@
         }
 
 
+        // --- Filter Builder & Saved Views ---
+        async function initFilterBuilder() {
+            const builder = document.getElementById('filter-builder');
+            const toggleBtn = document.getElementById('toggle-filter-builder-btn');
+            const combinatorSelect = document.getElementById('filter-combinator');
+            const conditionsList = document.getElementById('filter-conditions');
+            const viewsSelect = document.getElementById('saved-views-select');
+            const deleteViewBtn = document.getElementById('delete-view-btn');
+            const viewNameInput = document.getElementById('view-name-input');
+
+            if (!builder || !toggleBtn || !conditionsList || !viewsSelect) {
+                console.error('Filter builder elements not found');
+                return;
+            }
+
+            let filterChoices = { projectNames: [], tagNames: [] };
+            let savedViews = [];
+
+            function applyFilter() {
+                toggleBtn.textContent = isFilterActive(currentAdvancedFilter) ? 'Filters (on)' : 'Filters';
+                currentPage = 1;
+                refreshSessionDisplay();
+            }
+
+            function showFilter() {
+                combinatorSelect.value = currentAdvancedFilter.combinator;
+                renderFilterConditions(conditionsList, currentAdvancedFilter, filterChoices, applyFilter);
+                applyFilter();
+            }
+
+            async function refreshViews(selectedId = '') {
+                try {
+                    savedViews = await window.api.loadViews();
+                } catch (error) {
+                    console.error('Error loading saved views:', error);
+                    savedViews = [];
+                }
+                viewsSelect.innerHTML = '<option value="">-- Saved Views --</option>';
+                savedViews.forEach(view => {
+                    const option = document.createElement('option');
+                    option.value = view.id;
+                    option.textContent = view.name;
+                    viewsSelect.appendChild(option);
+                });
+                viewsSelect.value = selectedId;
+                deleteViewBtn.disabled = !selectedId;
+            }
+
+            toggleBtn.addEventListener('click', async () => {
+                builder.hidden = !builder.hidden;
+                toggleBtn.classList.toggle('active', !builder.hidden);
+                if (!builder.hidden) {
+                    // Pick up projects and tags added since the page loaded
+                    try {
+                        filterChoices = { projectNames: await window.api.getProjectNames(), tagNames: collectTags(allSessions) };
+                    } catch (error) {
+                        console.error('Failed to load project names:', error);
+                    }
+                    renderFilterConditions(conditionsList, currentAdvancedFilter, filterChoices, applyFilter);
+                }
+            });
+
+            combinatorSelect.addEventListener('change', (e) => {
+                currentAdvancedFilter.combinator = e.target.value;
+                applyFilter();
+            });
+
+            document.getElementById('add-filter-condition-btn')?.addEventListener('click', () => {
+                addFilterCondition(currentAdvancedFilter, 'dateRange');
+                renderFilterConditions(conditionsList, currentAdvancedFilter, filterChoices, applyFilter);
+            });
+
+            document.getElementById('clear-filter-btn')?.addEventListener('click', () => {
+                currentAdvancedFilter = createEmptyFilter();
+                viewsSelect.value = '';
+                deleteViewBtn.disabled = true;
+                showFilter();
+            });
+
+            viewsSelect.addEventListener('change', () => {
+                const view = savedViews.find(v => v.id === viewsSelect.value);
+                deleteViewBtn.disabled = !view;
+                if (!view) return;
+                currentAdvancedFilter = structuredClone(view.filter); // Edits shouldn't change the saved copy
+                viewNameInput.value = view.name;
+                showFilter();
+            });
+
+            document.getElementById('save-view-btn')?.addEventListener('click', async () => {
+                try {
+                    const result = await window.api.saveView(viewNameInput.value, currentAdvancedFilter);
+                    await refreshViews(result.view.id);
+                } catch (error) {
+                    console.error('Error saving view:', error);
+                    alert('Failed to save view: ' + error.message);
+                }
+            });
+
+            deleteViewBtn.addEventListener('click', async () => {
+                const view = savedViews.find(v => v.id === viewsSelect.value);
+                if (!view || !confirm(`Delete the saved view "${view.name}"?`)) return;
+                try {
+                    await window.api.deleteView(view.id);
+                    viewNameInput.value = '';
+                    await refreshViews();
+                } catch (error) {
+                    console.error('Error deleting view:', error);
+                    alert('Failed to delete view: ' + error.message);
+                }
+            });
+
+            // Project renames (and undoing them) change the names held by saved views
+            reloadSavedViews = () => refreshViews(viewsSelect.value);
+            await refreshViews();
+        }
+
+        // --- Bulk Actions ---
+
+        /**
+         * Syncs the select-page checkbox and the bulk actions bar with the current selection.
+         * @param {Array<Object>} visibleSessions - Sessions on the current page.
+         * @param {Array<Object>} matchingSessions - All sessions matching the current filter.
+         */
+        function updateBulkActionsBar(visibleSessions, matchingSessions) {
+            const selectedOnPage = visibleSessions.filter(s => selectedSessionIds.has(s.id)).length;
+            if (selectPageCheckbox) {
+                selectPageCheckbox.checked = visibleSessions.length > 0 && selectedOnPage === visibleSessions.length;
+                selectPageCheckbox.indeterminate = selectedOnPage > 0 && selectedOnPage < visibleSessions.length;
+            }
+            if (!bulkActionsBar) return;
+
+            bulkActionsBar.hidden = selectedSessionIds.size === 0;
+            bulkSelectionInfo.textContent = `${selectedSessionIds.size} selected`;
+
+            // Offer to extend a full page selection to everything the filter matches
+            const unselectedMatching = matchingSessions.filter(s => !selectedSessionIds.has(s.id)).length;
+            selectAllMatchingBtn.hidden = !(selectPageCheckbox?.checked && unselectedMatching > 0);
+            selectAllMatchingBtn.textContent = `Select all ${matchingSessions.length} matching`;
+        }
+
+        /**
+         * Fills the bulk "move to project" dropdown with the current project names.
+         */
+        async function populateBulkProjectSelect() {
+            if (!bulkProjectSelect) return;
+            try {
+                const projectNames = await window.api.getProjectNames();
+                bulkProjectSelect.innerHTML = '<option value="">-- Move to Project --</option>';
+                projectNames.forEach(name => {
+                    const option = document.createElement('option');
+                    option.value = name;
+                    option.textContent = name;
+                    bulkProjectSelect.appendChild(option);
+                });
+            } catch (error) {
+                console.error('Failed to load project names:', error);
+            }
+        }
+
+        /**
+         * Sends one bulk action for all selected sessions and refreshes the dashboard.
+         * @param {Object} action - { type, project?, days?, text?, billable? } (see bulkUpdateSessions in data-manager.js)
+         * @returns {Promise<boolean>} True if the action was applied.
+         */
+        async function applyBulkAction(action) {
+            if (selectedSessionIds.size === 0) return false;
+            try {
+                const result = await window.api.bulkUpdateSessions([...selectedSessionIds], action);
+                console.log(`[Dashboard] Bulk ${action.type} applied to ${result.count} sessions`);
+                await refreshDashboardData();
+                return true;
+            } catch (error) {
+                console.error(`[Dashboard] Error applying bulk ${action.type}:`, error);
+                alert('Bulk action failed: ' + error.message);
+                return false;
+            }
+        }
+
+        // --- Undo/Redo ---
+
+        /**
+         * Shows the history state on the Undo/Redo buttons.
+         * @param {Object} [state] - { canUndo, canRedo, undoLabel, redoLabel }; fetched if not given.
+         */
+        async function refreshHistoryButtons(state) {
+            if (!undoBtn || !redoBtn) return;
+            try {
+                const historyState = state || await window.api.getHistoryState();
+                undoBtn.disabled = !historyState.canUndo;
+                redoBtn.disabled = !historyState.canRedo;
+                undoBtn.title = historyState.canUndo ? `Undo ${historyState.undoLabel}` : 'Nothing to undo';
+                redoBtn.title = historyState.canRedo ? `Redo ${historyState.redoLabel}` : 'Nothing to redo';
+            } catch (error) {
+                console.error('[Dashboard] Error loading undo history:', error);
+            }
+        }
+
+        /**
+         * Undoes or redoes the latest change and refreshes everything it may have touched.
+         * @param {'undo' | 'redo'} direction
+         */
+        async function stepHistory(direction) {
+            try {
+                const result = direction === 'undo' ? await window.api.undo() : await window.api.redo();
+                if (result && result.success) {
+                    console.log(`[Dashboard] ${direction === 'undo' ? 'Undid' : 'Redid'}: ${result.label}`);
+                    await refreshProjectsList();
+                    await refreshDashboardData();
+                    await reloadSavedViews();
+                } else {
+                    await refreshHistoryButtons(result && result.history);
+                }
+            } catch (error) {
+                console.error(`[Dashboard] Error during ${direction}:`, error);
+                alert(`Failed to ${direction}: ${error.message}`);
+            }
+        }
+
+        // --- Manual Session Entry ---
+        function initAddSessionForm() {
+            const form = document.getElementById('add-session-form');
+            const toggleBtn = document.getElementById('toggle-add-session-btn');
+            const cancelBtn = document.getElementById('cancel-add-session-btn');
+            const dateInput = document.getElementById('add-session-date');
+            const startInput = document.getElementById('add-session-start');
+            const endInput = document.getElementById('add-session-end');
+            const projectSelect = document.getElementById('add-session-project');
+            const notesInput = document.getElementById('add-session-notes');
+
+            if (!form || !toggleBtn || !projectSelect) {
+                console.error('Add session form elements not found');
+                return;
+            }
+
+            async function openForm() {
+                const today = new Date();
+                dateInput.value = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+                try {
+                    const projectNames = await window.api.getProjectNames();
+                    projectSelect.innerHTML = '<option value="">-- Select Project --</option>';
+                    projectNames.forEach(name => {
+                        const option = document.createElement('option');
+                        option.value = name;
+                        option.textContent = name;
+                        projectSelect.appendChild(option);
+                    });
+                } catch (error) {
+                    console.error('Failed to load project names:', error);
+                }
+                form.hidden = false;
+                startInput.focus();
+            }
+
+            function closeForm() {
+                form.reset();
+                form.hidden = true;
+            }
+
+            toggleBtn.addEventListener('click', () => {
+                if (form.hidden) {
+                    openForm();
+                } else {
+                    closeForm();
+                }
+            });
+            cancelBtn?.addEventListener('click', closeForm);
+
+            form.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                try {
+                    await window.api.addSession({
+                        date: dateInput.value,
+                        start_time: startInput.value,
+                        end_time: endInput.value,
+                        project: projectSelect.value,
+                        notes: notesInput.value,
+                    });
+                    closeForm();
+                    await refreshDashboardData();
+                } catch (error) {
+                    console.error('Error adding session:', error);
+                    alert('Failed to add session: ' + error.message);
+                }
+            });
+        }
+
+        // --- Export ---
+        function initExportPanel() {
+            const panel = document.getElementById('export-panel');
+            const toggleBtn = document.getElementById('toggle-export-btn');
+            const useRangeCheckbox = document.getElementById('export-use-chart-range');
+            const rangeTitleSpan = document.getElementById('export-range-title');
+            const projectSelect = document.getElementById('export-project-select');
+            const formatSelect = document.getElementById('export-format-select');
+            const columnsDiv = document.getElementById('export-csv-columns');
+            const exportBtn = document.getElementById('export-sessions-btn');
+            const summarySpan = document.getElementById('export-summary');
+
+            if (!panel || !toggleBtn || !projectSelect || !formatSelect || !exportBtn) {
+                console.error('Export panel elements not found');
+                return;
+            }
+
+            /** The chart's date range as YYYY-MM-DD strings; either may be null for no limit. */
+            function getChartRangeDates() {
+                const { startDate, endDate } = currentChartFilter === 'custom'
+                    ? getDatesForRange(currentChartFilter, dateFromInput.value, dateToInput.value)
+                    : getDatesForRange(currentChartFilter);
+                return {
+                    startDate: startDate ? formatDateYYYYMMDD(startDate) : null,
+                    endDate: endDate ? formatDateYYYYMMDD(endDate) : null,
+                };
+            }
+
+            function getExportOptions() {
+                const options = { format: formatSelect.value };
+                if (useRangeCheckbox.checked) {
+                    const { startDate, endDate } = getChartRangeDates();
+                    if (startDate) options.startDate = startDate;
+                    if (endDate) options.endDate = endDate;
+                }
+                if (projectSelect.value) options.project = projectSelect.value;
+                if (options.format === 'csv') {
+                    options.columns = [...columnsDiv.querySelectorAll('input[type="checkbox"]:checked')].map(box => box.value);
+                }
+                return options;
+            }
+
+            /** Shows how many sessions the current options would export. */
+            function updateSummary() {
+                const { startDate, endDate, project } = getExportOptions();
+                const count = allSessions.filter(session =>
+                    (!startDate || session.date >= startDate) &&
+                    (!endDate || session.date <= endDate) &&
+                    (!project || session.project === project)
+                ).length;
+                summarySpan.textContent = `${count} session${count === 1 ? '' : 's'}`;
+                columnsDiv.hidden = formatSelect.value !== 'csv';
+            }
+
+            function openPanel() {
+                rangeTitleSpan.textContent = currentChartRangeTitle;
+                const projectNames = [...new Set(allSessions.map(s => s.project).filter(Boolean))].sort();
+                projectSelect.innerHTML = '<option value="">All Projects</option>';
+                projectNames.forEach(name => {
+                    const option = document.createElement('option');
+                    option.value = name;
+                    option.textContent = name;
+                    projectSelect.appendChild(option);
+                });
+                projectSelect.value = currentProjectFilter !== 'All' && projectNames.includes(currentProjectFilter) ? currentProjectFilter : '';
+                panel.hidden = false;
+                toggleBtn.classList.add('active');
+                updateSummary();
+            }
+
+            toggleBtn.addEventListener('click', () => {
+                if (panel.hidden) {
+                    openPanel();
+                } else {
+                    panel.hidden = true;
+                    toggleBtn.classList.remove('active');
+                }
+            });
+            [useRangeCheckbox, projectSelect, formatSelect].forEach(input => input.addEventListener('change', updateSummary));
+
+            exportBtn.addEventListener('click', async () => {
+                const options = getExportOptions();
+                if (options.format === 'csv' && options.columns.length === 0) {
+                    alert('Choose at least one column to export.');
+                    return;
+                }
+                exportBtn.disabled = true;
+                try {
+                    const result = await window.api.exportSessions(options);
+                    if (result && result.success) {
+                        alert(`Exported ${result.count} sessions to ${result.filePath}`);
+                    }
+                } catch (error) {
+                    console.error('Error exporting sessions:', error);
+                    alert('Failed to export sessions: ' + error.message);
+                } finally {
+                    exportBtn.disabled = false;
+                }
+            });
+        }
+
         // --- Project Management ---
         async function initProjectManagement() {
             const projectsList = document.getElementById('projects-list');
@@ -328,9 +938,11 @@
                 if (!nameInput || !colorInput) return;
                 
                 try {
+                    const parentSelect = document.getElementById('new-project-parent');
                     const result = await window.api.addProject({
                         name: nameInput.value.trim(),
-                        color: colorInput.value
+                        color: colorInput.value,
+                        parentId: parentSelect?.value || null
                     });
 
                     if (result && result.success) {
@@ -346,72 +958,1090 @@
             });
         }
 
-        async function refreshProjectsList() {
-            const projectsList = document.getElementById('projects-list');
-            if (!projectsList) {
-                console.error('Projects list element not found');
-                return;
+        /**
+         * Swaps a project's name for a text input; Enter or blur renames the project
+         * (and its past sessions), Escape cancels.
+         * @param {Object} project - The project being renamed.
+         * @param {HTMLElement} nameSpan - The element showing its name.
+         */
+        function startProjectRename(project, nameSpan) {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'input-base project-rename-input';
+            input.value = project.name;
+            nameSpan.replaceWith(input);
+            input.focus();
+            input.select();
+
+            let finished = false;
+            async function finish(save) {
+                if (finished) return;
+                finished = true;
+                const newName = input.value.trim();
+                if (!save || !newName || newName === project.name) {
+                    input.replaceWith(nameSpan);
+                    return;
+                }
+                try {
+                    const result = await window.api.renameProject(project.id, newName);
+                    console.log(`[Dashboard] Renamed project to "${newName}" (${result.updatedSessions} sessions updated)`);
+                    if (currentProjectFilter === project.name) currentProjectFilter = result.project.name;
+                    currentAdvancedFilter.conditions.forEach(condition => {
+                        if (condition.type === 'projects') {
+                            condition.projects = condition.projects.map(name => (name === project.name ? result.project.name : name));
+                        }
+                    });
+                    await reloadSavedViews();
+                    await refreshProjectsList();
+                    await refreshDashboardData();
+                    populateProjectFilter(); // The old name is gone from the sessions
+                } catch (error) {
+                    console.error('Error renaming project:', error);
+                    alert('Failed to rename project: ' + error.message);
+                    input.replaceWith(nameSpan);
+                }
             }
 
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    finish(true);
+                } else if (e.key === 'Escape') {
+                    finish(false);
+                }
+            });
+            input.addEventListener('blur', () => finish(true));
+        }
+
+        /**
+         * Deletes a project, then refreshes everything that shows projects or sessions.
+         * @param {Object} project - The project to delete.
+         * @param {Object} [options] - Passed through to deleteProject (sessionAction, targetProject).
+         */
+        async function deleteProjectWithSessions(project, options) {
             try {
-                const projects = await window.api.loadProjects();
-                projectsList.innerHTML = '';
-                
-                projects.forEach(project => {
-                    const projectElement = document.createElement('div');
-                    projectElement.className = 'project-item';
-                    projectElement.innerHTML = `
-                        <div class="project-info">
-                            <span class="project-name">${project.name}</span>
-                            <div class="project-color">
-                                <input type="color" value="${project.color || '#4E79A7'}" 
-                                       data-project-id="${project.id}">
-                            </div>
-                        </div>
-                        <div class="project-actions">
-                            <button class="delete-project" data-project-id="${project.id}">Delete</button>
-                        </div>
-                    `;
+                await window.api.deleteProject(project.id, options);
+                if (currentProjectFilter === project.name) currentProjectFilter = 'All';
+                await refreshProjectsList();
+                await refreshDashboardData();
+                populateProjectFilter();
+            } catch (error) {
+                console.error('Error deleting project:', error);
+                alert('Failed to delete project: ' + error.message);
+            }
+        }
 
-                    // Add color change handler
-                    const colorInput = projectElement.querySelector('input[type="color"]');
-                    if (colorInput) {
-                        colorInput.addEventListener('change', async (e) => {
-                            try {
-                                await window.api.updateProjectColor(project.id, e.target.value);
-                                await refreshDashboardData();
-                            } catch (error) {
-                                console.error('Error updating project color:', error);
-                                alert('Failed to update color: ' + error.message);
-                            }
-                        });
-                    }
+        /**
+         * Shows an inline prompt under a project that still has sessions, asking whether to move
+         * them to another project or delete them along with it.
+         * @param {Object} project - The project being deleted.
+         * @param {HTMLElement} projectElement - The project's row in the list.
+         * @param {Array<Object>} projects - All projects, for the reassignment choices.
+         * @param {number} sessionCount - How many sessions are recorded under the project.
+         */
+        function showDeleteProjectChoice(project, projectElement, projects, sessionCount) {
+            if (projectElement.nextElementSibling?.classList.contains('delete-project-choice')) return;
 
-                    // Add delete handler
-                    const deleteButton = projectElement.querySelector('.delete-project');
-                    if (deleteButton) {
-                        deleteButton.addEventListener('click', async () => {
-                            if (confirm(`Are you sure you want to delete ${project.name}?`)) {
-                                try {
-                                    await window.api.deleteProject(project.id);
-                                    await refreshProjectsList();
-                                    await refreshDashboardData();
-                                } catch (error) {
-                                    console.error('Error deleting project:', error);
-                                    alert('Failed to delete project: ' + error.message);
+            const targets = projects.filter(p => p.id !== project.id);
+            const choice = document.createElement('div');
+            choice.className = 'delete-project-choice';
+            choice.innerHTML = `
+                <span>${escapeHtml(project.name)} has ${sessionCount} session${sessionCount === 1 ? '' : 's'}.</span>
+                <select class="input-base delete-project-target">
+                    <option value="">-- Move sessions to --</option>
+                    ${targets.map(p => `<option value="${escapeHtml(p.name)}">${escapeHtml(p.name)}</option>`).join('')}
+                </select>
+                <button class="btn btn-primary delete-project-reassign">Move &amp; Delete Project</button>
+                <button class="btn btn-danger delete-project-sessions">Delete Sessions Too</button>
+                <button class="btn btn-secondary delete-project-cancel">Cancel</button>
+            `;
+
+            const targetSelect = choice.querySelector('.delete-project-target');
+            choice.querySelector('.delete-project-reassign').addEventListener('click', () => {
+                if (!targetSelect.value) {
+                    alert('Choose a project to move the sessions to.');
+                    return;
+                }
+                deleteProjectWithSessions(project, { sessionAction: 'reassign', targetProject: targetSelect.value });
+            });
+            choice.querySelector('.delete-project-sessions').addEventListener('click', () => {
+                if (confirm(`Delete ${project.name} and its ${sessionCount} session${sessionCount === 1 ? '' : 's'}?`)) {
+                    deleteProjectWithSessions(project, { sessionAction: 'delete' });
+                }
+            });
+            choice.querySelector('.delete-project-cancel').addEventListener('click', () => choice.remove());
+
+            projectElement.after(choice);
+        }
+
+        /**
+         * Lists project names used by sessions but missing from the project list,
+         * each with actions to merge it into an existing project or create it.
+         */
+        async function refreshOrphanedProjects() {
+            const panel = document.getElementById('orphaned-projects');
+            const list = document.getElementById('orphaned-projects-list');
+            if (!panel || !list) return;
+
+            try {
+                const [orphans, projectNames] = await Promise.all([
+                    window.api.getOrphanedProjects(),
+                    window.api.getProjectNames(),
+                ]);
+                panel.hidden = orphans.length === 0;
+                list.innerHTML = '';
+
+                orphans.forEach(orphan => {
+                    const item = document.createElement('div');
+                    item.className = 'orphaned-project-item';
+                    item.innerHTML = `
+                        <span class="orphaned-project-name">${orphan.name ? escapeHtml(orphan.name) : '<em>(no project)</em>'}</span>
+                        <span class="orphaned-project-stats">${orphan.sessionCount} session${orphan.sessionCount === 1 ? '' : 's'} · ${formatMinutesToHoursMinutes(orphan.totalMinutes)}</span>
+                        <select class="input-base orphaned-merge-target">
+                            <option value="">-- Merge into --</option>
+                            ${projectNames.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('')}
+                        </select>
+                        <button class="btn btn-secondary orphaned-merge-btn">Merge</button>
+                        ${orphan.name.trim() ? '<button class="btn btn-primary orphaned-create-btn">Create Project</button>' : ''}
+                    `;
+
+                    const mergeTarget = item.querySelector('.orphaned-merge-target');
+                    item.querySelector('.orphaned-merge-btn').addEventListener('click', async () => {
+                        if (!mergeTarget.value) {
+                            alert('Choose a project to merge into.');
+                            return;
+                        }
+                        try {
+                            await window.api.mergeOrphanedProject(orphan.name, mergeTarget.value);
+                            await refreshDashboardData();
+                            populateProjectFilter(); // The unknown name is gone from the sessions
+                        } catch (error) {
+                            console.error('Error merging orphaned sessions:', error);
+                            alert('Failed to merge sessions: ' + error.message);
+                        }
+                    });
+
+                    item.querySelector('.orphaned-create-btn')?.addEventListener('click', async () => {
+                        try {
+                            await window.api.createProjectFromOrphan(orphan.name);
+                            await refreshProjectsList();
+                            await refreshDashboardData();
+                            populateProjectFilter();
+                        } catch (error) {
+                            console.error('Error creating project from orphaned sessions:', error);
+                            alert('Failed to create project: ' + error.message);
+                        }
+                    });
+
+                    list.appendChild(item);
+                });
+            } catch (error) {
+                console.error('Error loading orphaned projects:', error);
+            }
+        }
+
+        /**
+         * Offers every project that still has room for a level below it as the parent of a new project.
+         * @param {Array<Object>} projectTree - Output of flattenProjectTree.
+         */
+        function populateNewProjectParentSelect(projectTree) {
+            const parentSelect = document.getElementById('new-project-parent');
+            if (!parentSelect) return;
+            const selected = parentSelect.value;
+            parentSelect.innerHTML = '<option value="">No parent (client)</option>';
+            projectTree
+                .filter(({ depth }) => depth < MAX_PROJECT_DEPTH)
+                .forEach(({ project, depth }) => {
+                    const option = document.createElement('option');
+                    option.value = project.id;
+                    option.textContent = `${'\u00A0\u00A0'.repeat(depth - 1)}${project.name}`;
+                    parentSelect.appendChild(option);
+                });
+            parentSelect.value = [...parentSelect.options].some(o => o.value === selected) ? selected : '';
+        }
+
+        async function refreshProjectsList() {
+            const projectsList = document.getElementById('projects-list');
+            if (!projectsList) {
+                console.error('Projects list element not found');
+                return;
+            }
+
+            try {
+                const projects = await window.api.loadProjects();
+                const byId = new Map(projects.map(p => [p.id, p]));
+                const projectTree = flattenProjectTree(projects);
+                projectsList.innerHTML = '';
+                populateNewProjectParentSelect(projectTree);
+                populateInvoiceClientSelect(projectTree);
+
+                // Each project is listed under its parent, indented by level
+                projectTree.forEach(({ project, depth }) => {
+                    // A project can't move under itself or its own sub-projects
+                    const parentChoices = projectTree.filter(({ project: candidate, depth: candidateDepth }) =>
+                        candidateDepth < MAX_PROJECT_DEPTH && !getProjectPath(candidate, byId).some(p => p.id === project.id));
+                    const projectElement = document.createElement('div');
+                    projectElement.className = project.archived ? 'project-item archived' : 'project-item';
+                    projectElement.style.marginLeft = `${(depth - 1) * 1.5}rem`;
+                    projectElement.innerHTML = `
+                        <div class="project-info">
+                            <span class="project-name" title="Click to rename">${escapeHtml(project.name)}</span>
+                            ${project.archived ? '<span class="archived-badge">Archived</span>' : ''}
+                            ${typeof project.rate === 'number' ? `<span class="rate-badge">${project.rate} ${escapeHtml(project.currency || '')}/h</span>` : ''}
+                            <div class="project-color">
+                                <input type="color" value="${project.color || '#4E79A7'}" 
+                                       data-project-id="${project.id}">
+                            </div>
+                        </div>
+                        <div class="project-actions">
+                            <select class="input-base project-parent-select" title="Parent">
+                                <option value="">(top level)</option>
+                                ${parentChoices.map(({ project: candidate, depth: candidateDepth }) =>
+                                    `<option value="${candidate.id}" ${candidate.id === project.parentId ? 'selected' : ''}>${'\u00A0\u00A0'.repeat(candidateDepth - 1)}${escapeHtml(candidate.name)}</option>`
+                                ).join('')}
+                            </select>
+                            <button class="project-goals" data-project-id="${project.id}">Goals</button>
+                            <button class="project-billing" data-project-id="${project.id}">Rate</button>
+                            <button class="archive-project" data-project-id="${project.id}">${project.archived ? 'Unarchive' : 'Archive'}</button>
+                            <button class="delete-project" data-project-id="${project.id}">Delete</button>
+                        </div>
+                    `;
+
+                    // Add inline rename handler
+                    const nameSpan = projectElement.querySelector('.project-name');
+                    nameSpan?.addEventListener('click', () => startProjectRename(project, nameSpan));
+
+                    // Add color change handler
+                    const colorInput = projectElement.querySelector('input[type="color"]');
+                    if (colorInput) {
+                        colorInput.addEventListener('change', async (e) => {
+                            try {
+                                await window.api.updateProjectColor(project.id, e.target.value);
+                                await refreshDashboardData();
+                            } catch (error) {
+                                console.error('Error updating project color:', error);
+                                alert('Failed to update color: ' + error.message);
+                            }
+                        });
+                    }
+
+                    // Add move (change parent) handler
+                    const parentSelect = projectElement.querySelector('.project-parent-select');
+                    parentSelect?.addEventListener('change', async () => {
+                        try {
+                            await window.api.moveProject(project.id, parentSelect.value || null);
+                            await refreshProjectsList();
+                            await refreshDashboardData();
+                        } catch (error) {
+                            console.error('Error moving project:', error);
+                            alert('Failed to move project: ' + error.message);
+                            parentSelect.value = project.parentId || '';
+                        }
+                    });
+
+                    // Add goals editor handler
+                    projectElement.querySelector('.project-goals')?.addEventListener('click', () => showProjectGoalsEditor(project, projectElement));
+
+                    // Add rate editor handler
+                    projectElement.querySelector('.project-billing')?.addEventListener('click', () => showProjectBillingEditor(project, projectElement));
+
+                    // Add archive toggle handler
+                    const archiveButton = projectElement.querySelector('.archive-project');
+                    archiveButton?.addEventListener('click', async () => {
+                        try {
+                            await window.api.setProjectArchived(project.id, !project.archived);
+                            await refreshProjectsList();
+                            await refreshHistoryButtons();
+                        } catch (error) {
+                            console.error('Error archiving project:', error);
+                            alert('Failed to update project: ' + error.message);
+                        }
+                    });
+
+                    // Add delete handler
+                    const deleteButton = projectElement.querySelector('.delete-project');
+                    if (deleteButton) {
+                        deleteButton.addEventListener('click', () => {
+                            const sessionCount = allSessions.filter(s => s.project === project.name).length;
+                            if (sessionCount === 0) {
+                                if (confirm(`Are you sure you want to delete ${project.name}?`)) {
+                                    deleteProjectWithSessions(project);
                                 }
+                                return;
                             }
+                            showDeleteProjectChoice(project, projectElement, projects, sessionCount);
                         });
                     }
 
                     projectsList.appendChild(projectElement);
                 });
+                await populateBulkProjectSelect(); // Keep bulk reassignment choices in sync
             } catch (error) {
                 console.error('Error loading projects:', error);
                 projectsList.innerHTML = '<div class="error">Failed to load projects</div>';
             }
         }
 
+        // --- Timed Session Settings ---
+        async function initTimerSettings() {
+            const blockMinutesInput = document.getElementById('focus-block-minutes');
+            const breakMinutesInput = document.getElementById('break-minutes');
+            const saveBtn = document.getElementById('save-timer-settings-btn');
+
+            if (!blockMinutesInput || !breakMinutesInput || !saveBtn) {
+                console.error('Timer settings elements not found');
+                return;
+            }
+
+            function showSettings(settings) {
+                blockMinutesInput.value = (settings.focusBlockMinutes || []).join(', ');
+                breakMinutesInput.value = settings.breakMinutes;
+            }
+
+            try {
+                showSettings(await window.api.getSettings());
+            } catch (error) {
+                console.error('Error loading timer settings:', error);
+            }
+
+            saveBtn.addEventListener('click', async () => {
+                const focusBlockMinutes = blockMinutesInput.value
+                    .split(',')
+                    .map(value => value.trim())
+                    .filter(value => value !== '')
+                    .map(Number);
+                try {
+                    const settings = await window.api.updateSettings({
+                        focusBlockMinutes,
+                        breakMinutes: Number(breakMinutesInput.value),
+                    });
+                    showSettings(settings);
+                } catch (error) {
+                    console.error('Error saving timer settings:', error);
+                    alert('Failed to save timed session settings: ' + error.message);
+                }
+            });
+        }
+
+        // --- Idle Detection Settings ---
+        async function initIdleSettings() {
+            const thresholdInput = document.getElementById('idle-threshold-minutes');
+            const saveBtn = document.getElementById('save-idle-settings-btn');
+
+            if (!thresholdInput || !saveBtn) {
+                console.error('Idle settings elements not found');
+                return;
+            }
+
+            try {
+                const settings = await window.api.getSettings();
+                thresholdInput.value = settings.idleThresholdMinutes;
+            } catch (error) {
+                console.error('Error loading idle settings:', error);
+            }
+
+            saveBtn.addEventListener('click', async () => {
+                try {
+                    const settings = await window.api.updateSettings({ idleThresholdMinutes: Number(thresholdInput.value) });
+                    thresholdInput.value = settings.idleThresholdMinutes;
+                } catch (error) {
+                    console.error('Error saving idle settings:', error);
+                    alert('Failed to save idle detection settings: ' + error.message);
+                }
+            });
+        }
+
+        // --- Goals ---
+        const GOAL_PERIOD_LABELS = { daily: 'today', weekly: 'this week', monthly: 'this month' };
+
+        /**
+         * Draws a progress bar for the global daily goal and for every project goal.
+         * The panel stays hidden while no goals are set.
+         */
+        async function refreshGoalProgress() {
+            const container = document.getElementById('goal-progress');
+            if (!container) return;
+
+            let progress;
+            try {
+                progress = await window.api.getGoalProgress();
+            } catch (error) {
+                console.error('[Dashboard] Error loading goal progress:', error);
+                return;
+            }
+
+            const rows = [];
+            if (progress.global) {
+                rows.push({ label: `All projects ${GOAL_PERIOD_LABELS.daily}`, color: '#4E79A7', ...progress.global });
+            }
+            progress.projects.forEach(project => project.goals.forEach(goal => {
+                rows.push({ label: `${project.name} ${GOAL_PERIOD_LABELS[goal.period]}`, color: project.color || '#4E79A7', ...goal });
+            }));
+
+            container.hidden = rows.length === 0;
+            container.innerHTML = rows.map(row => {
+                const percent = Math.min(100, (row.hours / row.goalHours) * 100);
+                const reached = row.hours >= row.goalHours;
+                return `
+                    <div class="goal-row${reached ? ' reached' : ''}">
+                        <span class="goal-label">${escapeHtml(row.label)}</span>
+                        <div class="goal-bar"><div class="goal-bar-fill" style="width: ${percent}%; background: ${escapeHtml(row.color)}"></div></div>
+                        <span class="goal-value">${row.hours.toFixed(1)} / ${row.goalHours}h${reached ? ' ✓' : ''}</span>
+                    </div>`;
+            }).join('');
+        }
+
+        async function initGoalSettings() {
+            const dailyGoalInput = document.getElementById('daily-goal-hours');
+            const saveBtn = document.getElementById('save-goal-settings-btn');
+
+            if (!dailyGoalInput || !saveBtn) {
+                console.error('Goal settings elements not found');
+                return;
+            }
+
+            try {
+                const settings = await window.api.getSettings();
+                dailyGoalInput.value = settings.dailyGoalHours;
+            } catch (error) {
+                console.error('Error loading goal settings:', error);
+            }
+
+            saveBtn.addEventListener('click', async () => {
+                try {
+                    const settings = await window.api.updateSettings({ dailyGoalHours: dailyGoalInput.value });
+                    dailyGoalInput.value = settings.dailyGoalHours;
+                    await refreshGoalProgress();
+                } catch (error) {
+                    console.error('Error saving goal settings:', error);
+                    alert('Failed to save goal settings: ' + error.message);
+                }
+            });
+        }
+
+        /**
+         * Shows inline inputs under a project for its daily, weekly and monthly hour goals.
+         * @param {Object} project - The project being edited.
+         * @param {HTMLElement} projectElement - The project's row in the list.
+         */
+        function showProjectGoalsEditor(project, projectElement) {
+            if (projectElement.nextElementSibling?.classList.contains('project-goals-editor')) return;
+
+            const goals = project.goals || {};
+            const editor = document.createElement('div');
+            editor.className = 'project-goals-editor';
+            editor.style.marginLeft = projectElement.style.marginLeft;
+            editor.innerHTML = `
+                <label>Daily <input type="number" class="input-base" data-period="daily" min="0" max="24" step="0.25" value="${goals.daily || ''}"></label>
+                <label>Weekly <input type="number" class="input-base" data-period="weekly" min="0" max="168" step="0.5" value="${goals.weekly || ''}"></label>
+                <label>Monthly <input type="number" class="input-base" data-period="monthly" min="0" max="744" step="1" value="${goals.monthly || ''}"></label>
+                <span class="settings-description">hours, including sub-projects</span>
+                <button class="btn btn-primary project-goals-save">Save Goals</button>
+                <button class="btn btn-secondary project-goals-cancel">Cancel</button>
+            `;
+
+            editor.querySelector('.project-goals-save').addEventListener('click', async () => {
+                const newGoals = {};
+                editor.querySelectorAll('input[data-period]').forEach(input => {
+                    newGoals[input.dataset.period] = input.value;
+                });
+                try {
+                    await window.api.updateProjectGoals(project.id, newGoals);
+                    await refreshProjectsList();
+                    await refreshGoalProgress();
+                    await refreshHistoryButtons();
+                } catch (error) {
+                    console.error('Error saving project goals:', error);
+                    alert('Failed to save goals: ' + error.message);
+                }
+            });
+            editor.querySelector('.project-goals-cancel').addEventListener('click', () => editor.remove());
+
+            projectElement.after(editor);
+        }
+
+        /**
+         * Shows inline inputs under a project for its hourly rate and currency.
+         * @param {Object} project - The project being edited.
+         * @param {HTMLElement} projectElement - The project's row in the list.
+         */
+        function showProjectBillingEditor(project, projectElement) {
+            if (projectElement.nextElementSibling?.classList.contains('project-billing-editor')) return;
+
+            const editor = document.createElement('div');
+            editor.className = 'project-billing-editor';
+            editor.style.marginLeft = projectElement.style.marginLeft;
+            editor.innerHTML = `
+                <label>Hourly rate <input type="number" class="input-base project-rate-input" min="0" step="0.01" value="${project.rate ?? ''}"></label>
+                <label>Currency <input type="text" class="input-base project-currency-input" maxlength="3" placeholder="USD" value="${escapeHtml(project.currency || '')}"></label>
+                <span class="settings-description">leave empty to use the parent's</span>
+                <button class="btn btn-primary project-billing-save">Save Rate</button>
+                <button class="btn btn-secondary project-billing-cancel">Cancel</button>
+            `;
+
+            editor.querySelector('.project-billing-save').addEventListener('click', async () => {
+                try {
+                    await window.api.updateProjectBilling(project.id, {
+                        rate: editor.querySelector('.project-rate-input').value,
+                        currency: editor.querySelector('.project-currency-input').value,
+                    });
+                    await refreshProjectsList();
+                    await refreshHistoryButtons();
+                } catch (error) {
+                    console.error('Error saving project rate:', error);
+                    alert('Failed to save rate: ' + error.message);
+                }
+            });
+            editor.querySelector('.project-billing-cancel').addEventListener('click', () => editor.remove());
+
+            projectElement.after(editor);
+        }
+
+        // --- Settings ---
+        async function initSettings() {
+            const backendNameEl = document.getElementById('storage-backend-name');
+            const locationEl = document.getElementById('storage-location');
+            const fallbackWarningEl = document.getElementById('storage-fallback-warning');
+            const switchStorageBtn = document.getElementById('switch-storage-btn');
+            const exportCsvBtn = document.getElementById('export-csv-btn');
+
+            if (!backendNameEl || !switchStorageBtn || !exportCsvBtn) {
+                console.error('Settings elements not found');
+                return;
+            }
+
+            async function refreshStorageInfo() {
+                try {
+                    const info = await window.api.getStorageInfo();
+                    backendNameEl.textContent = info.backend === 'sqlite' ? 'SQLite' : 'CSV';
+                    locationEl.textContent = info.location;
+                    fallbackWarningEl.textContent = info.fallbackError || '';
+                    fallbackWarningEl.hidden = !info.fallbackError;
+                    switchStorageBtn.dataset.target = info.backend === 'sqlite' ? 'csv' : 'sqlite';
+                    switchStorageBtn.textContent = info.backend === 'sqlite' ? 'Switch back to CSV' : 'Migrate to SQLite';
+                    switchStorageBtn.disabled = false;
+                } catch (error) {
+                    console.error('Error loading storage info:', error);
+                    backendNameEl.textContent = 'unknown';
+                }
+            }
+
+            switchStorageBtn.addEventListener('click', async () => {
+                const target = switchStorageBtn.dataset.target;
+                const label = target === 'sqlite' ? 'SQLite' : 'CSV';
+                if (!confirm(`Copy all sessions and projects into ${label} storage and switch to it?`)) return;
+
+                switchStorageBtn.disabled = true;
+                try {
+                    const result = await window.api.switchStorageBackend(target);
+                    alert(`Switched to ${label} storage (${result.copiedSessions} sessions copied).`);
+                    await refreshDashboardData();
+                } catch (error) {
+                    console.error('Error switching storage backend:', error);
+                    alert('Failed to switch storage: ' + error.message);
+                } finally {
+                    await refreshStorageInfo();
+                }
+            });
+
+            exportCsvBtn.addEventListener('click', async () => {
+                try {
+                    const result = await window.api.exportSessionsCSV();
+                    if (result && result.success) {
+                        alert(`Exported ${result.count} sessions to ${result.filePath}`);
+                    }
+                } catch (error) {
+                    console.error('Error exporting CSV:', error);
+                    alert('Failed to export CSV: ' + error.message);
+                }
+            });
+
+            await refreshStorageInfo();
+        }
+
+        // --- Import ---
+        function initImportWizard() {
+            const chooseFileBtn = document.getElementById('choose-import-file-btn');
+            const fileNameSpan = document.getElementById('import-file-name');
+            const wizard = document.getElementById('import-wizard');
+            const sourceSelect = document.getElementById('import-source-select');
+            const dateFormatSelect = document.getElementById('import-date-format');
+            const mappingDiv = document.getElementById('import-column-mapping');
+            const summaryP = document.getElementById('import-preview-summary');
+            const previewBody = document.getElementById('import-preview-body');
+            const skipDuplicatesCheckbox = document.getElementById('import-skip-duplicates');
+            const skipOverlapsCheckbox = document.getElementById('import-skip-overlaps');
+            const projectMappingDiv = document.getElementById('import-project-mapping');
+            const runImportBtn = document.getElementById('run-import-btn');
+            const cancelImportBtn = document.getElementById('cancel-import-btn');
+
+            if (!chooseFileBtn || !wizard || !mappingDiv || !previewBody || !projectMappingDiv || !runImportBtn) {
+                console.error('Import wizard elements not found');
+                return;
+            }
+
+            // The file being imported: { filePath, headers, mapping, dateFormat, projectMap }
+            let importState = null;
+
+            function closeWizard() {
+                importState = null;
+                wizard.hidden = true;
+                fileNameSpan.textContent = '';
+                previewBody.innerHTML = '';
+            }
+
+            /**
+             * Re-reads the file with the current mapping and shows the rows and project choices.
+             * Rows are checked only against earlier rows that the skip options and project choices let through.
+             */
+            async function refreshPreview() {
+                if (!importState) return;
+                runImportBtn.disabled = true;
+                let preview;
+                try {
+                    preview = await window.api.previewImport(importState.filePath, {
+                        mapping: importState.mapping,
+                        dateFormat: importState.dateFormat,
+                        projectMap: importState.projectMap,
+                        skipDuplicates: skipDuplicatesCheckbox.checked,
+                        skipOverlaps: skipOverlapsCheckbox.checked,
+                    });
+                } catch (error) {
+                    // Usually a required column isn't mapped yet
+                    summaryP.textContent = error.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, '');
+                    previewBody.innerHTML = '';
+                    projectMappingDiv.innerHTML = '';
+                    return;
+                }
+
+                // A project skipped by default wasn't skipped in this preview yet, so check again with it left out
+                const projectMap = createProjectMap(preview.projects, importState.projectMap);
+                const newlySkipped = preview.projects.some(({ name }) => !importState.projectMap[name] && projectMap[name].action === 'skip');
+                importState.projectMap = projectMap;
+                if (newlySkipped) {
+                    await refreshPreview();
+                    return;
+                }
+
+                const counts = countImportRows(preview.rows);
+                summaryP.textContent = `${preview.rows.length} rows: ${counts.new} new, ${counts.duplicate} duplicate, ` +
+                    `${counts.overlap} overlapping, ${counts.invalid} invalid.`;
+                renderImportPreview(previewBody, preview.rows);
+
+                let projectNames = [];
+                try {
+                    projectNames = await window.api.getProjectNames();
+                } catch (error) {
+                    console.error('Failed to load project names:', error);
+                }
+                renderProjectMapping(projectMappingDiv, preview.projects, projectNames, importState.projectMap, refreshPreview);
+                runImportBtn.disabled = preview.rows.length === counts.invalid;
+            }
+
+            function showMapping() {
+                sourceSelect.value = importState.source;
+                dateFormatSelect.value = importState.dateFormat;
+                renderColumnMapping(mappingDiv, importState.headers, importState.mapping, refreshPreview);
+            }
+
+            chooseFileBtn.addEventListener('click', async () => {
+                try {
+                    const file = await window.api.chooseImportFile();
+                    if (!file || file.canceled) return;
+                    importState = { ...file, projectMap: {} };
+                    fileNameSpan.textContent = `${file.fileName} (${file.rowCount} rows)`;
+                    wizard.hidden = false;
+                    showMapping();
+                    await refreshPreview();
+                } catch (error) {
+                    console.error('Error reading import file:', error);
+                    alert('Failed to read the file: ' + error.message);
+                }
+            });
+
+            sourceSelect.addEventListener('change', async () => {
+                if (!importState) return;
+                try {
+                    importState.source = sourceSelect.value;
+                    importState.mapping = await window.api.suggestImportMapping(importState.source, importState.headers);
+                    showMapping();
+                    await refreshPreview();
+                } catch (error) {
+                    console.error('Error suggesting import mapping:', error);
+                }
+            });
+
+            dateFormatSelect.addEventListener('change', () => {
+                if (!importState) return;
+                importState.dateFormat = dateFormatSelect.value;
+                refreshPreview();
+            });
+
+            skipDuplicatesCheckbox.addEventListener('change', refreshPreview);
+            skipOverlapsCheckbox.addEventListener('change', refreshPreview);
+
+            cancelImportBtn?.addEventListener('click', closeWizard);
+
+            runImportBtn.addEventListener('click', async () => {
+                if (!importState) return;
+                runImportBtn.disabled = true;
+                try {
+                    const result = await window.api.importSessions(importState.filePath, {
+                        mapping: importState.mapping,
+                        dateFormat: importState.dateFormat,
+                        projectMap: importState.projectMap,
+                        skipDuplicates: skipDuplicatesCheckbox.checked,
+                        skipOverlaps: skipOverlapsCheckbox.checked,
+                    });
+                    const skippedCount = Object.values(result.skipped).reduce((sum, count) => sum + count, 0);
+                    const created = result.createdProjects.length > 0 ? `\nNew projects: ${result.createdProjects.join(', ')}` : '';
+                    alert(`Imported ${result.imported} sessions (${skippedCount} rows skipped).${created}`);
+                    closeWizard();
+                    await refreshProjectsList();
+                    await refreshDashboardData();
+                } catch (error) {
+                    console.error('Error importing sessions:', error);
+                    alert('Failed to import: ' + error.message);
+                    runImportBtn.disabled = false;
+                }
+            });
+        }
+
+        // --- Calendar Import ---
+        function initCalendarImport() {
+            const chooseFileBtn = document.getElementById('choose-calendar-file-btn');
+            const fileNameSpan = document.getElementById('calendar-file-name');
+            const panel = document.getElementById('calendar-import');
+            const fromInput = document.getElementById('calendar-import-from');
+            const toInput = document.getElementById('calendar-import-to');
+            const rulesDiv = document.getElementById('calendar-rules');
+            const addRuleBtn = document.getElementById('add-calendar-rule-btn');
+            const defaultProjectSelect = document.getElementById('calendar-default-project');
+            const summaryP = document.getElementById('calendar-preview-summary');
+            const eventsBody = document.getElementById('calendar-events-body');
+            const selectAllCheckbox = document.getElementById('calendar-select-all');
+            const runImportBtn = document.getElementById('run-calendar-import-btn');
+            const cancelImportBtn = document.getElementById('cancel-calendar-import-btn');
+
+            if (!chooseFileBtn || !panel || !rulesDiv || !eventsBody || !runImportBtn) {
+                console.error('Calendar import elements not found');
+                return;
+            }
+
+            let filePath = null;
+            let rules = []; // [{ text, project }], saved to settings after an import
+            let projectNames = [];
+            let events = [];
+            const choices = new Map(); // Event key -> ticked, for events the user ticked or unticked
+
+            function getOptions() {
+                return {
+                    startDate: fromInput.value,
+                    endDate: toInput.value,
+                    rules: rules.filter(rule => rule.text.trim() && rule.project),
+                    defaultProject: defaultProjectSelect.value,
+                    choices: Object.fromEntries(choices),
+                };
+            }
+
+            function updateSelectionSummary() {
+                const selectable = events.filter(event => event.entry);
+                const selectedCount = events.filter(event => isCalendarEventSelected(event, choices)).length;
+                const counts = countImportRows(events);
+                summaryP.textContent = `${events.length} events: ${counts.new} new, ${counts.duplicate} duplicate, ` +
+                    `${counts.overlap} overlapping, ${counts.invalid} can't be imported. ${selectedCount} selected.`;
+                selectAllCheckbox.checked = selectable.length > 0 && selectedCount === selectable.length;
+                runImportBtn.disabled = selectedCount === 0;
+            }
+
+            /**
+             * Lists the events in the chosen dates with the current rules applied. Events are checked only
+             * against earlier ticked events, so this runs again whenever a tick changes.
+             */
+            async function refreshEvents() {
+                if (!filePath) return;
+                try {
+                    ({ events } = await window.api.previewCalendarImport(filePath, getOptions()));
+                } catch (error) {
+                    console.error('Error listing calendar events:', error);
+                    events = [];
+                    eventsBody.innerHTML = '';
+                    summaryP.textContent = error.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, '');
+                    runImportBtn.disabled = true;
+                    return;
+                }
+                renderCalendarEvents(eventsBody, events, choices, refreshEvents);
+                updateSelectionSummary();
+            }
+
+            function showRules() {
+                renderCalendarRules(rulesDiv, rules, projectNames, refreshEvents);
+            }
+
+            function closePanel() {
+                filePath = null;
+                events = [];
+                choices.clear();
+                panel.hidden = true;
+                fileNameSpan.textContent = '';
+                eventsBody.innerHTML = '';
+            }
+
+            chooseFileBtn.addEventListener('click', async () => {
+                try {
+                    const file = await window.api.chooseCalendarFile();
+                    if (!file || file.canceled) return;
+                    const [currentSettings, names] = await Promise.all([window.api.getSettings(), window.api.getProjectNames()]);
+                    filePath = file.filePath;
+                    projectNames = names;
+                    rules = (currentSettings.calendarImportRules || []).map(rule => ({ ...rule }));
+                    choices.clear();
+
+                    fileNameSpan.textContent = `${file.fileName} (${file.eventCount} events, ${file.recurringCount} recurring)`;
+                    defaultProjectSelect.innerHTML = '<option value="">-- Don\'t import --</option>';
+                    projectNames.forEach(name => {
+                        const option = document.createElement('option');
+                        option.value = name;
+                        option.textContent = name;
+                        defaultProjectSelect.appendChild(option);
+                    });
+                    // Default to the last 30 days
+                    const today = new Date();
+                    const monthAgo = new Date(today);
+                    monthAgo.setDate(today.getDate() - 29);
+                    fromInput.value = formatDateYYYYMMDD(monthAgo);
+                    toInput.value = formatDateYYYYMMDD(today);
+
+                    panel.hidden = false;
+                    showRules();
+                    await refreshEvents();
+                } catch (error) {
+                    console.error('Error reading calendar file:', error);
+                    alert('Failed to read the calendar: ' + error.message);
+                }
+            });
+
+            [fromInput, toInput, defaultProjectSelect].forEach(input => input.addEventListener('change', refreshEvents));
+            addRuleBtn.addEventListener('click', () => {
+                rules.push({ text: '', project: '' });
+                showRules();
+                rulesDiv.querySelector('.calendar-rule:last-child .calendar-rule-text')?.focus();
+            });
+            selectAllCheckbox.addEventListener('change', () => {
+                events.filter(event => event.entry).forEach(event => choices.set(event.key, selectAllCheckbox.checked));
+                refreshEvents();
+            });
+            cancelImportBtn?.addEventListener('click', closePanel);
+
+            runImportBtn.addEventListener('click', async () => {
+                if (!filePath) return;
+                const selectedKeys = events.filter(event => isCalendarEventSelected(event, choices)).map(event => event.key);
+                runImportBtn.disabled = true;
+                try {
+                    const options = getOptions();
+                    const result = await window.api.importCalendarEvents(filePath, { ...options, selectedKeys });
+                    await window.api.updateSettings({ calendarImportRules: options.rules }); // Remember the rules for next time
+                    alert(`Imported ${result.imported} events as sessions.`);
+                    closePanel();
+                    await refreshDashboardData();
+                } catch (error) {
+                    console.error('Error importing calendar events:', error);
+                    alert('Failed to import events: ' + error.message);
+                    runImportBtn.disabled = false;
+                }
+            });
+        }
+
+        // --- Timesheet Grid ---
+
+        /** Rebuilds the Timesheet tab's grid for the chosen week. */
+        async function refreshTimesheetGrid() {
+            const table = document.getElementById('timesheet-grid');
+            const addProjectSelect = document.getElementById('timesheet-add-project');
+            if (!table) return;
+            try {
+                const [{ timesheet }, projectNames] = await Promise.all([
+                    window.api.buildTimesheet({ period: 'week', date: timesheetGridDate }),
+                    window.api.getProjectNames(),
+                ]);
+                document.getElementById('timesheet-grid-title').textContent = timesheet.title;
+                renderTimesheetGrid(table, timesheet, [...timesheetExtraProjects], async (project, date, minutes) => {
+                    await window.api.setTimesheetCell(date, project, minutes);
+                    await refreshDashboardData();
+                });
+
+                if (addProjectSelect) {
+                    const shown = new Set([...timesheet.rows.map(row => row.project), ...timesheetExtraProjects]);
+                    addProjectSelect.innerHTML = '<option value="">+ Add project row</option>';
+                    projectNames.filter(name => !shown.has(name)).forEach(name => {
+                        const option = document.createElement('option');
+                        option.value = name;
+                        option.textContent = name;
+                        addProjectSelect.appendChild(option);
+                    });
+                }
+            } catch (error) {
+                console.error('[Dashboard] Error loading timesheet grid:', error);
+                table.innerHTML = '<tr><td class="error">Failed to load the timesheet</td></tr>';
+            }
+        }
+
+        function initTimesheetGrid() {
+            const dateInput = document.getElementById('timesheet-grid-date');
+            const addProjectSelect = document.getElementById('timesheet-add-project');
+            if (!dateInput) {
+                console.error('Timesheet grid elements not found');
+                return;
+            }
+
+            /**
+             * Shows another week.
+             * @param {string} date - Any YYYY-MM-DD day in the week.
+             */
+            function showWeek(date) {
+                timesheetGridDate = date;
+                dateInput.value = date;
+                refreshTimesheetGrid();
+            }
+
+            /**
+             * Moves the grid one week back or forward.
+             * @param {number} step - -1 for the previous week, 1 for the next.
+             */
+            function shiftWeek(step) {
+                const date = new Date(`${timesheetGridDate}T00:00:00`);
+                date.setDate(date.getDate() + step * 7);
+                showWeek(formatDateYYYYMMDD(date));
+            }
+
+            dateInput.value = timesheetGridDate;
+            dateInput.addEventListener('change', () => {
+                if (dateInput.value) showWeek(dateInput.value);
+            });
+            document.getElementById('timesheet-grid-prev-btn')?.addEventListener('click', () => shiftWeek(-1));
+            document.getElementById('timesheet-grid-next-btn')?.addEventListener('click', () => shiftWeek(1));
+            document.getElementById('timesheet-grid-today-btn')?.addEventListener('click', () => showWeek(formatDateYYYYMMDD(new Date())));
+            addProjectSelect?.addEventListener('change', () => {
+                if (!addProjectSelect.value) return;
+                timesheetExtraProjects.add(addProjectSelect.value);
+                refreshTimesheetGrid();
+            });
+        }
+
+        // --- Reports ---
+
+        /**
+         * Offers every project as the client to invoice, indented under its parent.
+         * @param {Array<Object>} projectTree - Output of flattenProjectTree.
+         */
+        function populateInvoiceClientSelect(projectTree) {
+            const clientSelect = document.getElementById('invoice-client');
+            if (!clientSelect) return;
+            const selected = clientSelect.value;
+            clientSelect.innerHTML = '<option value="">-- Select Client --</option>';
+            projectTree.forEach(({ project, depth }) => {
+                const option = document.createElement('option');
+                option.value = project.id;
+                option.textContent = `${'\u00A0\u00A0'.repeat(depth - 1)}${project.name}`;
+                clientSelect.appendChild(option);
+            });
+            clientSelect.value = [...clientSelect.options].some(o => o.value === selected) ? selected : '';
+        }
+
+        function initReports() {
+            const fromInput = document.getElementById('invoice-from');
+            const toInput = document.getElementById('invoice-to');
+            const clientSelect = document.getElementById('invoice-client');
+            const groupBySelect = document.getElementById('invoice-group-by');
+            const roundingMinutesSelect = document.getElementById('invoice-rounding-minutes');
+            const roundingModeSelect = document.getElementById('invoice-rounding-mode');
+            const buildBtn = document.getElementById('build-invoice-btn');
+            const savePdfBtn = document.getElementById('save-invoice-pdf-btn');
+            const summarySpan = document.getElementById('invoice-summary');
+            const preview = document.getElementById('invoice-preview');
+
+            document.getElementById('open-timesheet-btn')?.addEventListener('click', async () => {
+                try {
+                    await window.api.openTimesheetWindow();
+                } catch (error) {
+                    console.error('Error opening timesheet:', error);
+                    alert('Failed to open the timesheet: ' + error.message);
+                }
+            });
+
+            if (!fromInput || !toInput || !clientSelect || !buildBtn || !savePdfBtn || !preview) {
+                console.error('Report elements not found');
+                return;
+            }
+
+            function getOptions() {
+                return {
+                    startDate: fromInput.value,
+                    endDate: toInput.value,
+                    clientId: clientSelect.value,
+                    groupBy: groupBySelect.value,
+                    rounding: { minutes: Number(roundingMinutesSelect.value), mode: roundingModeSelect.value },
+                };
+            }
+
+            // Changing any option means the preview no longer matches what Save PDF would produce
+            function clearPreview() {
+                preview.srcdoc = '';
+                preview.hidden = true;
+                savePdfBtn.disabled = true;
+                summarySpan.textContent = '';
+            }
+
+            // Default to last month, the usual invoicing period
+            const today = new Date();
+            fromInput.value = formatDateYYYYMMDD(new Date(today.getFullYear(), today.getMonth() - 1, 1));
+            toInput.value = formatDateYYYYMMDD(new Date(today.getFullYear(), today.getMonth(), 0));
+            roundingModeSelect.disabled = roundingMinutesSelect.value === '0';
+
+            [fromInput, toInput, clientSelect, groupBySelect, roundingModeSelect].forEach(input => input.addEventListener('change', clearPreview));
+            roundingMinutesSelect.addEventListener('change', () => {
+                roundingModeSelect.disabled = roundingMinutesSelect.value === '0';
+                clearPreview();
+            });
+
+            buildBtn.addEventListener('click', async () => {
+                if (!clientSelect.value) {
+                    alert('Choose the client to invoice.');
+                    return;
+                }
+                try {
+                    const { invoice, html } = await window.api.buildInvoice(getOptions());
+                    const sessionCount = invoice.groups.reduce((sum, group) => sum + group.items.length, 0);
+                    const amounts = invoice.totals.amounts.map(({ amount, currency }) => `${amount.toFixed(2)} ${currency}`).join(' + ');
+                    summarySpan.textContent = `${sessionCount} session${sessionCount === 1 ? '' : 's'}, ` +
+                        `${formatMinutesToHoursMinutes(invoice.totals.billedMinutes)} billed${amounts ? `, ${amounts}` : ''}` +
+                        (invoice.unrated.count > 0 ? ` (${invoice.unrated.count} without a rate)` : '');
+                    preview.srcdoc = html;
+                    preview.hidden = false;
+                    savePdfBtn.disabled = false;
+                } catch (error) {
+                    console.error('Error building invoice:', error);
+                    clearPreview();
+                    alert('Failed to build the invoice: ' + error.message);
+                }
+            });
+
+            savePdfBtn.addEventListener('click', async () => {
+                savePdfBtn.disabled = true;
+                try {
+                    const result = await window.api.saveInvoicePdf(getOptions());
+                    if (result.success) {
+                        summarySpan.textContent = `Saved to ${result.filePath}`;
+                    }
+                } catch (error) {
+                    console.error('Error saving invoice PDF:', error);
+                    alert('Failed to save the PDF: ' + error.message);
+                } finally {
+                    savePdfBtn.disabled = false;
+                }
+            });
+        }
+
         // --- Event Listeners ---
         // Chart Date Filters
         dateFilterButtons.forEach(button => {
@@ -422,6 +2052,93 @@
         });
         applyCustomDateButton.addEventListener('click', () => handleDateFilterChange('custom'));
 
+        // Undo/Redo buttons and Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z, Ctrl+Y
+        undoBtn?.addEventListener('click', () => stepHistory('undo'));
+        redoBtn?.addEventListener('click', () => stepHistory('redo'));
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            // Leave text fields their own undo
+            if (e.target.closest('input, textarea, select')) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z') {
+                e.preventDefault();
+                stepHistory(e.shiftKey ? 'redo' : 'undo');
+            } else if (key === 'y') {
+                e.preventDefault();
+                stepHistory('redo');
+            }
+        });
+
+        // Row Selection & Bulk Actions
+        selectPageCheckbox?.addEventListener('change', (e) => {
+            const { visibleSessions } = calculateVisibleSessions();
+            visibleSessions.forEach(s => {
+                if (e.target.checked) selectedSessionIds.add(s.id);
+                else selectedSessionIds.delete(s.id);
+            });
+            refreshSessionDisplay();
+        });
+
+        selectAllMatchingBtn?.addEventListener('click', () => {
+            const { matchingSessions } = calculateVisibleSessions();
+            matchingSessions.forEach(s => selectedSessionIds.add(s.id));
+            refreshSessionDisplay();
+        });
+
+        document.getElementById('bulk-clear-btn')?.addEventListener('click', () => {
+            selectedSessionIds.clear();
+            refreshSessionDisplay();
+        });
+
+        document.getElementById('bulk-delete-btn')?.addEventListener('click', async () => {
+            const count = selectedSessionIds.size;
+            if (!confirm(`Delete ${count} selected session${count === 1 ? '' : 's'}? You can undo this.`)) return;
+            if (await applyBulkAction({ type: 'delete' })) {
+                selectedSessionIds.clear();
+                refreshSessionDisplay();
+            }
+        });
+
+        document.getElementById('bulk-reassign-btn')?.addEventListener('click', async () => {
+            if (!bulkProjectSelect.value) {
+                alert('Choose a project to move the selected sessions to.');
+                return;
+            }
+            await applyBulkAction({ type: 'reassign', project: bulkProjectSelect.value });
+        });
+
+        document.getElementById('bulk-shift-btn')?.addEventListener('click', async () => {
+            if (await applyBulkAction({ type: 'shift-date', days: Number(bulkShiftDaysInput.value) })) {
+                bulkShiftDaysInput.value = '';
+            }
+        });
+
+        document.getElementById('bulk-append-btn')?.addEventListener('click', async () => {
+            if (await applyBulkAction({ type: 'append-notes', text: bulkNotesInput.value })) {
+                bulkNotesInput.value = '';
+            }
+        });
+
+        document.getElementById('bulk-billable-btn')?.addEventListener('click', async () => {
+            await applyBulkAction({ type: 'set-billable', billable: bulkBillableSelect.value });
+        });
+
+        // Sortable Column Headers
+        document.querySelectorAll('#recent-sessions-table th.sortable').forEach(th => {
+            th.addEventListener('click', () => handleSortClick(th.dataset.sortKey));
+        });
+
+        // Session Search (debounced so typing doesn't re-render on every keystroke)
+        let searchDebounceId = null;
+        sessionSearchInput?.addEventListener('input', (e) => {
+            clearTimeout(searchDebounceId);
+            searchDebounceId = setTimeout(() => {
+                currentSearch = parseSearchQuery(e.target.value);
+                currentPage = 1;
+                refreshSessionDisplay();
+            }, 150);
+        });
+
         // Session Table Filters & Pagination
         projectFilterSelect?.addEventListener('change', (e) => {
             currentProjectFilter = e.target.value;
@@ -448,7 +2165,27 @@
 
         // --- Initialization ---
         setupTabs(); // Set up tab functionality
+        try {
+            const { sessionSort } = await window.api.getSettings();
+            if (sessionSort && sessionSort.primary) currentSort = sessionSort; // Restore the last sort
+        } catch (error) {
+            console.error('[Dashboard] Error loading session sort:', error);
+        }
+        updateSortIndicators(currentSort);
         await initProjectManagement(); // Setup project add/delete/color
+        initChartGrouping(); // Setup chart roll-up / drilldown controls
+        initAddSessionForm(); // Setup manual session entry
+        initExportPanel(); // Setup session export
+        await initFilterBuilder(); // Setup structured filters and saved views
+        await populateBulkProjectSelect(); // Project choices for bulk reassignment
+        await initSettings(); // Setup storage backend controls
+        initImportWizard(); // Setup importing from other trackers
+        initCalendarImport(); // Setup importing calendar events
+        initReports(); // Setup the invoice report
+        initTimesheetGrid(); // Setup the editable weekly timesheet
+        await initTimerSettings(); // Setup timed session (focus block) settings
+        await initIdleSettings(); // Setup idle detection threshold
+        await initGoalSettings(); // Setup the global daily goal
         await refreshDashboardData(); // Load initial data, populate filter, and display sessions/charts (will default to page 1)
 
         // Initial display is handled by refreshDashboardData calling refreshSessionDisplay,
@@ -5,16 +5,59 @@ const { contextBridge, ipcRenderer } = require('electron');
 contextBridge.exposeInMainWorld('api', {
   loadSessions: () => ipcRenderer.invoke('load-sessions'),
   updateSession: (id, field, value) => ipcRenderer.invoke('update-session', id, field, value),
+  addSession: (sessionData) => ipcRenderer.invoke('add-session', sessionData),
+  setTimesheetCell: (date, project, minutes) => ipcRenderer.invoke('set-timesheet-cell', date, project, minutes),
+  bulkUpdateSessions: (ids, action) => ipcRenderer.invoke('bulk-update-sessions', ids, action),
   deleteSession: (id) => ipcRenderer.invoke('delete-session', id), // Add this line
   // Project-related methods
   loadProjects: () => ipcRenderer.invoke('load-projects'),
   addProject: (projectData) => ipcRenderer.invoke('add-project', projectData),
-  deleteProject: (id) => ipcRenderer.invoke('delete-project', id),
+  deleteProject: (id, options) => ipcRenderer.invoke('delete-project', id, options),
+  moveProject: (id, parentId) => ipcRenderer.invoke('move-project', id, parentId),
+  updateProjectGoals: (id, goals) => ipcRenderer.invoke('update-project-goals', id, goals),
+  updateProjectBilling: (id, billing) => ipcRenderer.invoke('update-project-billing', id, billing),
+  getGoalProgress: () => ipcRenderer.invoke('get-goal-progress'),
+  setProjectArchived: (id, archived) => ipcRenderer.invoke('set-project-archived', id, archived),
+  renameProject: (id, newName) => ipcRenderer.invoke('rename-project', id, newName),
   updateProjectColor: (id, color) => ipcRenderer.invoke('update-project-color', id, color),
   // Add the new handler
   getComparisonStats: () => ipcRenderer.invoke('get-comparison-stats'),
   // Add the new method here
   getProjectNames: () => ipcRenderer.invoke('get-project-names'),
+  // Sessions whose project isn't in the projects list
+  getOrphanedProjects: () => ipcRenderer.invoke('get-orphaned-projects'),
+  mergeOrphanedProject: (orphanName, targetProject) => ipcRenderer.invoke('merge-orphaned-project', orphanName, targetProject),
+  createProjectFromOrphan: (orphanName, color) => ipcRenderer.invoke('create-project-from-orphan', orphanName, color),
+  // Saved session views
+  loadViews: () => ipcRenderer.invoke('load-views'),
+  saveView: (name, filter) => ipcRenderer.invoke('save-view', name, filter),
+  deleteView: (id) => ipcRenderer.invoke('delete-view', id),
+  // Undo/redo history
+  undo: () => ipcRenderer.invoke('undo'),
+  redo: () => ipcRenderer.invoke('redo'),
+  getHistoryState: () => ipcRenderer.invoke('get-history-state'),
+  // Settings methods
+  getSettings: () => ipcRenderer.invoke('get-settings'),
+  updateSettings: (changes) => ipcRenderer.invoke('update-settings', changes),
+  // Storage backend methods
+  getStorageInfo: () => ipcRenderer.invoke('get-storage-info'),
+  switchStorageBackend: (backendName) => ipcRenderer.invoke('switch-storage-backend', backendName),
+  exportSessionsCSV: () => ipcRenderer.invoke('export-sessions-csv'),
+  exportSessions: (options) => ipcRenderer.invoke('export-sessions', options),
+  // Import from other trackers
+  chooseImportFile: () => ipcRenderer.invoke('choose-import-file'),
+  suggestImportMapping: (source, headers) => ipcRenderer.invoke('suggest-import-mapping', source, headers),
+  previewImport: (filePath, options) => ipcRenderer.invoke('preview-import', filePath, options),
+  importSessions: (filePath, options) => ipcRenderer.invoke('import-sessions', filePath, options),
+  chooseCalendarFile: () => ipcRenderer.invoke('choose-calendar-file'),
+  previewCalendarImport: (filePath, options) => ipcRenderer.invoke('preview-calendar-import', filePath, options),
+  importCalendarEvents: (filePath, options) => ipcRenderer.invoke('import-calendar-events', filePath, options),
+  // Reports
+  buildInvoice: (options) => ipcRenderer.invoke('build-invoice', options),
+  saveInvoicePdf: (options) => ipcRenderer.invoke('save-invoice-pdf', options),
+  openTimesheetWindow: () => ipcRenderer.invoke('open-timesheet-window'),
+  buildTimesheet: (options) => ipcRenderer.invoke('build-timesheet', options),
+  saveTimesheet: (options, format) => ipcRenderer.invoke('save-timesheet', options, format),
 });
 
 // Window ID storage
@@ -0,0 +1,57 @@
+const fsPromises = require('fs').promises;
+const { ACTIVE_SESSION_FILE_PATH } = require('./paths');
+const { enqueueWrite } = require('./write-queue');
+const { writeFileAtomic } = require('./utils');
+
+// The running tray session is mirrored to active-session.json so that quitting,
+// a crash or a reboot doesn't lose it. The file only exists while a session is running.
+
+/**
+ * Reads the persisted active session, if any.
+ * @returns {Promise<Object | null>} The saved state { projectName, startTime, lastSeenTime, ... } or null.
+ */
+async function loadActiveSession() {
+  try {
+    const fileContent = await fsPromises.readFile(ACTIVE_SESSION_FILE_PATH, 'utf8');
+    const state = JSON.parse(fileContent);
+    if (!state || typeof state.projectName !== 'string' || isNaN(new Date(state.startTime).getTime())) {
+      console.warn('[Active Session] Ignoring invalid active-session.json:', state);
+      return null;
+    }
+    return state;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('[Active Session] Error reading active-session.json:', error);
+    }
+    return null;
+  }
+}
+
+/**
+ * Persists the active session state, replacing any previous state.
+ * @param {Object} state - { projectName, startTime, lastSeenTime, ... } with ISO date strings.
+ * @returns {Promise<void>}
+ */
+async function saveActiveSession(state) {
+  return enqueueWrite(() => writeFileAtomic(ACTIVE_SESSION_FILE_PATH, JSON.stringify(state, null, 2)));
+}
+
+/**
+ * Removes the persisted active session once it has been saved or discarded.
+ * @returns {Promise<void>}
+ */
+async function clearActiveSession() {
+  return enqueueWrite(async () => {
+    try {
+      await fsPromises.unlink(ACTIVE_SESSION_FILE_PATH);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  });
+}
+
+module.exports = {
+  loadActiveSession,
+  saveActiveSession,
+  clearActiveSession,
+};
@@ -1,9 +1,12 @@
 const { app, BrowserWindow } = require('electron');
 const dataManager = require('./data-manager');
 const windowManager = require('./window-manager');
+const activeSession = require('./active-session');
+const settings = require('./settings');
+const goals = require('./goals');
 const { registerIpcHandlers } = require('./ipc-handlers');
 const shortcuts = require('./shortcuts');
-const { createTray } = require('../../tray'); // Adjust path relative to this file
+const { createTray, togglePause } = require('../../tray'); // Adjust path relative to this file
 
 let trayInstance = null; // Keep tray instance internal to this module
 
@@ -16,8 +19,8 @@ function initializeAppLifecycle() {
   app.whenReady().then(async () => {
     // Step 1: Ensure data files exist using the Data Manager
     await dataManager.ensureDataFilesExist();
-    console.log('Data file path:', dataManager.DATA_FILE_PATH);
-    console.log('Projects file path:', dataManager.PROJECTS_FILE_PATH);
+    console.log('Storage backend:', dataManager.getStorageInfo().backend);
+    console.log('Data location:', dataManager.getStorageInfo().location);
 
     // Step 2: Register IPC Handlers
     registerIpcHandlers();
@@ -27,7 +30,13 @@ function initializeAppLifecycle() {
       loadProjects: () => dataManager.loadAndMigrateProjects(),
       saveSession: (sessionData) => dataManager.saveSession(sessionData),
       showNotesDialog: (dialogData) => windowManager.showNotesDialog(dialogData),
+      loadActiveSession: () => activeSession.loadActiveSession(),
+      saveActiveSession: (state) => activeSession.saveActiveSession(state),
+      clearActiveSession: () => activeSession.clearActiveSession(),
+      loadSettings: () => settings.loadSettings(),
+      getGoalProgress: (options) => goals.getGoalProgress(options),
       createDashboardWindow: () => windowManager.createDashboardWindow(),
+      createTimesheetWindow: () => windowManager.createTimesheetWindow(),
       createProjectManagerWindow: () => windowManager.createProjectManagerWindow
     };
 
@@ -44,6 +53,7 @@ function initializeAppLifecycle() {
 
     // Step 5: Register global shortcut using the shortcuts module
     shortcuts.registerGlobalShortcut(trayInstance);
+    shortcuts.registerPauseShortcut(togglePause);
   });
 
   app.on('will-quit', () => {
@@ -0,0 +1,178 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const dataManager = require('./data-manager');
+const { markConflicts } = require('./import');
+const { parseIcsEvents, getOccurrences } = require('./ics');
+const { formatDateYYYYMMDD } = require('./utils');
+
+// Importing calendar (.ics) events as sessions. Events are listed for a chosen date range, with
+// recurring events expanded, and get a project from rules matching their summary text
+// ({ text, project }, stored in settings.calendarImportRules). The user ticks the events to import.
+
+/**
+ * Reads the events of an iCalendar file.
+ * @param {string} filePath - The .ics file.
+ * @returns {Promise<Array<Object>>} Events, see ics.parseIcsEvents.
+ */
+async function readCalendarFile(filePath) {
+  const text = await fsPromises.readFile(filePath, 'utf8');
+  if (!/BEGIN:VCALENDAR/i.test(text)) {
+    throw new Error('The file is not an iCalendar (.ics) file');
+  }
+  return parseIcsEvents(text);
+}
+
+/**
+ * Checks a YYYY-MM-DD range and turns it into local start and end moments.
+ * @param {string} startDate - First day (inclusive).
+ * @param {string} endDate - Last day (inclusive).
+ * @returns {{rangeStart: Date, rangeEnd: Date}}
+ */
+function parseRange(startDate, endDate) {
+  const rangeStart = new Date(`${startDate}T00:00:00`);
+  const rangeEnd = new Date(`${endDate}T23:59:59.999`);
+  if (isNaN(rangeStart.getTime()) || isNaN(rangeEnd.getTime())) {
+    throw new Error('Choose the dates to import events from');
+  }
+  if (rangeStart > rangeEnd) {
+    throw new Error('Start date cannot be after end date');
+  }
+  return { rangeStart, rangeEnd };
+}
+
+/**
+ * Finds the project for an event from the first rule whose text appears in its summary.
+ * @param {string} summary - The event summary.
+ * @param {Array<Object>} rules - [{ text, project }]
+ * @returns {string|null} The project name, or null if no rule matches.
+ */
+function findRuleProject(summary, rules) {
+  const text = summary.toLowerCase();
+  const rule = rules.find(r => r.text && text.includes(r.text.toLowerCase()));
+  return rule ? rule.project : null;
+}
+
+/**
+ * Summarises a calendar file for the import panel.
+ * @param {string} filePath - The .ics file.
+ * @returns {Promise<Object>} { filePath, fileName, eventCount, recurringCount, firstDate, lastDate }
+ */
+async function analyzeCalendarFile(filePath) {
+  const events = await readCalendarFile(filePath);
+  const dates = events
+    .map(event => `${event.start.parts.year}-${String(event.start.parts.month).padStart(2, '0')}-${String(event.start.parts.day).padStart(2, '0')}`)
+    .sort();
+  return {
+    filePath,
+    fileName: path.basename(filePath),
+    eventCount: events.length,
+    recurringCount: events.filter(event => event.rrule).length,
+    firstDate: dates[0] || null,
+    lastDate: dates[dates.length - 1] || null,
+  };
+}
+
+/**
+ * Lists the events in a range as candidate sessions. Each gets a `key` to select it by, the project
+ * from the rules (or the default project) and a status: 'new', 'duplicate', 'overlap' or 'invalid'
+ * (all-day events and events of a day or longer, with the reason in `error`).
+ * Events are only checked against earlier events that are selected. Without `selectedKeys`, an event is
+ * selected if ticked in `choices`, or when untouched there, if it's new and has a project.
+ * @param {string} filePath - The .ics file.
+ * @param {Object} options - { startDate, endDate, rules?: [{ text, project }], defaultProject?,
+ *   choices?: { key: ticked }, selectedKeys?: [key] }
+ * @returns {Promise<Object>} { events: [{ key, summary, description, categories, recurring, project, status,
+ *   error?, conflict?, entry?: { date, start_time, end_time, duration_minutes, startTime, endTime } }] }
+ */
+async function previewCalendarImport(filePath, { startDate, endDate, rules = [], defaultProject = '', choices = {}, selectedKeys } = {}) {
+  const { rangeStart, rangeEnd } = parseRange(startDate, endDate);
+  const occurrences = getOccurrences(await readCalendarFile(filePath), rangeStart, rangeEnd);
+  const usedKeys = new Set();
+
+  const results = occurrences.map((occurrence, index) => {
+    let key = `${occurrence.uid || 'event'}|${occurrence.start.getTime()}`;
+    if (usedKeys.has(key)) key = `${key}|${index}`;
+    usedKeys.add(key);
+
+    const result = {
+      key,
+      summary: occurrence.summary,
+      description: occurrence.description,
+      categories: occurrence.categories,
+      recurring: occurrence.recurring,
+      project: findRuleProject(occurrence.summary, rules) || defaultProject || '',
+      status: 'new',
+    };
+    // Date, times and duration are worked out the same way as for sessions timed by the tray
+    const durationMinutes = Math.round((occurrence.end - occurrence.start) / (1000 * 60));
+    if (occurrence.allDay) {
+      return { ...result, status: 'invalid', error: 'All-day events have no start and end time' };
+    }
+    if (durationMinutes >= 24 * 60) {
+      return { ...result, status: 'invalid', error: 'Events of a day or longer can\'t be imported' };
+    }
+    if (durationMinutes <= 0) {
+      return { ...result, status: 'invalid', error: 'The event has no duration' };
+    }
+    result.entry = {
+      date: formatDateYYYYMMDD(occurrence.start),
+      start_time: occurrence.start.toTimeString().split(' ')[0],
+      end_time: occurrence.end.toTimeString().split(' ')[0],
+      duration_minutes: durationMinutes,
+      startTime: occurrence.start.toISOString(),
+      endTime: occurrence.end.toISOString(),
+    };
+    return result;
+  });
+
+  const selected = selectedKeys ? new Set(selectedKeys) : null;
+  await markConflicts(results, result => {
+    if (selected) return selected.has(result.key);
+    if (choices[result.key] !== undefined) return Boolean(choices[result.key]);
+    return result.status === 'new' && Boolean(result.project);
+  });
+  console.log(`[Calendar Import] Listed ${results.length} events from ${filePath} between ${startDate} and ${endDate}`);
+  return { events: results };
+}
+
+/**
+ * Imports the selected events as sessions, as one undoable change.
+ * @param {string} filePath - The .ics file.
+ * @param {Object} options - The preview options plus { selectedKeys: [key] }.
+ * @returns {Promise<Object>} { success, imported }
+ */
+async function importCalendarEvents(filePath, options = {}) {
+  const selectedKeys = new Set(Array.isArray(options.selectedKeys) ? options.selectedKeys : []);
+  if (selectedKeys.size === 0) {
+    throw new Error('Select at least one event to import');
+  }
+  const { events } = await previewCalendarImport(filePath, options);
+  const selected = events.filter(event => selectedKeys.has(event.key));
+  if (selected.length !== selectedKeys.size) {
+    throw new Error('Some selected events are no longer in the file or the date range');
+  }
+
+  const projectNames = await dataManager.getProjectNames();
+  selected.forEach(event => {
+    if (!event.entry) throw new Error(`"${event.summary}" can't be imported: ${event.error}`);
+    if (!event.project) throw new Error(`Choose a project for "${event.summary}"`);
+    if (!projectNames.includes(event.project)) throw new Error(`Project "${event.project}" not found`);
+  });
+
+  const imported = await dataManager.importTrackedSessions(selected.map(event => ({
+    startTime: event.entry.startTime,
+    endTime: event.entry.endTime,
+    durationMinutes: event.entry.duration_minutes,
+    projectName: event.project,
+    notes: event.summary,
+    tags: event.categories,
+  })));
+  console.log(`[Calendar Import] Imported ${imported.length} events from ${filePath}`);
+  return { success: true, imported: imported.length };
+}
+
+module.exports = {
+  analyzeCalendarFile,
+  previewCalendarImport,
+  importCalendarEvents,
+};
@@ -1,16 +1,26 @@
-const { app } = require('electron');
-const path = require('path');
+const { app, dialog } = require('electron');
 const fsPromises = require('fs').promises;
-const Papa = require('papaparse');
+const { USER_DATA_PATH, DATA_FILE_PATH, PROJECTS_FILE_PATH, DATABASE_FILE_PATH } = require('./paths');
+const { enqueueWrite } = require('./write-queue');
+const settings = require('./settings');
+const history = require('./history');
+const views = require('./views');
+const projectTree = require('./project-tree');
+const { extractHashtags, parseTags, formatTags } = require('./tags');
+const { STORAGE_BACKENDS, createStorage, createCsvStorage } = require('./storage');
+const { generateSessionId, formatBillable } = require('./storage/session-schema');
+const { formatDateYYYYMMDD } = require('./utils');
 
-// --- Constants ---
-const USER_DATA_PATH = path.join(app.getPath('userData'), 'juju');
-const DATA_FILE_PATH = path.join(USER_DATA_PATH, 'data.csv');
-const PROJECTS_FILE_PATH = path.join(USER_DATA_PATH, 'projects.json');
+// --- Module State ---
+// The active storage backend. Everything below goes through it, so callers (IPC handlers, tray)
+// never need to know whether sessions live in data.csv or juju.db.
+let storage = null;
+// Why the configured backend couldn't be opened at startup, if Juju fell back to CSV; shown in Settings
+let storageFallbackError = null;
 
 /**
- * Ensures the user data directory and necessary files (data.csv, projects.json) exist.
- * Creates them with defaults if they don't.
+ * Ensures the user data directory exists and opens the configured storage backend,
+ * creating its files with defaults if they don't exist.
  */
 async function ensureDataFilesExist() {
   try {
@@ -18,45 +28,22 @@ async function ensureDataFilesExist() {
     await fsPromises.mkdir(USER_DATA_PATH, { recursive: true });
     console.log(`User data directory ensured: ${USER_DATA_PATH}`);
 
-    // Ensure data.csv exists
+    const { storageBackend } = await settings.loadSettings();
     try {
-      await fsPromises.access(DATA_FILE_PATH);
-      console.log(`data.csv found at: ${DATA_FILE_PATH}`);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        console.log('data.csv not found, creating default.');
-        const defaultDataPath = path.join(app.getAppPath(), 'data.csv'); // Check for bundled default relative to app root
-        try {
-          await fsPromises.access(defaultDataPath);
-          await fsPromises.copyFile(defaultDataPath, DATA_FILE_PATH);
-          console.log('Copied default data.csv.');
-        } catch (copyError) {
-          // Check if the error is ENOENT for the default file as well
-          if (copyError.code === 'ENOENT') {
-             console.log('Default data.csv not found in app path, creating empty.');
-          } else {
-             console.error('Error accessing/copying default data.csv:', copyError);
-          }
-          await fsPromises.writeFile(DATA_FILE_PATH, '', 'utf8'); // Create empty if no default or copy failed
-          console.log('Created empty data.csv.');
-        }
-      } else {
-        throw error; // Re-throw other access errors
-      }
+      storage = createStorage(storageBackend);
+      await storage.init();
+    } catch (backendError) {
+      if (storageBackend === 'csv') throw backendError;
+      console.error(`[Data Manager] Could not open ${storageBackend} storage, falling back to CSV:`, backendError);
+      storage = createStorage('csv');
+      await storage.init();
+      storageFallbackError = `Could not open ${storageBackend} storage (${backendError.message}). Juju is using CSV storage instead.`;
+      dialog.showErrorBox('Storage unavailable', `${storageFallbackError}\n\nSessions saved in ${storageBackend} storage won't show until it can be opened again.`);
     }
+    console.log(`[Data Manager] Using ${storage.name} storage at: ${storage.location}`);
 
-    // Ensure projects.json exists
-    try {
-      await fsPromises.access(PROJECTS_FILE_PATH);
-      console.log(`projects.json found at: ${PROJECTS_FILE_PATH}`);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        console.log('projects.json not found, creating default empty array.');
-        await fsPromises.writeFile(PROJECTS_FILE_PATH, JSON.stringify([], null, 2), 'utf8');
-      } else {
-        throw error; // Re-throw other access errors
-      }
-    }
+    // One-time migration: give every existing session row a persistent id
+    await enqueueWrite(() => storage.migrate());
   } catch (err) {
     console.error('Error ensuring data files exist:', err);
     // Consider more robust error handling? Maybe quit the app?
@@ -65,197 +52,300 @@ async function ensureDataFilesExist() {
 }
 
 /**
- * Reads and parses the data.csv file.
+ * Converts raw stored rows into session objects for callers (numeric duration).
+ * @param {Array<Object>} rows - Raw rows from the storage backend.
+ * @returns {Array<Object>} Session objects.
+ */
+function normalizeSessionRows(rows) {
+  return rows.map(session => ({
+      ...session,
+      // Convert duration string to number, default to 0 if invalid/missing
+      duration_minutes: session.duration_minutes ? parseInt(session.duration_minutes, 10) || 0 : 0,
+      pause_count: parseInt(session.pause_count, 10) || 0,
+      paused_minutes: parseInt(session.paused_minutes, 10) || 0,
+  }));
+}
+
+/**
+ * Loads sessions, persisting IDs first if any row lacks one.
+ * Unqueued: only call this from inside a queued write task.
+ * @param {Object} [filter] - { startDate?: string, endDate?: string, project?: string }
+ * @returns {Promise<Array<Object>>} Array of session objects.
+ */
+async function loadSessionsForWrite(filter = {}) {
+  let rows = await storage.readSessions(filter);
+  if (rows.some(row => !row.id)) {
+    await storage.migrate();
+    rows = await storage.readSessions(filter);
+  }
+  return normalizeSessionRows(rows);
+}
+
+/**
+ * Loads sessions from the active storage backend.
+ * If rows need IDs, the migration is queued like any other write so it can't clobber a concurrent mutation.
+ * @param {Object} [filter] - Optional { startDate, endDate } (YYYY-MM-DD, inclusive) and/or { project } to narrow the query.
  * @returns {Promise<Array<Object>>} A promise resolving to an array of session objects.
  */
-async function loadSessionsFromCSV() {
-  console.log(`[CSV] Loading sessions from: ${DATA_FILE_PATH}`);
+async function loadSessions(filter = {}) {
+  console.log(`[Data Manager] Loading sessions from ${storage.name} storage`, filter);
   try {
-      const csvData = await fsPromises.readFile(DATA_FILE_PATH, 'utf8');
-      // Use Papaparse to parse the CSV data
-      const parseResult = Papa.parse(csvData, {
-          header: true,        // First row contains headers
-          skipEmptyLines: true, // Ignore empty lines
-          dynamicTyping: false, // Keep original types as strings for consistency initially
-          transformHeader: header => header.trim(), // Trim whitespace from headers
-      });
-
-      if (parseResult.errors.length > 0) {
-          console.error('[CSV] Errors encountered during CSV parsing:', parseResult.errors);
-          // You might want to handle specific errors differently
+      const rows = await storage.readSessions(filter);
+      if (rows.some(row => !row.id)) {
+          return await enqueueWrite(() => loadSessionsForWrite(filter));
       }
-
-      // Add our internal numeric ID based on row index (0-based for data rows)
-      const sessions = parseResult.data.map((session, index) => ({
-          ...session, // Spread the parsed session data
-          id: index,  // Assign index as internal ID
-          // Convert duration string to number, default to 0 if invalid/missing
-          duration_minutes: session.duration_minutes ? parseInt(session.duration_minutes, 10) || 0 : 0,
-      }));
-
-      // console.log("[CSV] Parsed sessions count:", sessions.length); // Less verbose log
-      return sessions;
-
+      return normalizeSessionRows(rows);
   } catch (error) {
-      if (error.code === 'ENOENT') {
-          console.warn('[CSV] data.csv not found during load. Returning empty array.');
-          return []; // If the file doesn't exist, return empty data
-      }
-      // Log other file reading errors
-      console.error('[CSV] Error reading sessions file:', error);
+      console.error('[Data Manager] Error reading sessions:', error);
       // Rethrow the error to be caught by the IPC handler
       throw new Error(`Failed to load sessions data: ${error.message}`);
   }
 }
 
 /**
-* Updates a session and overwrites data.csv using papaparse.
-* @param {string|number} id - The internal ID (row index) of the session to update.
+ * Calculates the minutes between two times of day.
+ * An end time earlier than the start time is treated as running past midnight.
+ * @param {string} startTime - Start time as HH:MM or HH:MM:SS.
+ * @param {string} endTime - End time as HH:MM or HH:MM:SS.
+ * @returns {number} Duration in whole minutes.
+ */
+function calculateDurationMinutes(startTime, endTime) {
+  // Parse times - assuming format HH:MM or HH:MM:SS
+  const startParts = startTime.split(':').map(Number);
+  const endParts = endTime.split(':').map(Number);
+
+  // Create Date objects for calculation (using today's date)
+  const startDate = new Date();
+  startDate.setHours(startParts[0], startParts[1], startParts[2] || 0, 0);
+
+  const endDate = new Date();
+  endDate.setHours(endParts[0], endParts[1], endParts[2] || 0, 0);
+
+  // Handle overnight sessions (if end time is earlier than start time)
+  if (endDate < startDate) {
+    endDate.setDate(endDate.getDate() + 1);
+  }
+
+  return Math.round((endDate - startDate) / (1000 * 60));
+}
+
+/**
+ * Checks that a string is a real calendar date in YYYY-MM-DD form.
+ * @param {string} value - The value to check.
+ * @returns {boolean} True if valid.
+ */
+function isValidDateString(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00`);
+  return !isNaN(date.getTime()) && formatDateYYYYMMDD(date) === value;
+}
+
+/**
+ * Checks that a string is a time of day in HH:MM or HH:MM:SS form.
+ * @param {string} value - The value to check.
+ * @returns {boolean} True if valid.
+ */
+function isValidTimeString(value) {
+  return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(value);
+}
+
+/**
+ * Checks a new value for one session field, the same way for sessions entered by hand and for
+ * edits made in the sessions table, and returns it in stored form.
+ * @param {string} field - The session field.
+ * @param {*} value - The submitted value.
+ * @returns {*} The value to store. Throws if it is invalid.
+ */
+function validateSessionField(field, value) {
+  switch (field) {
+    case 'date':
+      if (!isValidDateString(value)) throw new Error('Please enter a valid date');
+      return value;
+    case 'start_time':
+    case 'end_time':
+      if (!isValidTimeString(value)) throw new Error('Please enter start and end times as HH:MM');
+      return value.length === 5 ? `${value}:00` : value; // Stored as HH:MM:SS like tray-recorded sessions
+    case 'project': {
+      const projectName = typeof value === 'string' ? value.trim() : '';
+      if (!projectName) throw new Error('Please choose a project');
+      return projectName;
+    }
+    case 'notes':
+      return typeof value === 'string' ? value.trim() : '';
+    case 'tags':
+      return formatTags(parseTags(value)); // Accepts "#a #b", "a, b", ...
+    case 'billable':
+      return formatBillable(value);
+    default:
+      return value;
+  }
+}
+
+/**
+* Updates a single field of a session.
+* @param {string} id - The persistent ID of the session to update.
 * @param {string} field - The header/key of the field to update.
 * @param {string} value - The new value for the field.
 * @returns {Promise<boolean>} True on success, throws error on failure.
 */
-async function updateSessionInCSV(id, field, value) {
-  const targetId = parseInt(id, 10);
-  if (isNaN(targetId)) {
-    throw new Error(`[CSV Update] Invalid session ID provided: ${id}`);
+async function updateSession(id, field, value) {
+  const targetId = id != null ? String(id) : '';
+  if (!targetId) {
+    throw new Error(`[Session Update] Invalid session ID provided: ${id}`);
   }
+  if (field === 'id') {
+    throw new Error('[Session Update] Session IDs cannot be edited');
+  }
+  value = validateSessionField(field, value);
 
-  console.log(`[CSV Update] Updating session ID ${targetId}, Field: ${field}, New Value: ${value}`);
-
-  // Load the current sessions using our Papaparse loader
-  let sessions = await loadSessionsFromCSV();
+  return enqueueWrite(async () => {
+    console.log(`[Session Update] Updating session ID ${targetId}, Field: ${field}, New Value: ${value}`);
 
-  // Find the index of the session to update
-  const sessionIndex = sessions.findIndex(s => s.id === targetId);
+    // Load the current sessions
+    const sessions = await loadSessionsForWrite();
 
-  if (sessionIndex === -1) {
-    console.error(`[CSV Update] Session with internal ID ${targetId} not found.`);
-    throw new Error(`Session with ID ${targetId} not found`);
-  }
+    // Find the session to update
+    const session = sessions.find(s => s.id === targetId);
 
-  // Update the field in the target session object in the array
-  sessions[sessionIndex][field] = value;
+    if (!session) {
+      console.error(`[Session Update] Session with ID ${targetId} not found.`);
+      throw new Error(`Session with ID ${targetId} not found`);
+    }
 
-  // Recalculate duration if time fields are updated
-  if (field === 'start_time' || field === 'end_time') {
-    const session = sessions[sessionIndex];
-    if (session.start_time && session.end_time) {
-      try {
-        // Parse times - assuming format HH:MM or HH:MM:SS
-        const startParts = session.start_time.split(':').map(Number);
-        const endParts = session.end_time.split(':').map(Number);
+    // Update the field in the target session object
+    const before = { ...session };
+    const changes = { id: targetId, [field]: value };
+    session[field] = value;
+    if ((field === 'start_time' || field === 'end_time') && session.start_time && session.end_time &&
+        calculateDurationMinutes(session.start_time, session.end_time) <= 0) {
+      throw new Error('End time must differ from start time');
+    }
 
-        // Create Date objects for calculation (using today's date)
-        const startDate = new Date();
-        startDate.setHours(startParts[0], startParts[1], startParts[2] || 0, 0);
+    // Hashtags typed into the notes are added to the session's tags
+    if (field === 'notes') {
+      const tags = formatTags([...parseTags(session.tags), ...extractHashtags(value)]);
+      if (tags !== (session.tags || '')) changes.tags = tags;
+    }
 
-        const endDate = new Date();
-        endDate.setHours(endParts[0], endParts[1], endParts[2] || 0, 0);
+    // Recalculate duration if time fields are updated
+    if (field === 'start_time' || field === 'end_time') {
+      if (session.start_time && session.end_time) {
+        try {
+          // Calculate duration in minutes, leaving out any time the session was paused
+          const pausedMinutes = parseInt(session.paused_minutes, 10) || 0;
+          const durationMinutes = Math.max(0, calculateDurationMinutes(session.start_time, session.end_time) - pausedMinutes);
 
-        // Handle overnight sessions (if end time is earlier than start time)
-        if (endDate < startDate) {
-          endDate.setDate(endDate.getDate() + 1);
+          // Update the duration field
+          changes.duration_minutes = durationMinutes.toString();
+          console.log(`[Session Update] Recalculated duration: ${durationMinutes} minutes`);
+        } catch (e) {
+          console.error(`[Session Update] Error calculating duration: ${e.message}`);
+          // Optionally reset duration if calculation fails?
         }
-
-        // Calculate duration in minutes
-        const durationMs = endDate - startDate;
-        const durationMinutes = Math.round(durationMs / (1000 * 60));
-
-        // Update the duration field
-        sessions[sessionIndex].duration_minutes = durationMinutes.toString();
-        console.log(`[CSV Update] Recalculated duration: ${durationMinutes} minutes`);
-      } catch (e) {
-        console.error(`[CSV Update] Error calculating duration: ${e.message}`);
-        // Optionally reset duration if calculation fails?
-        // sessions[sessionIndex].duration_minutes = '0';
+      } else {
+         // If one time is missing, maybe clear duration?
       }
-    } else {
-       // If one time is missing, maybe clear duration?
-       // sessions[sessionIndex].duration_minutes = '0';
     }
-  }
 
-  // Prepare data for writing: Remove our internal 'id' field
-  const dataToWrite = sessions.map(({ id, ...rest }) => rest);
-
-  // Determine headers dynamically from the first object (if any) to maintain order
-  const headers = dataToWrite.length > 0 ? Object.keys(dataToWrite[0]) : ['date', 'start_time', 'end_time', 'duration_minutes', 'project', 'notes'];
-
-  // Convert array of objects back to CSV string using Papaparse
-  const csvString = Papa.unparse(dataToWrite, {
-    columns: headers,
-    header: true,
-    quotes: true, // Ensure fields are quoted if they contain commas, quotes, or newlines
-    newline: "\n",
+    console.log('[Session Update] Writing updated session to storage...');
+    await storage.updateSessions([changes]);
+    await history.recordOperation(`Edit ${field.replace(/_/g, ' ')}`, {
+      sessions: { before: [before], after: [{ ...before, ...changes }] },
+    });
+    console.log('[Session Update] Session successfully updated.');
+    return true;
   });
-
-  console.log('[CSV Update] Writing updated data back to file...');
-  // Overwrite the file with the new CSV string
-  await fsPromises.writeFile(DATA_FILE_PATH, csvString, 'utf8');
-  console.log('[CSV Update] File successfully updated.');
-  return true;
 }
 
 /**
- * Reads, optionally migrates, and returns projects from projects.json.
+ * Reads projects from storage and applies the migration in memory, without writing anything.
  * Ensures all projects have an 'id'.
- * @returns {Promise<Array<Object>>} Array of project objects.
+ * @returns {Promise<{projects: Array<Object>, needsRewrite: boolean}>} Projects and whether they need rewriting.
  */
-async function loadAndMigrateProjects() {
+async function readProjects() {
   let needsRewrite = false;
-  try {
-    let fileContent;
-    try {
-      fileContent = await fsPromises.readFile(PROJECTS_FILE_PATH, 'utf8');
-    } catch (readError) {
-      if (readError.code === 'ENOENT') {
-        // File doesn't exist, handled by ensureDataFilesExist, but double-check
-        console.log('[loadProjects] projects.json confirmed not found, returning empty array.');
-        return [];
-      }
-      throw readError; // Re-throw other read errors
-    }
+  let projects = await storage.readProjects();
+  if (!Array.isArray(projects)) {
+      console.error('[loadProjects] Stored projects are not a valid JSON array. Resetting.');
+      projects = []; // Reset if content is not an array
+      needsRewrite = true;
+  }
 
-    let projects = JSON.parse(fileContent);
-    if (!Array.isArray(projects)) {
-        console.error('[loadProjects] projects.json does not contain a valid JSON array. Resetting.');
-        projects = []; // Reset if content is not an array
+  // --- Migration Logic ---
+  projects = projects.map(project => {
+    // Ensure it's an object and has a non-null 'id'
+    if (typeof project === 'object' && project !== null && (!project.hasOwnProperty('id') || project.id == null)) {
+      console.log(`[loadProjects] Found project missing ID: ${project.name || 'Unnamed Project'}. Adding ID.`);
+      needsRewrite = true;
+      return {
+        ...project,
+        id: Date.now().toString() + Math.random().toString(36).substring(2, 5), // Generate unique ID
+      };
+    }
+    // Remove entries that are not objects
+    if (typeof project !== 'object' || project === null) {
+        console.warn('[loadProjects] Found non-object entry in projects, removing:', project);
         needsRewrite = true;
+        return null; // Mark for removal
     }
-
-    // --- Migration Logic ---
-    projects = projects.map(project => {
-      // Ensure it's an object and has a non-null 'id'
-      if (typeof project === 'object' && project !== null && (!project.hasOwnProperty('id') || project.id == null)) {
-        console.log(`[loadProjects] Found project missing ID: ${project.name || 'Unnamed Project'}. Adding ID.`);
+    // Ensure 'name' exists and is a string, provide default if not
+    if (typeof project.name !== 'string') {
+        console.warn(`[loadProjects] Project with ID ${project.id} missing or has invalid name. Setting to 'Unnamed'.`);
+        project.name = 'Unnamed';
         needsRewrite = true;
-        return {
-          ...project,
-          id: Date.now().toString() + Math.random().toString(36).substring(2, 5), // Generate unique ID
-        };
-      }
-      // Remove entries that are not objects
-      if (typeof project !== 'object' || project === null) {
-          console.warn('[loadProjects] Found non-object entry in projects.json, removing:', project);
-          needsRewrite = true;
-          return null; // Mark for removal
-      }
-      // Ensure 'name' exists and is a string, provide default if not
-      if (typeof project.name !== 'string') {
-          console.warn(`[loadProjects] Project with ID ${project.id} missing or has invalid name. Setting to 'Unnamed'.`);
-          project.name = 'Unnamed';
-          needsRewrite = true;
-      }
+    }
+
+    return project;
+  }).filter(project => project !== null); // Remove null entries marked for removal
+
+  // Hierarchy: every project carries a parentId (null at the top level). Parents that are
+  // missing, circular or nested too deep are dropped, moving the project to the top level.
+  const byId = projectTree.indexProjects(projects);
+  projects.forEach(project => {
+    if (project.parentId === undefined || (project.parentId !== null && !byId.has(project.parentId))) {
+      project.parentId = null;
+      needsRewrite = true;
+      return;
+    }
+    if (project.parentId === null) return;
+    const path = projectTree.getProjectPath(project, byId);
+    if (path[0].parentId || path.length > projectTree.MAX_PROJECT_DEPTH) {
+      console.warn(`[loadProjects] Project "${project.name}" has an invalid parent. Moving it to the top level.`);
+      project.parentId = null;
+      needsRewrite = true;
+    }
+  });
+  // --- End Migration Logic ---
+
+  return { projects, needsRewrite };
+}
 
-      return project;
-    }).filter(project => project !== null); // Remove null entries marked for removal
-    // --- End Migration Logic ---
+/**
+ * Loads projects and persists any migration changes.
+ * Unqueued: only call this from inside a queued write task. Unlike loadAndMigrateProjects,
+ * read errors are thrown so a mutation never overwrites projects it failed to read.
+ * @returns {Promise<Array<Object>>} Array of project objects.
+ */
+async function loadProjectsForWrite() {
+  const { projects, needsRewrite } = await readProjects();
+  if (needsRewrite) {
+    console.log('[loadProjects] Rewriting projects due to migration or cleanup...');
+    await storage.writeProjects(projects);
+    console.log('[loadProjects] Projects rewrite complete.');
+  }
+  return projects;
+}
 
+/**
+ * Reads, optionally migrates, and returns projects.
+ * Ensures all projects have an 'id'. A needed rewrite is queued like any other write.
+ * @returns {Promise<Array<Object>>} Array of project objects.
+ */
+async function loadAndMigrateProjects() {
+  try {
+    const { projects, needsRewrite } = await readProjects();
     if (needsRewrite) {
-      console.log('[loadProjects] Rewriting projects.json due to migration or cleanup...');
-      await fsPromises.writeFile(PROJECTS_FILE_PATH, JSON.stringify(projects, null, 2), 'utf8');
-      console.log('[loadProjects] projects.json rewrite complete.');
+      return await enqueueWrite(loadProjectsForWrite);
     }
 
     // console.log('[loadProjects] Returning projects:', projects); // Verbose log
@@ -269,7 +359,7 @@ async function loadAndMigrateProjects() {
 }
 
 /**
- * Updates a project's color in projects.json.
+ * Updates a project's color in storage.
  * @param {string} id - The ID of the project to update.
  * @param {string} color - The new color value (hex format).
  * @returns {Promise<Object>} Object indicating success and the updated project.
@@ -284,24 +374,42 @@ async function updateProjectColor(id, color) {
         throw new Error('Invalid color format. Must be a hex color (e.g., #FF0000)');
     }
 
-    let projects = await loadAndMigrateProjects();
-    const projectIndex = projects.findIndex(p => p.id === id);
+    return enqueueWrite(async () => {
+        let projects = await loadProjectsForWrite();
+        const projectIndex = projects.findIndex(p => p.id === id);
 
-    if (projectIndex === -1) {
-        throw new Error(`Project with ID ${id} not found`);
-    }
+        if (projectIndex === -1) {
+            throw new Error(`Project with ID ${id} not found`);
+        }
+
+        // Update the color
+        const before = structuredClone(projects);
+        projects[projectIndex].color = color;
 
-    // Update the color
-    projects[projectIndex].color = color;
+        // Write back to file
+        await storage.writeProjects(projects);
+        await history.recordOperation('Change project color', { projects: { before, after: projects } });
+        return { success: true, project: projects[projectIndex] };
+    });
+}
 
-    // Write back to file
-    await fsPromises.writeFile(PROJECTS_FILE_PATH, JSON.stringify(projects, null, 2), 'utf8');
-    return { success: true, project: projects[projectIndex] };
+/**
+ * Builds a new project record with a fresh ID.
+ * @param {Object} projectData - { name, color?, parentId? } with the name already trimmed.
+ * @returns {Object} The project.
+ */
+function buildProjectRecord(projectData) {
+    return {
+        id: Date.now().toString() + Math.random().toString(36).substring(2, 5),
+        name: projectData.name,
+        color: projectData.color || '#4E79A7', // Use provided color or default
+        parentId: projectData.parentId || null
+    };
 }
 
 /**
- * Adds a new project to projects.json.
- * @param {Object} projectData - The project data { name: string, color?: string }.
+ * Adds a new project to storage.
+ * @param {Object} projectData - The project data { name: string, color?: string, parentId?: string }.
  * @returns {Promise<Object>} Object indicating success and the new project.
  */
 async function addProject(projectData) {
@@ -316,173 +424,690 @@ async function addProject(projectData) {
     const trimmedName = projectData.name.trim();
     console.log(`[Data Manager - addProject] Name validated: "${trimmedName}". Loading projects...`);
 
-    const projects = await loadAndMigrateProjects();
+    return enqueueWrite(async () => {
+        const projects = await loadProjectsForWrite();
+
+        // Check for duplicate names (case-insensitive)
+        if (projects.some(p => p.name.toLowerCase() === trimmedName.toLowerCase())) {
+            console.warn(`[Data Manager - addProject] Project with name "${trimmedName}" already exists.`);
+            throw new Error(`Project named "${trimmedName}" already exists`);
+        }
+
+        // Create the new project object with optional color and parent
+        const newProject = buildProjectRecord({ ...projectData, name: trimmedName });
+        const parentError = projectTree.validateParent(newProject, newProject.parentId, projects);
+        if (parentError) {
+            throw new Error(parentError);
+        }
+        console.log('[Data Manager - addProject] New project object created:', newProject);
+
+        const before = structuredClone(projects);
+        projects.push(newProject);
+
+        console.log(`[Data Manager - addProject] Writing updated projects array to ${storage.name} storage.`);
+        try {
+            await storage.writeProjects(projects);
+            await history.recordOperation('Add project', { projects: { before, after: projects } });
+            console.log(`[Data Manager - addProject] Projects written. Project "${trimmedName}" added.`);
+            return { success: true, project: newProject };
+        } catch (writeError) {
+            console.error('[Data Manager - addProject] Error writing projects file:', writeError);
+            throw writeError;
+        }
+    });
+}
 
-    // Check for duplicate names (case-insensitive)
-    if (projects.some(p => p.name.toLowerCase() === trimmedName.toLowerCase())) {
-        console.warn(`[Data Manager - addProject] Project with name "${trimmedName}" already exists.`);
-        throw new Error(`Project named "${trimmedName}" already exists`);
+/**
+ * Points saved views and calendar import rules, which name projects like sessions do, at a new name.
+ * Unqueued: only call this from inside a queued write task.
+ * @param {string} oldName - The project's previous name.
+ * @param {string} newName - Its new name.
+ * @returns {Promise<void>}
+ */
+async function renameProjectReferences(oldName, newName) {
+    await views.renameProjectInViews(oldName, newName);
+    const { calendarImportRules } = await settings.loadSettings();
+    if (Array.isArray(calendarImportRules) && calendarImportRules.some(rule => rule.project === oldName)) {
+        await settings.writeSettingsChanges({
+            calendarImportRules: calendarImportRules.map(rule => (rule.project === oldName ? { ...rule, project: newName } : rule)),
+        });
     }
+}
 
-    // Create the new project object with optional color
-    const newProject = {
-        id: Date.now().toString() + Math.random().toString(36).substring(2, 5),
-        name: trimmedName,
-        color: projectData.color || '#4E79A7' // Use provided color or default
-    };
-    console.log('[Data Manager - addProject] New project object created:', newProject);
+/**
+ * Renames a project and every session recorded under its old name, as one undoable change.
+ * Sessions reference projects by name, so without the cascade a rename would orphan them.
+ * Saved views and calendar import rules follow the new name too.
+ * @param {string} id - The ID of the project to rename.
+ * @param {string} newName - The new project name.
+ * @returns {Promise<Object>} { success: true, project, updatedSessions }
+ */
+async function renameProject(id, newName) {
+    if (!id) {
+        throw new Error('No project ID provided for rename.');
+    }
+    const trimmedName = typeof newName === 'string' ? newName.trim() : '';
+    if (!trimmedName) {
+        throw new Error('Project name cannot be empty');
+    }
+
+    return enqueueWrite(async () => {
+        const projects = await loadProjectsForWrite();
+        const project = projects.find(p => p.id === id);
+        if (!project) {
+            throw new Error(`Project with ID ${id} not found`);
+        }
+        const oldName = project.name;
+        if (oldName === trimmedName) {
+            return { success: true, project, updatedSessions: 0 };
+        }
+
+        // Same case-insensitive check as addProject, ignoring the project itself so "acme" -> "Acme" works
+        if (projects.some(p => p.id !== id && p.name.toLowerCase() === trimmedName.toLowerCase())) {
+            console.warn(`[Data Manager - renameProject] Project with name "${trimmedName}" already exists.`);
+            throw new Error(`Project named "${trimmedName}" already exists`);
+        }
 
-    projects.push(newProject);
+        const projectsBefore = structuredClone(projects);
+        project.name = trimmedName;
 
-    console.log('[Data Manager - addProject] Writing updated projects array to file:', PROJECTS_FILE_PATH);
-    try {
-        await fsPromises.writeFile(PROJECTS_FILE_PATH, JSON.stringify(projects, null, 2), 'utf8');
-        console.log(`[Data Manager - addProject] File written. Project "${trimmedName}" added.`);
-        return { success: true, project: newProject };
-    } catch (writeError) {
-        console.error('[Data Manager - addProject] Error writing projects file:', writeError);
-        throw writeError;
+        const sessions = await loadSessionsForWrite();
+        const affected = sessions.filter(session => session.project === oldName);
+        const sessionChanges = affected.map(session => ({ id: session.id, project: trimmedName }));
+
+        // Sessions, projects, views and settings live in separate files (or tables), so if a later
+        // write fails the earlier ones are put back rather than leaving anything pointing at a name
+        // that doesn't exist.
+        await storage.updateSessions(sessionChanges);
+        let projectsWritten = false;
+        try {
+            await storage.writeProjects(projects);
+            projectsWritten = true;
+            await renameProjectReferences(oldName, trimmedName);
+        } catch (error) {
+            console.error('[Data Manager - renameProject] Rename failed, restoring the old name:', error);
+            await storage.updateSessions(affected.map(session => ({ id: session.id, project: oldName })));
+            if (projectsWritten) {
+                await storage.writeProjects(projectsBefore);
+                await renameProjectReferences(trimmedName, oldName);
+            }
+            throw error;
+        }
+
+        await history.recordOperation('Rename project', {
+            projects: { before: projectsBefore, after: projects },
+            sessions: { before: affected, after: affected.map(session => ({ ...session, project: trimmedName })) },
+            renamedProject: { before: oldName, after: trimmedName },
+        });
+        console.log(`[Data Manager - renameProject] Renamed "${oldName}" to "${trimmedName}" (${affected.length} sessions updated)`);
+        return { success: true, project, updatedSessions: affected.length };
+    });
+}
+
+// Longest possible goal for each period, in hours
+const GOAL_PERIOD_MAX_HOURS = { daily: 24, weekly: 168, monthly: 744 };
+
+/**
+ * Sets a project's hour goals. Periods left empty or at 0 have no goal.
+ * Goals count time tracked on the project and on its sub-projects.
+ * @param {string} id - The ID of the project.
+ * @param {Object} goals - { daily?, weekly?, monthly? } in hours.
+ * @returns {Promise<Object>} Object indicating success and the updated project.
+ */
+async function updateProjectGoals(id, goals) {
+    if (!id) {
+        throw new Error('No project ID provided.');
+    }
+    if (typeof goals !== 'object' || goals === null) {
+        throw new Error('Goals must be an object');
     }
+    const cleanGoals = {};
+    Object.entries(GOAL_PERIOD_MAX_HOURS).forEach(([period, maxHours]) => {
+        const value = goals[period];
+        if (value === undefined || value === null || value === '') return;
+        const hours = settings.toHours(value, `${period[0].toUpperCase()}${period.slice(1)} goal`, maxHours);
+        if (hours > 0) cleanGoals[period] = hours;
+    });
+
+    return enqueueWrite(async () => {
+        const projects = await loadProjectsForWrite();
+        const project = projects.find(p => p.id === id);
+        if (!project) {
+            throw new Error(`Project with ID ${id} not found`);
+        }
+
+        const before = structuredClone(projects);
+        if (Object.keys(cleanGoals).length > 0) {
+            project.goals = cleanGoals;
+        } else {
+            delete project.goals;
+        }
+        await storage.writeProjects(projects);
+        await history.recordOperation('Edit project goals', { projects: { before, after: projects } });
+        console.log(`[Data Manager] Updated goals for "${project.name}":`, cleanGoals);
+        return { success: true, project };
+    });
+}
+
+// Largest hourly rate accepted for a project
+const MAX_HOURLY_RATE = 100000;
+
+/**
+ * Sets a project's hourly rate and currency (an ISO 4217 code such as 'EUR'). Either may be left
+ * empty, in which case the project uses its parent's, as sub-projects inherit billing.
+ * @param {string} id - The ID of the project.
+ * @param {Object} billing - { rate?, currency? }
+ * @returns {Promise<Object>} Object indicating success and the updated project.
+ */
+async function updateProjectBilling(id, billing) {
+    if (!id) {
+        throw new Error('No project ID provided.');
+    }
+    if (typeof billing !== 'object' || billing === null) {
+        throw new Error('Billing must be an object');
+    }
+    let rate = null;
+    if (billing.rate !== undefined && billing.rate !== null && billing.rate !== '') {
+        rate = Number(billing.rate);
+        if (!Number.isFinite(rate) || rate < 0 || rate > MAX_HOURLY_RATE) {
+            throw new Error(`Hourly rate must be a number between 0 and ${MAX_HOURLY_RATE}`);
+        }
+        rate = Math.round(rate * 100) / 100;
+    }
+    const currency = typeof billing.currency === 'string' ? billing.currency.trim().toUpperCase() : '';
+    if (currency && !/^[A-Z]{3}$/.test(currency)) {
+        throw new Error('Currency must be a three-letter code such as USD or EUR');
+    }
+
+    return enqueueWrite(async () => {
+        const projects = await loadProjectsForWrite();
+        const project = projects.find(p => p.id === id);
+        if (!project) {
+            throw new Error(`Project with ID ${id} not found`);
+        }
+
+        const before = structuredClone(projects);
+        if (rate !== null) {
+            project.rate = rate;
+        } else {
+            delete project.rate;
+        }
+        if (currency) {
+            project.currency = currency;
+        } else {
+            delete project.currency;
+        }
+        await storage.writeProjects(projects);
+        await history.recordOperation('Edit project rate', { projects: { before, after: projects } });
+        console.log(`[Data Manager] Updated billing for "${project.name}": ${rate ?? 'inherited'} ${currency || '(inherited currency)'}`);
+        return { success: true, project };
+    });
+}
+
+/**
+ * Moves a project (with its sub-projects) under another parent, or to the top level.
+ * Sessions are untouched: they keep pointing at the project by name.
+ * @param {string} id - The ID of the project to move.
+ * @param {string|null} parentId - The new parent's ID, or null for the top level.
+ * @returns {Promise<Object>} Object indicating success and the moved project.
+ */
+async function moveProject(id, parentId) {
+    if (!id) {
+        throw new Error('No project ID provided.');
+    }
+    return enqueueWrite(async () => {
+        const projects = await loadProjectsForWrite();
+        const project = projects.find(p => p.id === id);
+        if (!project) {
+            throw new Error(`Project with ID ${id} not found`);
+        }
+        const parentError = projectTree.validateParent(project, parentId || null, projects);
+        if (parentError) {
+            throw new Error(parentError);
+        }
+
+        const before = structuredClone(projects);
+        project.parentId = parentId || null;
+        await storage.writeProjects(projects);
+        await history.recordOperation('Move project', { projects: { before, after: projects } });
+        console.log(`[Data Manager] Moved project "${project.name}" under ${parentId || 'the top level'}`);
+        return { success: true, project };
+    });
+}
+
+/**
+ * Archives or unarchives a project. Archived projects are left out of the tray's start menus
+ * but keep their sessions, color and place in charts, filters and editors.
+ * @param {string} id - The ID of the project.
+ * @param {boolean} archived - True to archive, false to restore.
+ * @returns {Promise<Object>} Object indicating success and the updated project.
+ */
+async function setProjectArchived(id, archived) {
+    if (!id) {
+        throw new Error('No project ID provided.');
+    }
+    return enqueueWrite(async () => {
+        const projects = await loadProjectsForWrite();
+        const project = projects.find(p => p.id === id);
+        if (!project) {
+            throw new Error(`Project with ID ${id} not found`);
+        }
+
+        const before = structuredClone(projects);
+        if (archived) {
+            project.archived = true;
+        } else {
+            delete project.archived; // Only archived projects carry the flag
+        }
+
+        await storage.writeProjects(projects);
+        await history.recordOperation(archived ? 'Archive project' : 'Unarchive project', { projects: { before, after: projects } });
+        console.log(`[Data Manager] ${archived ? 'Archived' : 'Unarchived'} project "${project.name}"`);
+        return { success: true, project };
+    });
 }
 
 /**
- * Deletes a project from projects.json by its ID.
+ * Deletes a project from storage by its ID, deciding what happens to its sessions.
  * @param {string} id - The ID of the project to delete.
- * @returns {Promise<Object>} Object indicating success and the deleted ID, or throws error.
+ * @param {Object} [options] - What to do with sessions recorded under the project:
+ *   { sessionAction: 'reassign', targetProject: string } moves them to another project,
+ *   { sessionAction: 'delete' } deletes them, and no sessionAction leaves them as they are.
+ * @returns {Promise<Object>} Object indicating success, the deleted ID and the number of sessions affected, or throws error.
  */
-async function deleteProject(id) {
+async function deleteProject(id, options = {}) {
     if (!id) {
         throw new Error('No project ID provided for deletion.');
     }
-    console.log(`[Data Manager - deleteProject] Request to delete ID: ${id}`);
-    let projects = await loadAndMigrateProjects(); // Load current
-    const initialLength = projects.length;
-    projects = projects.filter(p => p.id !== id);
-
-    if (projects.length === initialLength) {
-        console.warn(`[Data Manager - deleteProject] Project with ID ${id} not found.`);
-        throw new Error(`Project with ID ${id} not found`);
+    const { sessionAction, targetProject } = options;
+    if (sessionAction && !['reassign', 'delete'].includes(sessionAction)) {
+        throw new Error(`Unknown session action: ${sessionAction}`);
     }
+    console.log(`[Data Manager - deleteProject] Request to delete ID: ${id}`, options);
+    return enqueueWrite(async () => {
+        let projects = await loadProjectsForWrite(); // Load current
+        const before = structuredClone(projects);
+        const project = projects.find(p => p.id === id);
 
-    console.log(`[Data Manager - deleteProject] Writing updated projects array after deletion.`);
-    await fsPromises.writeFile(PROJECTS_FILE_PATH, JSON.stringify(projects, null, 2), 'utf8');
-    console.log(`[Data Manager - deleteProject] Deleted project with ID: ${id}`);
-    return { success: true, id: id };
+        if (!project) {
+            console.warn(`[Data Manager - deleteProject] Project with ID ${id} not found.`);
+            throw new Error(`Project with ID ${id} not found`);
+        }
+        projects = projects.filter(p => p.id !== id);
+        // Sub-projects move up to the deleted project's parent rather than losing their place
+        projects.forEach(p => {
+            if (p.parentId === id) p.parentId = project.parentId || null;
+        });
+
+        if (sessionAction === 'reassign' && !projects.some(p => p.name === targetProject)) {
+            throw new Error('Please choose an existing project to move the sessions to');
+        }
+
+        let affected = [];
+        let sessionsAfter = [];
+        if (sessionAction) {
+            const sessions = await loadSessionsForWrite();
+            affected = sessions.filter(session => session.project === project.name);
+            if (sessionAction === 'reassign') {
+                await storage.updateSessions(affected.map(session => ({ id: session.id, project: targetProject })));
+                sessionsAfter = affected.map(session => ({ ...session, project: targetProject }));
+            } else {
+                await storage.deleteSessions(affected.map(session => session.id));
+            }
+        }
+
+        console.log(`[Data Manager - deleteProject] Writing updated projects array after deletion.`);
+        try {
+            await storage.writeProjects(projects);
+        } catch (error) {
+            // As in renameProject: put the sessions back rather than leave them moved or gone
+            // while the project they belong to still exists
+            console.error('[Data Manager - deleteProject] Writing projects failed, restoring sessions:', error);
+            if (sessionAction === 'reassign') {
+                await storage.updateSessions(affected.map(session => ({ id: session.id, project: session.project })));
+            } else if (affected.length > 0) {
+                await storage.insertSessions(affected);
+            }
+            throw error;
+        }
+        await history.recordOperation('Delete project', {
+            projects: { before, after: projects },
+            ...(affected.length > 0 ? { sessions: { before: affected, after: sessionsAfter } } : {}),
+        });
+        console.log(`[Data Manager - deleteProject] Deleted project with ID: ${id} (${affected.length} sessions ${sessionAction === 'reassign' ? 'reassigned' : 'deleted'})`);
+        return { success: true, id: id, affectedSessions: affected.length };
+    });
+}
+
+/**
+ * Builds the row for a session timed by the tray (or read from a calendar) from its start and end moments.
+ * @param {Object} sessionData - { startTime, endTime, durationMinutes, projectName, notes, pauseCount?, pausedMinutes?, focusBlockMinutes?, tags? }
+ *   where startTime and endTime are ISO strings.
+ * @returns {Object} The new session row, with a fresh ID.
+ */
+function buildTrackedSessionRow(sessionData) {
+  const start = new Date(sessionData.startTime);
+  return {
+      id: generateSessionId(),
+      date: formatDateYYYYMMDD(start), // Local YYYY-MM-DD, matching the local start time
+      start_time: start.toTimeString().split(' ')[0], // HH:MM:SS
+      end_time: new Date(sessionData.endTime).toTimeString().split(' ')[0], // HH:MM:SS
+      duration_minutes: sessionData.durationMinutes,
+      project: sessionData.projectName,
+      notes: sessionData.notes,
+      pause_count: sessionData.pauseCount || 0,
+      paused_minutes: sessionData.pausedMinutes || 0,
+      focus_block_minutes: sessionData.focusBlockMinutes || '', // Set only for completed focus blocks
+      tags: formatTags([...parseTags(sessionData.tags), ...extractHashtags(sessionData.notes)]), // Hashtags typed in the notes dialog
+      billable: 'yes'
+  };
 }
 
 /**
- * Saves a completed session to the data.csv file.
- * @param {Object} sessionData - The session details { startTime, endTime, durationMinutes, projectName, notes }
+ * Saves a completed session to storage.
+ * @param {Object} sessionData - The session details { startTime, endTime, durationMinutes, projectName, notes, pauseCount?, pausedMinutes?, focusBlockMinutes? }
  * @returns {Promise<void>}
  */
 async function saveSession(sessionData) {
   console.log("[Data Manager - Save Session] Received session to save:", sessionData);
   try {
-      // Define the data for the new row using expected headers
-      const dataToAppend = [{
-          date: sessionData.startTime.split('T')[0], // YYYY-MM-DD
-          start_time: new Date(sessionData.startTime).toTimeString().split(' ')[0], // HH:MM:SS
-          end_time: new Date(sessionData.endTime).toTimeString().split(' ')[0], // HH:MM:SS
-          duration_minutes: sessionData.durationMinutes,
-          project: sessionData.projectName, // Let Papaparse handle quoting/escaping
-          notes: sessionData.notes       // Let Papaparse handle quoting/escaping
-      }];
-      // Define the expected header order explicitly
-      const headers = ['date', 'start_time', 'end_time', 'duration_minutes', 'project', 'notes'];
-
-      // Use Papaparse to convert *only the new row* to a CSV string fragment
-      // Important: header: false because we only want the data line(s)
-      const csvFragment = Papa.unparse(dataToAppend, {
-          columns: headers, // Ensure order matches expectations
-          header: false,
-          quotes: true,     // Ensure necessary quoting
-          newline: "\n"     // Use LF line ending
+      const newSession = buildTrackedSessionRow(sessionData);
+
+      await enqueueWrite(async () => {
+          await storage.insertSessions([newSession]);
+          await history.recordOperation('Track session', { sessions: { before: [], after: [newSession] } });
       });
 
-      let fileNeedsHeader = false;
-      let fileNeedsNewlinePrefix = false;
-
-      // Check file status to see if we need headers or a preceding newline
-      try {
-          const fileStat = await fsPromises.stat(DATA_FILE_PATH);
-          if (fileStat.size === 0) {
-              fileNeedsHeader = true; // File exists but is empty
-          } else {
-              // File exists and has content, check last byte for newline
-              const buffer = Buffer.alloc(1);
-              const fd = await fsPromises.open(DATA_FILE_PATH, 'r');
-              // Read the last byte
-              await fd.read(buffer, 0, 1, fileStat.size > 0 ? fileStat.size - 1 : 0);
-              await fd.close();
-              if (fileStat.size > 0 && buffer.toString() !== '\n') {
-                  fileNeedsNewlinePrefix = true; // Add newline if missing and file not empty
-                  console.log('[Data Manager - Save Session] File does not end with newline, adding one.');
-              }
-          }
-      } catch (statError) {
-          if (statError.code === 'ENOENT') {
-              fileNeedsHeader = true; // File doesn't exist yet
-              console.log('[Data Manager - Save Session] File does not exist, will add header.');
-          } else {
-              throw statError; // Re-throw other stat errors
-          }
+      console.log(`[Data Manager - Save Session] Session successfully saved to ${storage.name} storage.`);
+
+  } catch (error) {
+      console.error("[Data Manager - Save Session] Error formatting or saving session:", error);
+      // Potentially throw error back to caller? Or just log here.
+      throw error; // Rethrowing allows caller (e.g., tray) to know about the failure
+  }
+}
+
+/**
+ * Validates a session entered by hand or imported from another tracker and builds its row.
+ * Times are validated and the duration is calculated the same way as when editing start/end times.
+ * @param {Object} sessionData - { date: 'YYYY-MM-DD', start_time: 'HH:MM', end_time: 'HH:MM', project, notes?, tags? }
+ * @returns {Object} The new session row, with a fresh ID. Throws if the data is invalid.
+ */
+function buildSessionRow(sessionData) {
+  const { date, start_time: startTime, end_time: endTime, project, notes, tags } = sessionData || {};
+
+  const validDate = validateSessionField('date', date);
+  const validStartTime = validateSessionField('start_time', startTime);
+  const validEndTime = validateSessionField('end_time', endTime);
+  const projectName = validateSessionField('project', project);
+  const durationMinutes = calculateDurationMinutes(validStartTime, validEndTime);
+  if (durationMinutes <= 0) {
+    throw new Error('End time must differ from start time');
+  }
+
+  return {
+    id: generateSessionId(),
+    date: validDate,
+    start_time: validStartTime,
+    end_time: validEndTime,
+    duration_minutes: durationMinutes,
+    project: projectName,
+    notes: validateSessionField('notes', notes),
+    pause_count: 0,
+    paused_minutes: 0,
+    focus_block_minutes: '',
+    tags: formatTags([...parseTags(tags), ...extractHashtags(notes)]),
+    billable: 'yes'
+  };
+}
+
+/**
+ * Adds a session entered by hand, e.g. when the tray timer was never started.
+ * @param {Object} sessionData - { date: 'YYYY-MM-DD', start_time: 'HH:MM', end_time: 'HH:MM', project, notes?, tags? }
+ * @returns {Promise<Object>} The saved session row.
+ */
+async function addSession(sessionData) {
+  const newSession = buildSessionRow(sessionData);
+
+  await enqueueWrite(async () => {
+    await storage.insertSessions([newSession]);
+    await history.recordOperation('Add session', { sessions: { before: [], after: [newSession] } });
+  });
+  console.log(`[Data Manager] Added session ${newSession.id} for ${newSession.project} on ${newSession.date} (${newSession.duration_minutes} minutes)`);
+  return newSession;
+}
+
+// Where a session created from the timesheet grid starts, unless the day has later sessions
+const TIMESHEET_DAY_START_SECONDS = 9 * 60 * 60;
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+/**
+ * Converts a time of day to seconds since midnight.
+ * @param {string} time - HH:MM or HH:MM:SS.
+ * @returns {number} Seconds since midnight.
+ */
+function timeToSeconds(time) {
+  const [hours, minutes, seconds] = time.split(':').map(Number);
+  return hours * 3600 + minutes * 60 + (seconds || 0);
+}
+
+/**
+ * Converts seconds since midnight to a time of day, wrapping past midnight.
+ * @param {number} totalSeconds - Seconds since midnight.
+ * @returns {string} HH:MM:SS.
+ */
+function secondsToTime(totalSeconds) {
+  const seconds = ((totalSeconds % SECONDS_PER_DAY) + SECONDS_PER_DAY) % SECONDS_PER_DAY;
+  return [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60]
+    .map(part => String(part).padStart(2, '0'))
+    .join(':');
+}
+
+/**
+ * Checks whether a session can be given a later end time on the same day without running into
+ * another of the day's sessions.
+ * @param {Object} session - The session to extend.
+ * @param {string} newEndTime - The end time it would get, HH:MM:SS.
+ * @param {Array<Object>} daySessions - The day's sessions with valid times, the session itself included.
+ * @returns {boolean} True if the new end time stays within the day and overlaps nothing.
+ */
+function canExtendSession(session, newEndTime, daySessions) {
+  const start = timeToSeconds(session.start_time);
+  const currentEnd = timeToSeconds(session.end_time) || SECONDS_PER_DAY; // 00:00 ends at midnight
+  const newEnd = timeToSeconds(newEndTime) || SECONDS_PER_DAY;
+  if (currentEnd < start || newEnd < start) return false; // Runs past midnight
+  return daySessions.every(other => {
+    if (other.id === session.id) return true;
+    const otherStart = timeToSeconds(other.start_time);
+    const otherEnd = timeToSeconds(other.end_time) < otherStart ? SECONDS_PER_DAY : timeToSeconds(other.end_time);
+    return otherStart >= newEnd || otherEnd <= currentEnd;
+  });
+}
+
+/**
+ * Sets the total time tracked on a project on one day, as typed into the timesheet grid.
+ * More time extends the day's last session on the project if that doesn't run into another
+ * session, and otherwise adds a session after the day's other sessions (from 09:00). Less time
+ * shortens the latest sessions, deleting those it uses up. Recorded as one undoable change.
+ * @param {string} date - The day, YYYY-MM-DD.
+ * @param {string} project - The project name.
+ * @param {number} minutes - The new total in minutes, less than 24 hours.
+ * @returns {Promise<Object>} { success: true, changed } where changed is false if the total was already right.
+ */
+async function setTimesheetCell(date, project, minutes) {
+  const validDate = validateSessionField('date', date);
+  const projectName = validateSessionField('project', project);
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes >= 24 * 60) {
+    throw new Error('A day\'s total must be a whole number of minutes under 24 hours');
+  }
+
+  return enqueueWrite(async () => {
+    const daySessions = await loadSessionsForWrite({ startDate: validDate, endDate: validDate });
+    const cellSessions = daySessions
+      .filter(session => session.project === projectName)
+      .sort((a, b) => String(a.start_time).localeCompare(String(b.start_time)));
+    const durationOf = session => parseInt(session.duration_minutes, 10) || 0;
+    const currentMinutes = cellSessions.reduce((sum, session) => sum + durationOf(session), 0);
+    if (minutes === currentMinutes) {
+      return { success: true, changed: false };
+    }
+
+    // Moves a session's end time so it lasts `duration` minutes, leaving its paused time as it was
+    const resize = (session, duration) => {
+      const spanSeconds = (duration + (parseInt(session.paused_minutes, 10) || 0)) * 60;
+      if (spanSeconds >= SECONDS_PER_DAY) {
+        throw new Error('A session can\'t be 24 hours or longer');
       }
+      return { id: session.id, end_time: secondsToTime(timeToSeconds(session.start_time) + spanSeconds), duration_minutes: String(duration) };
+    };
 
-      // Construct the final string to append/write
-      let stringToWrite = "";
-      if (fileNeedsHeader) {
-          // Create header string using Papaparse
-          const headerString = Papa.unparse([{}], { columns: headers, header: true, newline: "\n" }).split('\n')[0];
-          stringToWrite = headerString + "\n" + csvFragment;
-           // Use writeFile because we're potentially creating the file or overwriting an empty one with headers
-           console.log("[Data Manager - Save Session] Writing header and first line to:", DATA_FILE_PATH);
-           await fsPromises.writeFile(DATA_FILE_PATH, stringToWrite, 'utf8');
+    const before = [];
+    const after = [];
+    const changes = [];
+    const deletedIds = [];
+    let inserted = null;
+    if (minutes > currentMinutes) {
+      const extra = minutes - currentMinutes;
+      const timedSessions = daySessions.filter(session => isValidTimeString(session.start_time) && isValidTimeString(session.end_time));
+      const last = cellSessions[cellSessions.length - 1];
+      const change = last ? resize(last, durationOf(last) + extra) : null;
+      if (change && canExtendSession(last, change.end_time, timedSessions)) {
+        changes.push(change);
+        before.push(last);
+        after.push({ ...last, ...change });
       } else {
-          // File exists, just append the data (with preceding newline if needed)
-          stringToWrite = (fileNeedsNewlinePrefix ? "\n" : "") + csvFragment;
-          console.log("[Data Manager - Save Session] Appending line:", stringToWrite.trim());
-          await fsPromises.appendFile(DATA_FILE_PATH, stringToWrite, 'utf8');
+        // No session to extend, or extending it would run into the next one: add the time after the day's sessions
+        // Sessions running up to or past midnight leave no room after them
+        const dayEnds = timedSessions.map(session => (timeToSeconds(session.end_time) < timeToSeconds(session.start_time)
+          ? SECONDS_PER_DAY
+          : timeToSeconds(session.end_time)));
+        const start = Math.max(TIMESHEET_DAY_START_SECONDS, ...dayEnds);
+        if (start + extra * 60 > SECONDS_PER_DAY) {
+          throw new Error(`There's no room for ${extra} more minutes after the day's last session`);
+        }
+        inserted = buildSessionRow({
+          date: validDate,
+          start_time: secondsToTime(start),
+          end_time: secondsToTime(start + extra * 60),
+          project: projectName,
+        });
+        after.push(inserted);
       }
+    } else {
+      let excess = currentMinutes - minutes;
+      [...cellSessions].reverse().forEach(session => {
+        const duration = durationOf(session);
+        if (excess === 0 || duration === 0) return;
+        before.push(session);
+        if (duration > excess) {
+          const change = resize(session, duration - excess);
+          changes.push(change);
+          after.push({ ...session, ...change });
+          excess = 0;
+        } else {
+          deletedIds.push(session.id);
+          excess -= duration;
+        }
+      });
+    }
 
-      console.log("[Data Manager - Save Session] Session successfully saved to CSV.");
+    if (deletedIds.length > 0) await storage.deleteSessions(deletedIds);
+    if (changes.length > 0) await storage.updateSessions(changes);
+    if (inserted) await storage.insertSessions([inserted]);
+    await history.recordOperation('Edit timesheet', { sessions: { before, after } });
+    console.log(`[Data Manager] Timesheet: ${projectName} on ${validDate} set to ${minutes} minutes (was ${currentMinutes})`);
+    return { success: true, changed: true };
+  });
+}
 
-  } catch (error) {
-      console.error("[Data Manager - Save Session] Error formatting or saving session to CSV:", error);
-      // Potentially throw error back to caller? Or just log here.
-      throw error; // Rethrowing allows caller (e.g., tray) to know about the failure
+/**
+ * Writes a batch of imported session rows, and any projects created for them, as one undoable change.
+ * @param {Array<Object>} newSessions - Complete session rows.
+ * @param {Array<string>} [newProjectNames] - Projects to create first; names that exist by now are left alone.
+ * @returns {Promise<Array<Object>>} The saved session rows.
+ */
+async function insertImportedSessions(newSessions, newProjectNames = []) {
+  await enqueueWrite(async () => {
+    let projectChanges = null;
+    const projects = await loadProjectsForWrite();
+    const missingNames = newProjectNames.filter((name, index) =>
+      !projects.some(p => p.name.toLowerCase() === name.toLowerCase()) &&
+      newProjectNames.findIndex(other => other.toLowerCase() === name.toLowerCase()) === index);
+    if (missingNames.length > 0) {
+      const before = structuredClone(projects);
+      missingNames.forEach(name => projects.push(buildProjectRecord({ name })));
+      await storage.writeProjects(projects);
+      projectChanges = { before, after: projects };
+    }
+    try {
+      await storage.insertSessions(newSessions);
+    } catch (error) {
+      if (projectChanges) {
+        console.error('[Data Manager] Importing sessions failed, removing the projects created for them:', error);
+        await storage.writeProjects(projectChanges.before);
+      }
+      throw error;
+    }
+    await history.recordOperation('Import sessions', {
+      ...(projectChanges ? { projects: projectChanges } : {}),
+      sessions: { before: [], after: newSessions },
+    });
+  });
+  console.log(`[Data Manager] Imported ${newSessions.length} sessions into ${storage.name} storage`);
+  return newSessions;
+}
+
+/**
+ * Adds a batch of sessions imported from another tracker as one undoable change.
+ * Every row is validated like a manually added session before anything is written.
+ * @param {Array<Object>} sessionsData - Session data as accepted by addSession.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.newProjects] - Names of projects to create for the sessions, in the same change.
+ * @returns {Promise<Array<Object>>} The saved session rows.
+ */
+async function importSessions(sessionsData, { newProjects = [] } = {}) {
+  if (!Array.isArray(sessionsData) || sessionsData.length === 0) {
+    throw new Error('There are no sessions to import');
+  }
+  const projectNames = newProjects.map(name => (typeof name === 'string' ? name.trim() : ''));
+  if (projectNames.some(name => !name)) {
+    throw new Error('New projects need a name');
+  }
+  return insertImportedSessions(sessionsData.map(buildSessionRow), projectNames);
+}
+
+/**
+ * Adds a batch of timed sessions, e.g. calendar events, as one undoable change.
+ * @param {Array<Object>} sessionsData - Session data as accepted by saveSession (plus optional tags).
+ * @returns {Promise<Array<Object>>} The saved session rows.
+ */
+async function importTrackedSessions(sessionsData) {
+  if (!Array.isArray(sessionsData) || sessionsData.length === 0) {
+    throw new Error('There are no sessions to import');
   }
+  sessionsData.forEach(sessionData => {
+    if (!sessionData.projectName) throw new Error('Every imported session needs a project');
+    if (!(sessionData.durationMinutes > 0)) throw new Error('Imported sessions must last at least a minute');
+  });
+  return insertImportedSessions(sessionsData.map(buildTrackedSessionRow));
 }
 
 /**
- * Deletes a session from CSV file by ID
- * @param {string|number} id - The ID of the session to delete
+ * Deletes a session by ID
+ * @param {string} id - The persistent ID of the session to delete
  * @returns {Promise<boolean>} True if successful
  */
 async function deleteSession(id) {
     try {
-        // Load current sessions
-        let sessions = await loadSessionsFromCSV();
-        
-        // Convert id to number for comparison
-        const targetId = parseInt(id, 10);
-        
-        // Find session index
-        const sessionIndex = sessions.findIndex(s => s.id === targetId);
-        if (sessionIndex === -1) {
-            throw new Error(`Session with ID ${targetId} not found`);
-        }
-        
-        // Remove the session
-        sessions.splice(sessionIndex, 1);
-        
-        // Convert sessions back to CSV format
-        const csv = Papa.unparse(sessions.map(({ id, ...rest }) => rest), {
-            header: true,
-            quotes: true
+        const targetId = String(id);
+        await enqueueWrite(async () => {
+            const sessions = await loadSessionsForWrite();
+            const deleted = sessions.find(s => s.id === targetId);
+            await storage.deleteSessions([targetId]);
+            if (deleted) {
+                await history.recordOperation('Delete session', { sessions: { before: [deleted], after: [] } });
+            }
         });
-        
-        // Write back to file
-        await fsPromises.writeFile(DATA_FILE_PATH, csv, 'utf8');
         console.log(`[Data Manager] Successfully deleted session ${targetId}`);
         return true;
     } catch (error) {
@@ -505,19 +1130,392 @@ async function getProjectNames() {
     }
 }
 
-// Update the exports to remove deleteSessionFromCSV and keep deleteSession
+/**
+ * Finds project names used by sessions that have no matching entry in the projects list,
+ * e.g. after a project was deleted without touching its sessions or data.csv was edited by hand.
+ * @returns {Promise<Array<Object>>} [{ name, sessionCount, totalMinutes }], most minutes first.
+ */
+async function getOrphanedProjects() {
+    const [sessions, projects] = await Promise.all([loadSessions(), loadAndMigrateProjects()]);
+    const knownNames = new Set(projects.map(project => project.name));
+    const orphans = new Map();
+
+    sessions.forEach(session => {
+        const name = session.project || '';
+        if (knownNames.has(name)) return;
+        const orphan = orphans.get(name) || { name, sessionCount: 0, totalMinutes: 0 };
+        orphan.sessionCount += 1;
+        orphan.totalMinutes += parseInt(session.duration_minutes, 10) || 0;
+        orphans.set(name, orphan);
+    });
+
+    return [...orphans.values()].sort((a, b) => b.totalMinutes - a.totalMinutes);
+}
+
+/**
+ * Moves every session recorded under an unknown project name to an existing project.
+ * Unqueued: only call this from inside a queued write task.
+ * @param {string} orphanName - The project name the sessions currently carry.
+ * @param {string} targetProject - The existing project name to give them.
+ * @returns {Promise<Object>} { before, after } session rows for the history entry.
+ */
+async function reassignOrphanedSessions(orphanName, targetProject) {
+    const sessions = await loadSessionsForWrite();
+    const before = sessions.filter(session => (session.project || '') === orphanName);
+    if (before.length === 0) {
+        throw new Error(`No sessions found for "${orphanName}"`);
+    }
+    await storage.updateSessions(before.map(session => ({ id: session.id, project: targetProject })));
+    return { before, after: before.map(session => ({ ...session, project: targetProject })) };
+}
+
+/**
+ * Merges an unknown project name into an existing project by reassigning its sessions.
+ * @param {string} orphanName - The unknown project name found in the sessions.
+ * @param {string} targetProject - The name of the existing project to merge into.
+ * @returns {Promise<Object>} { success: true, updatedSessions }
+ */
+async function mergeOrphanedProject(orphanName, targetProject) {
+    if (typeof orphanName !== 'string') {
+        throw new Error('No project name provided to merge.');
+    }
+    return enqueueWrite(async () => {
+        const projects = await loadProjectsForWrite();
+        if (!projects.some(project => project.name === targetProject)) {
+            throw new Error('Please choose an existing project to merge into');
+        }
+
+        const sessions = await reassignOrphanedSessions(orphanName, targetProject);
+        await history.recordOperation('Merge sessions into project', { sessions });
+        console.log(`[Data Manager] Merged ${sessions.before.length} sessions from "${orphanName}" into "${targetProject}"`);
+        return { success: true, updatedSessions: sessions.before.length };
+    });
+}
+
+/**
+ * Creates a project from an unknown project name so its sessions belong to it again.
+ * The name is trimmed like any new project; sessions are updated if that changes it.
+ * @param {string} orphanName - The unknown project name found in the sessions.
+ * @param {string} [color] - Color for the new project.
+ * @returns {Promise<Object>} { success: true, project, updatedSessions }
+ */
+async function createProjectFromOrphan(orphanName, color) {
+    const trimmedName = typeof orphanName === 'string' ? orphanName.trim() : '';
+    if (!trimmedName) {
+        throw new Error('Sessions without a project name can only be merged into an existing project');
+    }
+
+    return enqueueWrite(async () => {
+        const projects = await loadProjectsForWrite();
+        if (projects.some(p => p.name.toLowerCase() === trimmedName.toLowerCase())) {
+            throw new Error(`Project named "${trimmedName}" already exists. Merge the sessions into it instead`);
+        }
+
+        const before = structuredClone(projects);
+        const newProject = {
+            id: Date.now().toString() + Math.random().toString(36).substring(2, 5),
+            name: trimmedName,
+            color: color || '#4E79A7',
+            parentId: null
+        };
+        projects.push(newProject);
+
+        await storage.writeProjects(projects);
+        const sessions = trimmedName !== orphanName ? await reassignOrphanedSessions(orphanName, trimmedName) : null;
+        await history.recordOperation('Create project from sessions', {
+            projects: { before, after: projects },
+            ...(sessions ? { sessions } : {}),
+        });
+        console.log(`[Data Manager] Created project "${trimmedName}" from orphaned sessions`);
+        return { success: true, project: newProject, updatedSessions: sessions ? sessions.before.length : 0 };
+    });
+}
+
+/**
+ * Describes the active storage backend for the dashboard.
+ * @returns {{backend: string, location: string, available: Array<string>, fallbackError: string|null}} Storage info;
+ *   fallbackError says why the configured backend couldn't be opened, if CSV is standing in for it.
+ */
+function getStorageInfo() {
+    return { backend: storage.name, location: storage.location, available: STORAGE_BACKENDS, fallbackError: storageFallbackError };
+}
+
+/**
+ * Copies every session and project into another storage backend and makes it the active one.
+ * The previous backend's files are left in place untouched apart from being closed.
+ * @param {string} backendName - 'csv' or 'sqlite'.
+ * @returns {Promise<Object>} Storage info for the new backend, plus the number of sessions copied.
+ */
+async function switchStorageBackend(backendName) {
+    if (!STORAGE_BACKENDS.includes(backendName)) {
+        throw new Error(`Unknown storage backend: ${backendName}`);
+    }
+    return enqueueWrite(async () => {
+        if (storage.name === backendName) {
+            return { ...getStorageInfo(), copiedSessions: 0 };
+        }
+        console.log(`[Data Manager] Migrating storage from ${storage.name} to ${backendName}...`);
+        const sessions = await loadSessionsForWrite();
+        const projects = await loadProjectsForWrite();
+
+        const target = createStorage(backendName);
+        await target.init();
+        try {
+            await target.replaceSessions(sessions);
+            await target.writeProjects(projects);
+        } catch (copyError) {
+            await target.close();
+            throw copyError;
+        }
+
+        const previous = storage;
+        storage = target;
+        storageFallbackError = null;
+        await previous.close();
+        await settings.writeSettingsChanges({ storageBackend: backendName });
+        console.log(`[Data Manager] Storage migration complete: ${sessions.length} sessions, ${projects.length} projects.`);
+        return { ...getStorageInfo(), copiedSessions: sessions.length };
+    });
+}
+
+/**
+ * Writes every session to a CSV file in data.csv's format, whichever backend is active.
+ * @param {string} filePath - Destination file.
+ * @returns {Promise<number>} The number of sessions exported.
+ */
+async function exportSessionsToCSV(filePath) {
+    const sessions = await loadSessions();
+    const target = createCsvStorage({ dataFilePath: filePath, projectsFilePath: null });
+    await target.replaceSessions(sessions);
+    console.log(`[Data Manager] Exported ${sessions.length} sessions to ${filePath}`);
+    return sessions.length;
+}
+
+// Actions accepted by bulkUpdateSessions, with the label each gets in the undo history
+const BULK_ACTION_LABELS = {
+  'delete': 'Delete sessions',
+  'reassign': 'Reassign sessions',
+  'shift-date': 'Shift session dates',
+  'append-notes': 'Append to session notes',
+  'set-billable': 'Change billable',
+};
+
+/**
+ * Checks a bulk action and returns a cleaned copy of it.
+ * @param {Object} action - { type, project?, days?, text?, billable? }
+ * @returns {Object} The validated action.
+ */
+function validateBulkAction(action) {
+  if (!action || !BULK_ACTION_LABELS[action.type]) {
+    throw new Error(`Unknown bulk action: ${action && action.type}`);
+  }
+  switch (action.type) {
+    case 'reassign': {
+      const project = typeof action.project === 'string' ? action.project.trim() : '';
+      if (!project) throw new Error('Please choose a project');
+      return { type: action.type, project };
+    }
+    case 'shift-date': {
+      const days = Number(action.days);
+      if (!Number.isInteger(days) || days === 0 || Math.abs(days) > 3650) {
+        throw new Error('Shift must be a whole number of days other than 0');
+      }
+      return { type: action.type, days };
+    }
+    case 'append-notes': {
+      const text = typeof action.text === 'string' ? action.text.trim() : '';
+      if (!text) throw new Error('Please enter the text to append');
+      return { type: action.type, text };
+    }
+    case 'set-billable':
+      return { type: action.type, billable: formatBillable(action.billable) };
+    default:
+      return { type: action.type };
+  }
+}
+
+/**
+ * Returns the field changes a bulk action makes to one session.
+ * @param {Object} session - The session row.
+ * @param {Object} action - A validated bulk action (not 'delete').
+ * @returns {Object} Changes keyed by field, including the id.
+ */
+function getBulkChanges(session, action) {
+  switch (action.type) {
+    case 'reassign':
+      return { id: session.id, project: action.project };
+    case 'shift-date': {
+      const date = new Date(`${session.date}T00:00:00`);
+      if (isNaN(date.getTime())) return { id: session.id }; // Leave unparseable dates alone
+      date.setDate(date.getDate() + action.days);
+      return { id: session.id, date: formatDateYYYYMMDD(date) };
+    }
+    case 'append-notes': {
+      const notes = (session.notes || '').trim();
+      return { id: session.id, notes: notes ? `${notes} ${action.text}` : action.text };
+    }
+    case 'set-billable':
+      return { id: session.id, billable: action.billable };
+    default:
+      return { id: session.id };
+  }
+}
+
+/**
+ * Applies one action to many sessions in a single write, recorded as one undo step.
+ * @param {Array<string>} ids - IDs of the sessions to change.
+ * @param {Object} action - { type: 'delete' } | { type: 'reassign', project } |
+ *                          { type: 'shift-date', days } | { type: 'append-notes', text } |
+ *                          { type: 'set-billable', billable }
+ * @returns {Promise<Object>} { success: true, count } with the number of sessions changed.
+ */
+async function bulkUpdateSessions(ids, action) {
+  if (!Array.isArray(ids) || ids.length === 0) {
+    throw new Error('No sessions selected');
+  }
+  const validatedAction = validateBulkAction(action);
+  const idSet = new Set(ids.map(String));
+
+  return enqueueWrite(async () => {
+    const sessions = await loadSessionsForWrite();
+    const targets = sessions.filter(session => idSet.has(session.id));
+    if (targets.length === 0) {
+      throw new Error('None of the selected sessions were found');
+    }
+
+    let after;
+    if (validatedAction.type === 'delete') {
+      await storage.deleteSessions(targets.map(session => session.id));
+      after = [];
+    } else {
+      const changes = targets.map(session => getBulkChanges(session, validatedAction));
+      await storage.updateSessions(changes);
+      after = targets.map((session, index) => ({ ...session, ...changes[index] }));
+    }
+
+    await history.recordOperation(BULK_ACTION_LABELS[validatedAction.type], {
+      sessions: { before: targets, after },
+    });
+    console.log(`[Data Manager] Bulk ${validatedAction.type} applied to ${targets.length} sessions`);
+    return { success: true, count: targets.length };
+  });
+}
+
+/**
+ * Puts sessions and/or projects back into one side of a recorded operation.
+ * Unqueued: only call this from inside a queued write task.
+ * @param {Object} operation - A history operation (see history.js).
+ * @param {'before' | 'after'} side - 'before' to undo the operation, 'after' to redo it.
+ * @returns {Promise<void>}
+ */
+async function applyOperationSide(operation, side) {
+  if (operation.sessions) {
+    const targetRows = operation.sessions[side];
+    const affectedIds = new Set([...operation.sessions.before, ...operation.sessions.after].map(row => row.id));
+    const currentIds = new Set((await loadSessionsForWrite()).map(row => row.id));
+
+    const toDelete = [];
+    const toUpdate = [];
+    const toInsert = [];
+    affectedIds.forEach(id => {
+      const target = targetRows.find(row => row.id === id);
+      if (!target) {
+        if (currentIds.has(id)) toDelete.push(id);
+      } else if (currentIds.has(id)) {
+        toUpdate.push(target);
+      } else {
+        toInsert.push(target);
+      }
+    });
+
+    if (toDelete.length > 0) await storage.deleteSessions(toDelete);
+    if (toUpdate.length > 0) await storage.updateSessions(toUpdate);
+    if (toInsert.length > 0) await storage.insertSessions(toInsert);
+  }
+  if (operation.projects) {
+    await storage.writeProjects(operation.projects[side]);
+  }
+  if (operation.renamedProject) {
+    const otherSide = side === 'before' ? 'after' : 'before';
+    await renameProjectReferences(operation.renamedProject[otherSide], operation.renamedProject[side]);
+  }
+}
+
+/**
+ * Undoes or redoes the most recent operation in the history log.
+ * @param {'undo' | 'redo'} direction
+ * @returns {Promise<Object>} { success, label?, history } where history is the new Undo/Redo state.
+ */
+async function stepHistory(direction) {
+  return enqueueWrite(async () => {
+    const operation = await history.peekOperation(direction);
+    if (!operation) {
+      return { success: false, history: await history.getHistoryState() };
+    }
+    await applyOperationSide(operation, direction === 'undo' ? 'before' : 'after');
+    await history.completeOperation(direction);
+    console.log(`[Data Manager] ${direction === 'undo' ? 'Undid' : 'Redid'}: ${operation.label}`);
+    return { success: true, label: operation.label, history: await history.getHistoryState() };
+  });
+}
+
+/**
+ * Undoes the most recent session or project change.
+ * @returns {Promise<Object>} See stepHistory.
+ */
+async function undo() {
+  return stepHistory('undo');
+}
+
+/**
+ * Re-applies the most recently undone change.
+ * @returns {Promise<Object>} See stepHistory.
+ */
+async function redo() {
+  return stepHistory('redo');
+}
+
+/**
+ * Describes what Undo and Redo would do next.
+ * @returns {Promise<Object>} { canUndo, canRedo, undoLabel, redoLabel }
+ */
+async function getHistoryState() {
+  return history.getHistoryState();
+}
+
 module.exports = {
     USER_DATA_PATH,
     DATA_FILE_PATH,
     PROJECTS_FILE_PATH,
+    DATABASE_FILE_PATH,
     ensureDataFilesExist,
-    loadSessionsFromCSV,
-    updateSessionInCSV,
+    getStorageInfo,
+    switchStorageBackend,
+    exportSessionsToCSV,
+    loadSessions,
+    updateSession,
     loadAndMigrateProjects,
     updateProjectColor,
     addProject,
     deleteProject,
+    setProjectArchived,
+    moveProject,
+    updateProjectGoals,
+    updateProjectBilling,
+    renameProject,
     saveSession,
-    deleteSession, // Keep only this one, remove deleteSessionFromCSV
+    buildSessionRow,
+    addSession,
+    setTimesheetCell,
+    importSessions,
+    importTrackedSessions,
+    deleteSession,
+    bulkUpdateSessions,
     getProjectNames,
+    getOrphanedProjects,
+    mergeOrphanedProject,
+    createProjectFromOrphan,
+    undo,
+    redo,
+    getHistoryState,
 };
@@ -0,0 +1,181 @@
+const Papa = require('papaparse');
+const dataManager = require('./data-manager');
+const { SESSION_HEADERS } = require('./storage/session-schema');
+const { writeFileAtomic } = require('./utils');
+
+// File formats offered by the dashboard's Export action
+const EXPORT_FORMATS = {
+  csv: { name: 'CSV', extension: 'csv' },
+  json: { name: 'JSON', extension: 'json' },
+  ics: { name: 'iCalendar', extension: 'ics' },
+};
+
+/**
+ * Checks the requested CSV columns against the known session columns.
+ * @param {Array<string>} [columns] - Column names; all columns when empty.
+ * @returns {Array<string>} The columns to write, in SESSION_HEADERS order.
+ */
+function resolveCsvColumns(columns) {
+  if (!Array.isArray(columns) || columns.length === 0) return [...SESSION_HEADERS];
+  const unknown = columns.filter(column => !SESSION_HEADERS.includes(column));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown CSV columns: ${unknown.join(', ')}`);
+  }
+  return SESSION_HEADERS.filter(column => columns.includes(column));
+}
+
+/**
+ * Formats sessions as CSV with the chosen columns.
+ * @param {Array<Object>} sessions - Session objects.
+ * @param {Array<string>} [columns] - Columns to include.
+ * @returns {string} CSV text.
+ */
+function formatSessionsAsCsv(sessions, columns) {
+  return Papa.unparse(sessions, {
+    columns: resolveCsvColumns(columns),
+    header: true,
+    quotes: true,
+    newline: '\n',
+  }) + '\n';
+}
+
+/**
+ * Formats sessions as indented JSON.
+ * @param {Array<Object>} sessions - Session objects.
+ * @returns {string} JSON text.
+ */
+function formatSessionsAsJson(sessions) {
+  return JSON.stringify(sessions, null, 2) + '\n';
+}
+
+/**
+ * Escapes text for an iCalendar property value (RFC 5545 §3.3.11).
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeIcsText(text) {
+  return String(text ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line so no line exceeds 75 octets, continuing with a leading space.
+ * @param {string} line - The unfolded line.
+ * @returns {string} The folded line, joined with CRLF.
+ */
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    // Continuation lines start with a space, which counts towards their 75 octets
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Formats a session date and time as a floating (local) iCalendar date-time.
+ * @param {string} date - YYYY-MM-DD.
+ * @param {string} time - HH:MM or HH:MM:SS.
+ * @param {number} [addDays] - Days to add, for sessions that run past midnight.
+ * @returns {string|null} e.g. 20240131T093000, or null if the values can't be parsed.
+ */
+function formatIcsDateTime(date, time, addDays = 0) {
+  const value = new Date(`${date}T${(time || '').length === 5 ? `${time}:00` : time}`);
+  if (isNaN(value.getTime())) return null;
+  value.setDate(value.getDate() + addDays);
+  const pad = number => String(number).padStart(2, '0');
+  return `${value.getFullYear()}${pad(value.getMonth() + 1)}${pad(value.getDate())}` +
+    `T${pad(value.getHours())}${pad(value.getMinutes())}${pad(value.getSeconds())}`;
+}
+
+/**
+ * Formats sessions as an iCalendar file with one VEVENT per session. Times are written as
+ * floating local times, the same way they are stored.
+ * @param {Array<Object>} sessions - Session objects.
+ * @returns {string} iCalendar text.
+ */
+function formatSessionsAsIcs(sessions) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Juju//Time Tracker//EN',
+    'CALSCALE:GREGORIAN',
+  ];
+
+  sessions.forEach(session => {
+    const start = formatIcsDateTime(session.date, session.start_time);
+    const runsPastMidnight = (session.end_time || '') <= (session.start_time || '');
+    const end = formatIcsDateTime(session.date, session.end_time, runsPastMidnight ? 1 : 0);
+    if (!start || !end) {
+      console.warn(`[Export] Skipping session ${session.id} without valid times in the calendar export.`);
+      return;
+    }
+    const tags = String(session.tags || '').split(/\s+/).filter(Boolean);
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${session.id}@juju`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${start}`,
+      `DTEND:${end}`,
+      `SUMMARY:${escapeIcsText(session.project || 'Untitled session')}`,
+      ...(session.notes ? [`DESCRIPTION:${escapeIcsText(session.notes)}`] : []),
+      ...(tags.length > 0 ? [`CATEGORIES:${tags.map(escapeIcsText).join(',')}`] : []),
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Writes the sessions matching a date range and/or project to a file.
+ * @param {string} filePath - Destination file.
+ * @param {Object} options - { format: 'csv' | 'json' | 'ics', startDate?, endDate?, project?, columns? }
+ *   Dates are YYYY-MM-DD and inclusive; columns only apply to CSV.
+ * @returns {Promise<number>} The number of sessions exported.
+ */
+async function exportSessions(filePath, { format, startDate, endDate, project, columns } = {}) {
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  const sessions = await dataManager.loadSessions({
+    ...(startDate ? { startDate } : {}),
+    ...(endDate ? { endDate } : {}),
+    ...(project ? { project } : {}),
+  });
+  sessions.sort((a, b) => `${a.date}T${a.start_time}`.localeCompare(`${b.date}T${b.start_time}`));
+
+  let content;
+  if (format === 'csv') {
+    content = formatSessionsAsCsv(sessions, columns);
+  } else if (format === 'json') {
+    content = formatSessionsAsJson(sessions);
+  } else {
+    content = formatSessionsAsIcs(sessions);
+  }
+
+  await writeFileAtomic(filePath, content);
+  console.log(`[Export] Exported ${sessions.length} sessions as ${format} to ${filePath}`);
+  return sessions.length;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  resolveCsvColumns,
+  formatSessionsAsCsv,
+  formatSessionsAsJson,
+  formatSessionsAsIcs,
+  exportSessions,
+};
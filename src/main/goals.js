@@ -0,0 +1,106 @@
+const dataManager = require('./data-manager');
+const settings = require('./settings');
+const { indexProjects, getProjectPath } = require('./project-tree');
+const { getStartOfWeek, getStartOfMonth, formatDateYYYYMMDD } = require('./utils');
+
+// Hour goals: projects may carry { goals: { daily, weekly, monthly } } and settings hold a
+// global dailyGoalHours. Weeks start on Monday, like the comparison stats.
+
+const GOAL_PERIODS = ['daily', 'weekly', 'monthly'];
+
+/**
+ * Works out the first day of each goal period containing the given date.
+ * @param {Date} now - The reference date.
+ * @returns {{daily: string, weekly: string, monthly: string}} YYYY-MM-DD start dates.
+ */
+function getPeriodStartDates(now) {
+  return {
+    daily: formatDateYYYYMMDD(now),
+    weekly: formatDateYYYYMMDD(getStartOfWeek(now)),
+    monthly: formatDateYYYYMMDD(getStartOfMonth(now)),
+  };
+}
+
+/**
+ * Totals tracked hours against every goal for the current day, week and month.
+ * A project's goals count its own sessions plus those of its sub-projects.
+ * @param {Object} [options]
+ * @param {Object} [options.activeSession] - { projectName, startTime, minutes } for a session still running,
+ *   so progress includes time not saved yet. Its minutes count on the day it started, like the row it's saved as.
+ * @param {Date} [options.now] - The reference time; defaults to now.
+ * @returns {Promise<Object>} { date, periodStarts, global: { goalHours, hours } | null,
+ *   projects: [{ id, name, color, goals: [{ period, goalHours, hours }] }] } listing only projects with goals.
+ */
+async function getGoalProgress({ activeSession = null, now = new Date() } = {}) {
+  const periodStarts = getPeriodStartDates(now);
+  const today = periodStarts.daily;
+  // The week can start in the previous month, so load from whichever period starts first
+  const earliest = periodStarts.weekly < periodStarts.monthly ? periodStarts.weekly : periodStarts.monthly;
+
+  const [sessions, projects, currentSettings] = await Promise.all([
+    dataManager.loadSessions({ startDate: earliest, endDate: today }),
+    dataManager.loadAndMigrateProjects(),
+    settings.loadSettings(),
+  ]);
+
+  const entries = sessions.map(session => ({
+    date: session.date,
+    project: session.project,
+    minutes: parseInt(session.duration_minutes, 10) || 0,
+  }));
+  if (activeSession && activeSession.projectName) {
+    entries.push({
+      date: activeSession.startTime ? formatDateYYYYMMDD(new Date(activeSession.startTime)) : today,
+      project: activeSession.projectName,
+      minutes: activeSession.minutes || 0,
+    });
+  }
+
+  // Which projects each session counts towards: its own and every ancestor
+  const byId = indexProjects(projects);
+  const byName = new Map(projects.map(project => [project.name, project]));
+  const totals = new Map(); // projectId -> { daily, weekly, monthly } minutes
+  let globalTodayMinutes = 0;
+
+  entries.forEach(entry => {
+    if (!entry.project) return; // Time without a project, like split-off idle time, isn't work towards a goal
+    if (entry.date === today) globalTodayMinutes += entry.minutes;
+    const project = byName.get(entry.project);
+    if (!project) return;
+    getProjectPath(project, byId).forEach(member => {
+      const projectTotals = totals.get(member.id) || { daily: 0, weekly: 0, monthly: 0 };
+      GOAL_PERIODS.forEach(period => {
+        if (entry.date >= periodStarts[period]) projectTotals[period] += entry.minutes;
+      });
+      totals.set(member.id, projectTotals);
+    });
+  });
+
+  const projectProgress = projects
+    .filter(project => project.goals && GOAL_PERIODS.some(period => project.goals[period] > 0))
+    .map(project => ({
+      id: project.id,
+      name: project.name,
+      color: project.color,
+      goals: GOAL_PERIODS
+        .filter(period => project.goals[period] > 0)
+        .map(period => ({
+          period,
+          goalHours: project.goals[period],
+          hours: ((totals.get(project.id) || {})[period] || 0) / 60,
+        })),
+    }));
+
+  const dailyGoalHours = Number(currentSettings.dailyGoalHours) || 0;
+  return {
+    date: today,
+    periodStarts,
+    global: dailyGoalHours > 0 ? { goalHours: dailyGoalHours, hours: globalTodayMinutes / 60 } : null,
+    projects: projectProgress,
+  };
+}
+
+module.exports = {
+  GOAL_PERIODS,
+  getGoalProgress,
+};
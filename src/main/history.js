@@ -0,0 +1,113 @@
+const fsPromises = require('fs').promises;
+const { HISTORY_FILE_PATH } = require('./paths');
+const { writeFileAtomic } = require('./utils');
+
+// The undo/redo log. Every data mutation records what it changed as an operation:
+//   { label, timestamp, sessions?: { before: [rows], after: [rows] }, projects?: { before: [...], after: [...] },
+//     renamedProject?: { before: oldName, after: newName } }
+// Session changes hold only the affected rows (a row missing from `before` was added, one missing
+// from `after` was deleted); project changes hold the whole list. A rename also names the project
+// in saved views and calendar import rules, which are switched between the two names. The log is kept in history.json
+// so it survives closing the dashboard and restarting Juju.
+//
+// None of these functions queue writes themselves: call them from inside a queued write task,
+// alongside the mutation they describe.
+
+const MAX_HISTORY_ENTRIES = 100;
+
+let history = null; // { undo: [], redo: [] }, loaded on first use
+
+/**
+ * Loads the history log from disk (once) and returns it.
+ * @returns {Promise<{undo: Array<Object>, redo: Array<Object>}>}
+ */
+async function loadHistory() {
+  if (history) return history;
+  try {
+    const fileContent = await fsPromises.readFile(HISTORY_FILE_PATH, 'utf8');
+    const stored = JSON.parse(fileContent);
+    history = {
+      undo: Array.isArray(stored.undo) ? stored.undo : [],
+      redo: Array.isArray(stored.redo) ? stored.redo : [],
+    };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('[History] Error reading history.json, starting a new history:', error);
+    }
+    history = { undo: [], redo: [] };
+  }
+  return history;
+}
+
+/**
+ * Writes the history log to disk.
+ * @returns {Promise<void>}
+ */
+async function saveHistory() {
+  await writeFileAtomic(HISTORY_FILE_PATH, JSON.stringify(history));
+}
+
+/**
+ * Records a new operation. Recording clears the redo stack, as in any editor.
+ * @param {string} label - Short description shown on the Undo/Redo buttons, e.g. "Delete session".
+ * @param {Object} changes - { sessions?: { before, after }, projects?: { before, after }, renamedProject?: { before, after } }
+ * @returns {Promise<void>}
+ */
+async function recordOperation(label, changes) {
+  await loadHistory();
+  history.undo.push({ label, timestamp: new Date().toISOString(), ...changes });
+  if (history.undo.length > MAX_HISTORY_ENTRIES) {
+    history.undo.splice(0, history.undo.length - MAX_HISTORY_ENTRIES);
+  }
+  history.redo = [];
+  try {
+    await saveHistory();
+  } catch (error) {
+    // The mutation itself already succeeded; losing its history entry shouldn't fail it
+    console.error('[History] Failed to save history:', error);
+  }
+}
+
+/**
+ * Returns the operation that Undo ('undo') or Redo ('redo') would apply next, without removing it.
+ * @param {'undo' | 'redo'} direction
+ * @returns {Promise<Object | null>} The operation, or null if there is nothing to apply.
+ */
+async function peekOperation(direction) {
+  const stack = (await loadHistory())[direction];
+  return stack.length > 0 ? stack[stack.length - 1] : null;
+}
+
+/**
+ * Moves the next operation to the opposite stack once it has been applied.
+ * @param {'undo' | 'redo'} direction - The direction that was just applied.
+ * @returns {Promise<void>}
+ */
+async function completeOperation(direction) {
+  await loadHistory();
+  const operation = history[direction].pop();
+  if (!operation) return;
+  history[direction === 'undo' ? 'redo' : 'undo'].push(operation);
+  await saveHistory();
+}
+
+/**
+ * Describes what Undo and Redo would do, for the dashboard buttons.
+ * @returns {Promise<{canUndo: boolean, canRedo: boolean, undoLabel: string | null, redoLabel: string | null}>}
+ */
+async function getHistoryState() {
+  const { undo, redo } = await loadHistory();
+  return {
+    canUndo: undo.length > 0,
+    canRedo: redo.length > 0,
+    undoLabel: undo.length > 0 ? undo[undo.length - 1].label : null,
+    redoLabel: redo.length > 0 ? redo[redo.length - 1].label : null,
+  };
+}
+
+module.exports = {
+  recordOperation,
+  peekOperation,
+  completeOperation,
+  getHistoryState,
+};
@@ -0,0 +1,375 @@
+// A small iCalendar (RFC 5545) reader for importing calendar events as sessions. It understands
+// VEVENTs with DTSTART/DTEND/DURATION in UTC, floating or TZID time, EXDATE, RECURRENCE-ID
+// overrides and the common RRULE forms (FREQ, INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY).
+//
+// Times are kept as wall-clock parts plus a zone ('UTC', 'floating' or an IANA TZID) until an
+// occurrence is turned into a Date, so recurring events keep their local time across DST changes.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_OCCURRENCES = 5000; // Stop expanding runaway rules
+
+const zoneFormatters = new Map(); // TZID -> Intl.DateTimeFormat, created on first use
+const unknownZones = new Set(); // TZIDs already warned about
+
+/**
+ * Unfolds content lines and splits them into { name, params, value }.
+ * @param {string} text - The file content.
+ * @returns {Array<Object>} Parsed content lines.
+ */
+function parseContentLines(text) {
+  const unfolded = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '');
+  return unfolded.split('\n').filter(Boolean).map(line => {
+    // The value starts at the first ':' outside a quoted parameter value
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '"') inQuotes = !inQuotes;
+      if (line[i] === ':' && !inQuotes) { colon = i; break; }
+    }
+    if (colon === -1) return null;
+    const [name, ...paramParts] = line.slice(0, colon).split(';');
+    const params = {};
+    paramParts.forEach(part => {
+      const [key, ...rest] = part.split('=');
+      params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    });
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+  }).filter(Boolean);
+}
+
+/**
+ * Reverses iCalendar text escaping.
+ * @param {string} value - An escaped TEXT value.
+ * @returns {string} The plain text.
+ */
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Parses a DATE or DATE-TIME value.
+ * @param {string} value - e.g. "20240131", "20240131T090000" or "20240131T090000Z".
+ * @param {Object} params - The property parameters (TZID, VALUE).
+ * @returns {Object|null} { parts: { year, month, day, hours, minutes, seconds }, zone, allDay }
+ */
+function parseDateTime(value, params = {}) {
+  const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+  const allDay = !match[4];
+  return {
+    parts: {
+      year: Number(match[1]), month: Number(match[2]), day: Number(match[3]),
+      hours: Number(match[4] || 0), minutes: Number(match[5] || 0), seconds: Number(match[6] || 0),
+    },
+    zone: match[7] ? 'UTC' : (params.TZID && !allDay ? params.TZID : 'floating'),
+    allDay,
+  };
+}
+
+/**
+ * Works out how far a time zone is ahead of UTC at a given moment.
+ * @param {number} timestamp - Milliseconds since the epoch.
+ * @param {string} timeZone - IANA time zone name.
+ * @returns {number} Offset in milliseconds.
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }));
+  }
+  const parts = zoneFormatters.get(timeZone).formatToParts(new Date(timestamp));
+  const get = type => Number(parts.find(part => part.type === type).value);
+  return Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second')) - timestamp;
+}
+
+/**
+ * Turns wall-clock parts in a zone into a Date. Unknown TZIDs (e.g. Windows zone names) are read
+ * as floating local time.
+ * @param {Object} parts - { year, month, day, hours, minutes, seconds }
+ * @param {string} zone - 'UTC', 'floating' or an IANA TZID.
+ * @returns {Date} The moment.
+ */
+function toDate(parts, zone) {
+  const { year, month, day, hours, minutes, seconds } = parts;
+  if (zone === 'floating') return new Date(year, month - 1, day, hours, minutes, seconds);
+  const asUtc = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  if (zone === 'UTC') return new Date(asUtc);
+  try {
+    const offset = getTimeZoneOffset(asUtc, zone);
+    const guess = asUtc - offset;
+    // Check the offset again at the guessed moment in case a DST change falls in between
+    const correctedOffset = getTimeZoneOffset(guess, zone);
+    return new Date(asUtc - correctedOffset);
+  } catch (error) {
+    if (!unknownZones.has(zone)) {
+      unknownZones.add(zone);
+      console.warn(`[ICS] Unknown time zone "${zone}", reading its times as local time.`);
+    }
+    return new Date(year, month - 1, day, hours, minutes, seconds);
+  }
+}
+
+/**
+ * Parses a DURATION value such as "PT1H30M" or "P1D".
+ * @param {string} value - The duration.
+ * @returns {number|null} Milliseconds, or null if unreadable.
+ */
+function parseDuration(value) {
+  const match = value.trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+  const [, sign, weeks, days, hours, minutes, seconds] = match.map(part => part || 0);
+  const ms = ((Number(weeks) * 7 + Number(days)) * 24 * 3600 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds)) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+/**
+ * Parses an RRULE value.
+ * @param {string} value - e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE".
+ * @returns {Object} { freq, interval, count, until, byDay: [{ ordinal, weekday }], byMonthDay: [] }
+ */
+function parseRecurrenceRule(value) {
+  const rule = { freq: null, interval: 1, count: null, until: null, byDay: [], byMonthDay: [] };
+  value.split(';').forEach(part => {
+    const [key, ruleValue = ''] = part.split('=');
+    switch (key.toUpperCase()) {
+      case 'FREQ': rule.freq = ruleValue.toUpperCase(); break;
+      case 'INTERVAL': rule.interval = Math.max(1, parseInt(ruleValue, 10) || 1); break;
+      case 'COUNT': rule.count = parseInt(ruleValue, 10) || null; break;
+      case 'UNTIL': rule.until = parseDateTime(ruleValue); break;
+      case 'BYDAY':
+        rule.byDay = ruleValue.split(',').map(day => {
+          const match = day.trim().toUpperCase().match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/);
+          return match ? { ordinal: match[1] ? Number(match[1]) : null, weekday: WEEKDAYS.indexOf(match[2]) } : null;
+        }).filter(Boolean);
+        break;
+      case 'BYMONTHDAY': rule.byMonthDay = ruleValue.split(',').map(Number).filter(Boolean); break;
+      default: break; // Other parts (BYMONTH, BYSETPOS, WKST, ...) aren't supported and are ignored
+    }
+  });
+  return rule;
+}
+
+/**
+ * Reads the VEVENTs of an iCalendar file.
+ * @param {string} text - The file content.
+ * @returns {Array<Object>} Events: { uid, summary, description, categories, start, end?, durationMs?,
+ *   rrule, exdates: [timestamps], recurrenceId: timestamp | null, status }. start/end are parsed date-times.
+ */
+function parseIcsEvents(text) {
+  const events = [];
+  let current = null;
+  let depth = 0; // Nesting inside the current VEVENT (e.g. VALARM)
+
+  parseContentLines(text).forEach(({ name, params, value }) => {
+    if (name === 'BEGIN') {
+      if (value.toUpperCase() === 'VEVENT' && !current) {
+        current = { uid: '', summary: '', description: '', categories: [], start: null, end: null, durationMs: null, rrule: null, exdates: [], recurrenceId: null, status: '' };
+      } else if (current) {
+        depth += 1;
+      }
+      return;
+    }
+    if (name === 'END') {
+      if (current && depth > 0) {
+        depth -= 1;
+      } else if (current && value.toUpperCase() === 'VEVENT') {
+        if (current.start) events.push(current);
+        current = null;
+      }
+      return;
+    }
+    if (!current || depth > 0) return;
+
+    switch (name) {
+      case 'UID': current.uid = value; break;
+      case 'SUMMARY': current.summary = unescapeText(value); break;
+      case 'DESCRIPTION': current.description = unescapeText(value); break;
+      case 'CATEGORIES': current.categories.push(...value.split(/(?<!\\),/).map(unescapeText).filter(Boolean)); break;
+      case 'STATUS': current.status = value.toUpperCase(); break;
+      case 'DTSTART': current.start = parseDateTime(value, params); break;
+      case 'DTEND': current.end = parseDateTime(value, params); break;
+      case 'DURATION': current.durationMs = parseDuration(value); break;
+      case 'RRULE': current.rrule = parseRecurrenceRule(value); break;
+      case 'EXDATE':
+        value.split(',').forEach(exdate => {
+          const parsed = parseDateTime(exdate, params);
+          if (parsed) current.exdates.push(toDate(parsed.parts, parsed.zone).getTime());
+        });
+        break;
+      case 'RECURRENCE-ID': {
+        const parsed = parseDateTime(value, params);
+        if (parsed) current.recurrenceId = toDate(parsed.parts, parsed.zone).getTime();
+        break;
+      }
+      default: break;
+    }
+  });
+  return events;
+}
+
+/**
+ * Calendar arithmetic on wall-clock parts, done in UTC so local DST changes don't interfere.
+ * @param {Object} parts - { year, month, day, ... }
+ * @param {number} days - Days to add.
+ * @returns {Object} New parts with the same time of day.
+ */
+function addDays(parts, days) {
+  const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + days));
+  return { ...parts, year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+/**
+ * Finds the days of a month matching a BYDAY entry, e.g. 2TU (second Tuesday) or -1FR (last Friday).
+ * @param {number} year - The year.
+ * @param {number} month - The month, 1-12.
+ * @param {Object} byDay - { ordinal, weekday }
+ * @returns {Array<number>} Matching days of the month.
+ */
+function getMonthDaysForWeekday(year, month, { ordinal, weekday }) {
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const days = [];
+  for (let day = 1; day <= daysInMonth; day++) {
+    if (new Date(Date.UTC(year, month - 1, day)).getUTCDay() === weekday) days.push(day);
+  }
+  if (ordinal === null) return days;
+  const picked = ordinal > 0 ? days[ordinal - 1] : days[days.length + ordinal];
+  return picked ? [picked] : [];
+}
+
+/**
+ * Lists the start dates (as wall-clock parts) a recurrence rule produces within a range, in order.
+ * Occurrences before the range still count towards the rule's COUNT, but not towards MAX_OCCURRENCES,
+ * so long-running events expand however long ago they started.
+ * @param {Object} start - The event's parsed DTSTART.
+ * @param {Object} rule - From parseRecurrenceRule.
+ * @param {number} rangeStart - Leave out occurrences before this timestamp.
+ * @param {number} rangeEnd - Stop after this timestamp.
+ * @returns {Array<Object>} Occurrence start parts.
+ */
+function expandRecurrence(start, rule, rangeStart, rangeEnd) {
+  const first = start.parts;
+  const startKey = Date.UTC(first.year, first.month - 1, first.day);
+  const untilTime = rule.until ? toDate(rule.until.parts, rule.until.allDay ? 'floating' : rule.until.zone).getTime() +
+    (rule.until.allDay ? DAY_MS - 1 : 0) : Infinity;
+  const occurrences = [];
+  let generated = 0; // Including those before the range, for COUNT
+
+  // Returns false once expansion should stop
+  const add = parts => {
+    const key = Date.UTC(parts.year, parts.month - 1, parts.day);
+    if (key < startKey) return true;
+    const time = toDate(parts, start.zone).getTime();
+    if (time > untilTime || time > rangeEnd) return false;
+    if (rule.count !== null && generated >= rule.count) return false;
+    generated += 1;
+    if (time < rangeStart) return true;
+    occurrences.push(parts);
+    return occurrences.length < MAX_OCCURRENCES;
+  };
+
+  for (let period = 0; ; period++) {
+    const step = period * rule.interval;
+    let periodStart;
+    let candidates = [];
+    if (rule.freq === 'DAILY') {
+      periodStart = addDays(first, step);
+      candidates = [periodStart];
+    } else if (rule.freq === 'WEEKLY') {
+      // Weeks start on Monday (WKST=MO), like getStartOfWeek
+      const weekday = new Date(startKey).getUTCDay();
+      const weekStart = addDays(first, step * 7 - ((weekday + 6) % 7));
+      periodStart = weekStart;
+      const weekdays = rule.byDay.length > 0 ? rule.byDay.map(day => day.weekday) : [weekday];
+      candidates = [...new Set(weekdays)]
+        .map(day => addDays(weekStart, (day + 6) % 7))
+        .sort((a, b) => Date.UTC(a.year, a.month - 1, a.day) - Date.UTC(b.year, b.month - 1, b.day));
+    } else if (rule.freq === 'MONTHLY' || rule.freq === 'YEARLY') {
+      const monthIndex = rule.freq === 'MONTHLY' ? first.month - 1 + step : first.month - 1 + step * 12;
+      const year = first.year + Math.floor(monthIndex / 12);
+      const month = (monthIndex % 12) + 1;
+      const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+      periodStart = { ...first, year, month, day: 1 };
+      let days;
+      if (rule.freq === 'MONTHLY' && rule.byDay.length > 0) {
+        days = rule.byDay.flatMap(byDay => getMonthDaysForWeekday(year, month, byDay));
+      } else if (rule.freq === 'MONTHLY' && rule.byMonthDay.length > 0) {
+        days = rule.byMonthDay.map(day => (day > 0 ? day : daysInMonth + day + 1));
+      } else {
+        days = [first.day];
+      }
+      candidates = [...new Set(days)]
+        .filter(day => day >= 1 && day <= daysInMonth) // e.g. no 31st in April: skipped, as RFC 5545 says
+        .sort((a, b) => a - b)
+        .map(day => ({ ...first, year, month, day }));
+    } else {
+      return [first]; // Unsupported frequency: just the first occurrence
+    }
+    // Periods past the range can't add anything, even those whose rule matches no day (e.g. BYMONTHDAY=31
+    // in a 30-day month); the extra day allows for the time zone of the wall-clock parts
+    if (Date.UTC(periodStart.year, periodStart.month - 1, periodStart.day) - DAY_MS > rangeEnd) {
+      return occurrences;
+    }
+    for (const parts of candidates) {
+      if (!add(parts)) return occurrences;
+    }
+  }
+}
+
+/**
+ * Lists the occurrences of every event that start within a range. Recurring events are expanded,
+ * skipping EXDATEs and occurrences replaced by a RECURRENCE-ID override; cancelled events are left out.
+ * @param {Array<Object>} events - From parseIcsEvents.
+ * @param {Date} rangeStart - Start of the range (inclusive).
+ * @param {Date} rangeEnd - End of the range (inclusive).
+ * @returns {Array<Object>} { uid, summary, description, categories, start: Date, end: Date, allDay, recurring }
+ *   sorted by start.
+ */
+function getOccurrences(events, rangeStart, rangeEnd) {
+  const overridden = new Set(events.filter(event => event.recurrenceId !== null).map(event => `${event.uid}|${event.recurrenceId}`));
+  const occurrences = [];
+
+  events.forEach(event => {
+    if (event.status === 'CANCELLED') return;
+    const { start } = event;
+    const startDate = toDate(start.parts, start.zone);
+    let lengthMs;
+    if (event.end) {
+      lengthMs = toDate(event.end.parts, event.end.zone).getTime() - startDate.getTime();
+    } else if (event.durationMs !== null) {
+      lengthMs = event.durationMs;
+    } else {
+      lengthMs = start.allDay ? DAY_MS : 0;
+    }
+
+    const starts = event.rrule && event.recurrenceId === null
+      ? expandRecurrence(start, event.rrule, rangeStart.getTime(), rangeEnd.getTime()).map(parts => toDate(parts, start.zone))
+      : [startDate];
+
+    starts.forEach(occurrenceStart => {
+      const time = occurrenceStart.getTime();
+      if (time < rangeStart.getTime() || time > rangeEnd.getTime()) return;
+      if (event.rrule && event.recurrenceId === null &&
+          (event.exdates.includes(time) || overridden.has(`${event.uid}|${time}`))) return;
+      occurrences.push({
+        uid: event.uid,
+        summary: event.summary,
+        description: event.description,
+        categories: event.categories,
+        start: occurrenceStart,
+        end: new Date(time + lengthMs),
+        allDay: start.allDay,
+        recurring: Boolean(event.rrule) || event.recurrenceId !== null,
+      });
+    });
+  });
+
+  return occurrences.sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+  parseIcsEvents,
+  getOccurrences,
+};
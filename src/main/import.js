@@ -0,0 +1,437 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const Papa = require('papaparse');
+const dataManager = require('./data-manager');
+const { formatDateYYYYMMDD } = require('./utils');
+
+// Importing time entries from other trackers. A CSV file is parsed into rows keyed by header, and a
+// column mapping says which header holds each field:
+//   { date, start_time, end_time?, duration?, project, notes?, tags? }
+// Toggl and Clockify exports are recognised by their headers and start from a preset mapping; any
+// other CSV starts from a guess based on the header names, which the user adjusts in the wizard.
+
+const IMPORT_FIELDS = ['date', 'start_time', 'end_time', 'duration', 'project', 'notes', 'tags'];
+
+const IMPORT_SOURCES = {
+  toggl: {
+    name: 'Toggl Track',
+    mapping: { date: 'Start date', start_time: 'Start time', end_time: 'End time', duration: 'Duration', project: 'Project', notes: 'Description', tags: 'Tags' },
+  },
+  clockify: {
+    name: 'Clockify',
+    mapping: { date: 'Start Date', start_time: 'Start Time', end_time: 'End Time', duration: 'Duration (h)', project: 'Project', notes: 'Description', tags: 'Tags' },
+  },
+  generic: { name: 'Generic CSV', mapping: {} },
+};
+
+// Header names (lowercase, '_' read as a space) recognised for each field in a generic CSV
+const HEADER_GUESSES = {
+  date: ['date', 'start date', 'day'],
+  start_time: ['start time', 'start', 'from', 'begin'],
+  end_time: ['end time', 'end', 'to', 'stop', 'finish'],
+  duration: ['duration', 'duration (h)', 'hours'],
+  project: ['project', 'project name'],
+  notes: ['notes', 'note', 'description', 'comment'],
+  tags: ['tags', 'tag', 'labels'],
+};
+
+const DATE_FORMATS = {
+  'YYYY-MM-DD': { pattern: /^(\d{4})-(\d{1,2})-(\d{1,2})$/, order: ['year', 'month', 'day'] },
+  'MM/DD/YYYY': { pattern: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, order: ['month', 'day', 'year'] },
+  'DD/MM/YYYY': { pattern: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, order: ['day', 'month', 'year'] },
+  'DD.MM.YYYY': { pattern: /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/, order: ['day', 'month', 'year'] },
+};
+
+const NO_PROJECT = ''; // Key used in project mappings for rows without a project
+
+/**
+ * Reads and parses a CSV file to import.
+ * @param {string} filePath - The file to read.
+ * @returns {Promise<{headers: Array<string>, rows: Array<Object>}>} Header names and rows keyed by header.
+ */
+async function readImportFile(filePath) {
+  const fileContent = (await fsPromises.readFile(filePath, 'utf8')).replace(/^\uFEFF/, '');
+  const result = Papa.parse(fileContent, {
+    header: true,
+    skipEmptyLines: 'greedy',
+    transformHeader: header => header.trim(),
+  });
+  const headers = (result.meta.fields || []).filter(Boolean);
+  if (headers.length === 0) {
+    throw new Error('The file has no header row');
+  }
+  return { headers, rows: result.data };
+}
+
+/**
+ * Recognises Toggl and Clockify exports by their headers.
+ * @param {Array<string>} headers - The file's header names.
+ * @returns {string} A key of IMPORT_SOURCES.
+ */
+function detectSource(headers) {
+  const source = ['toggl', 'clockify'].find(key => {
+    const { date, start_time: startTime, project } = IMPORT_SOURCES[key].mapping;
+    return [date, startTime, project].every(header => headers.includes(header));
+  });
+  return source || 'generic';
+}
+
+/**
+ * Suggests a column mapping for a file.
+ * @param {string} source - A key of IMPORT_SOURCES.
+ * @param {Array<string>} headers - The file's header names.
+ * @returns {Object} Field name -> header name, for the fields a column was found for.
+ */
+function suggestMapping(source, headers) {
+  const mapping = {};
+  const preset = (IMPORT_SOURCES[source] || IMPORT_SOURCES.generic).mapping;
+  IMPORT_FIELDS.forEach(field => {
+    if (preset[field] && headers.includes(preset[field])) {
+      mapping[field] = preset[field];
+      return;
+    }
+    const guess = headers.find(header => HEADER_GUESSES[field].includes(header.toLowerCase().replace(/_/g, ' ')));
+    if (guess && !Object.values(mapping).includes(guess)) mapping[field] = guess;
+  });
+  return mapping;
+}
+
+/**
+ * Works out which date format a column uses from its values.
+ * Slash dates are read as MM/DD/YYYY unless some day can only be read as DD/MM/YYYY.
+ * @param {Array<string>} values - Raw date values.
+ * @returns {string} A key of DATE_FORMATS.
+ */
+function detectDateFormat(values) {
+  const dates = values.map(value => String(value || '').trim().split(/[ T]/)[0]).filter(Boolean);
+  if (dates.length === 0 || dates.every(date => DATE_FORMATS['YYYY-MM-DD'].pattern.test(date))) return 'YYYY-MM-DD';
+  if (dates.every(date => DATE_FORMATS['DD.MM.YYYY'].pattern.test(date))) return 'DD.MM.YYYY';
+  const dayFirst = dates.some(date => {
+    const match = date.match(DATE_FORMATS['MM/DD/YYYY'].pattern);
+    return match && Number(match[1]) > 12;
+  });
+  return dayFirst ? 'DD/MM/YYYY' : 'MM/DD/YYYY';
+}
+
+/**
+ * Parses a date value. A time following the date (e.g. "2024-01-31 09:00") is ignored.
+ * @param {string} value - The raw value.
+ * @param {string} dateFormat - A key of DATE_FORMATS.
+ * @returns {string|null} YYYY-MM-DD, or null if the value doesn't match the format.
+ */
+function parseDate(value, dateFormat) {
+  const format = DATE_FORMATS[dateFormat];
+  const match = String(value || '').trim().split(/[ T]/)[0].match(format.pattern);
+  if (!match) return null;
+  const parts = {};
+  format.order.forEach((part, index) => { parts[part] = Number(match[index + 1]); });
+  const date = new Date(parts.year, parts.month - 1, parts.day);
+  if (date.getFullYear() !== parts.year || date.getMonth() !== parts.month - 1 || date.getDate() !== parts.day) return null;
+  return formatDateYYYYMMDD(date);
+}
+
+/**
+ * Parses a time of day, in 24-hour or AM/PM form. A date before the time is ignored.
+ * @param {string} value - The raw value, e.g. "09:30", "9:30:15 PM" or "2024-01-31T09:30:00".
+ * @returns {string|null} HH:MM:SS, or null if no time is found.
+ */
+function parseTime(value) {
+  const match = String(value || '').trim().match(/(?:^|[ T])(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?\s*([AaPp][Mm])?/);
+  if (!match) return null;
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const seconds = Number(match[3] || 0);
+  if (match[4]) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (match[4].toLowerCase() === 'pm' ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59 || seconds > 59) return null;
+  return [hours, minutes, seconds].map(part => String(part).padStart(2, '0')).join(':');
+}
+
+/**
+ * Parses a duration given as H:MM(:SS) or as decimal hours (e.g. Clockify's "1.50").
+ * @param {string} value - The raw value.
+ * @returns {number|null} Duration in seconds, or null if it can't be read.
+ */
+function parseDurationSeconds(value) {
+  const text = String(value || '').trim();
+  const clock = text.match(/^(\d+):(\d{2})(?::(\d{2}))?$/);
+  if (clock) return Number(clock[1]) * 3600 + Number(clock[2]) * 60 + Number(clock[3] || 0);
+  const hours = Number(text.replace(',', '.'));
+  return text && Number.isFinite(hours) && hours >= 0 ? Math.round(hours * 3600) : null;
+}
+
+/**
+ * Reads one row of the file into session fields. The project is the file's own project name.
+ * @param {Object} row - The parsed CSV row.
+ * @param {Object} mapping - Field name -> header name.
+ * @param {string} dateFormat - A key of DATE_FORMATS.
+ * @returns {Object} { date, start_time, end_time, project, notes, tags }. Throws if the row can't be read.
+ */
+function parseImportRow(row, mapping, dateFormat) {
+  const read = field => (mapping[field] ? String(row[mapping[field]] ?? '').trim() : '');
+
+  const date = parseDate(read('date'), dateFormat);
+  if (!date) throw new Error(`Unrecognised date "${read('date')}"`);
+  const startTime = parseTime(read('start_time'));
+  if (!startTime) throw new Error(`Unrecognised start time "${read('start_time')}"`);
+
+  const durationSeconds = read('duration') ? parseDurationSeconds(read('duration')) : null;
+  if (durationSeconds !== null && durationSeconds >= 24 * 3600) {
+    throw new Error('Entries of a day or longer can\'t be imported');
+  }
+  let endTime = read('end_time') ? parseTime(read('end_time')) : null;
+  if (read('end_time') && !endTime) throw new Error(`Unrecognised end time "${read('end_time')}"`);
+  if (!endTime && durationSeconds !== null) {
+    const [hours, minutes, seconds] = startTime.split(':').map(Number);
+    const endSeconds = (hours * 3600 + minutes * 60 + seconds + durationSeconds) % (24 * 3600);
+    endTime = [Math.floor(endSeconds / 3600), Math.floor(endSeconds / 60) % 60, endSeconds % 60]
+      .map(part => String(part).padStart(2, '0')).join(':');
+  }
+  if (!endTime) throw new Error('Missing end time or duration');
+
+  return { date, start_time: startTime, end_time: endTime, project: read('project'), notes: read('notes'), tags: read('tags') };
+}
+
+/**
+ * Checks that a mapping names the required fields and only uses columns the file has.
+ * @param {Object} mapping - Field name -> header name.
+ * @param {Array<string>} headers - The file's header names.
+ */
+function validateMapping(mapping, headers) {
+  if (!mapping || typeof mapping !== 'object') throw new Error('A column mapping is required');
+  ['date', 'start_time', 'project'].forEach(field => {
+    if (!mapping[field]) throw new Error(`Choose the column holding the ${field.replace('_', ' ')}`);
+  });
+  if (!mapping.end_time && !mapping.duration) throw new Error('Choose the column holding the end time or the duration');
+  Object.entries(mapping).forEach(([field, header]) => {
+    if (!IMPORT_FIELDS.includes(field)) throw new Error(`Unknown import field: ${field}`);
+    if (header && !headers.includes(header)) throw new Error(`The file has no column named "${header}"`);
+  });
+}
+
+/**
+ * Turns a session's date and times into a time span, treating an end before the start as past midnight.
+ * @param {Object} session - { date, start_time, end_time }
+ * @returns {{start: number, end: number}} Milliseconds since the epoch.
+ */
+function getSessionSpan(session) {
+  const start = new Date(`${session.date}T${session.start_time}`).getTime();
+  let end = new Date(`${session.date}T${session.end_time}`).getTime();
+  if (end <= start) end += 24 * 60 * 60 * 1000;
+  return { start, end };
+}
+
+/**
+ * Checks rows to import against the sessions already tracked and against earlier rows.
+ * Rows with an `entry` ({ date, start_time, end_time }) get status 'duplicate' when a session has the same
+ * date and start/end minute, or 'overlap' when their times overlap, with the clashing session in `conflict`.
+ * Earlier rows only count if they will be imported, so a row left out doesn't push later ones out too.
+ * @param {Array<Object>} results - Rows to check, in file order; updated in place.
+ * @param {Function} [isImported] - Called with a checked row; true if it will be imported. Defaults to new rows.
+ * @returns {Promise<void>}
+ */
+async function markConflicts(results, isImported = result => result.status === 'new') {
+  // Compare against sessions from the day before the first entry (which may run past midnight)
+  // through the day after the last one
+  const dates = results.filter(result => result.entry).map(result => result.entry.date).sort();
+  const byDate = new Map();
+  const addToDate = (session, source) => {
+    const list = byDate.get(session.date) || [];
+    list.push({ session, source, span: getSessionSpan(session) });
+    byDate.set(session.date, list);
+  };
+  if (dates.length > 0) {
+    const firstDate = new Date(`${dates[0]}T00:00:00`);
+    firstDate.setDate(firstDate.getDate() - 1);
+    const lastDate = new Date(`${dates[dates.length - 1]}T00:00:00`);
+    lastDate.setDate(lastDate.getDate() + 1);
+    const existing = await dataManager.loadSessions({ startDate: formatDateYYYYMMDD(firstDate), endDate: formatDateYYYYMMDD(lastDate) });
+    existing.forEach(session => addToDate(session, 'existing'));
+  }
+
+  results.forEach(result => {
+    if (!result.entry) return;
+    const span = getSessionSpan(result.entry);
+    const day = new Date(`${result.entry.date}T00:00:00`);
+    const nearby = [-1, 0, 1].flatMap(offset => {
+      const date = new Date(day);
+      date.setDate(day.getDate() + offset);
+      return byDate.get(formatDateYYYYMMDD(date)) || [];
+    });
+    const sameMinute = (a, b) => String(a).slice(0, 5) === String(b).slice(0, 5);
+    const duplicate = nearby.find(other => other.session.date === result.entry.date &&
+      sameMinute(other.session.start_time, result.entry.start_time) && sameMinute(other.session.end_time, result.entry.end_time));
+    const overlap = duplicate ? null : nearby.find(other => other.span.start < span.end && span.start < other.span.end);
+    const conflict = duplicate || overlap;
+    if (conflict) {
+      result.status = duplicate ? 'duplicate' : 'overlap';
+      const { date, start_time: startTime, end_time: endTime, project } = conflict.session;
+      result.conflict = { date, start_time: startTime, end_time: endTime, project, source: conflict.source };
+    }
+    if (isImported(result)) addToDate(result.entry, 'file');
+  });
+}
+
+/**
+ * Works out why a previewed row won't be imported, if it won't.
+ * @param {Object} result - A row from previewImport.
+ * @param {Object} options - { projectMap, skipDuplicates, skipOverlaps } as for importFile.
+ * @returns {string|null} 'invalid', 'duplicate', 'overlap' or 'project' (mapped to "Don't import"), or null if it's imported.
+ */
+function getSkipReason(result, { projectMap = {}, skipDuplicates = true, skipOverlaps = true } = {}) {
+  if (result.status === 'invalid' ||
+      (result.status === 'duplicate' && skipDuplicates) ||
+      (result.status === 'overlap' && skipOverlaps)) {
+    return result.status;
+  }
+  const target = projectMap[result.entry.project || NO_PROJECT];
+  return target && target.action === 'skip' ? 'project' : null;
+}
+
+/**
+ * Reads a file with the given mapping and checks every row against the sessions already tracked.
+ * Each row gets a status:
+ *   'invalid'   - the row can't be read, see `error`
+ *   'duplicate' - a session with the same date and start/end minute already exists (or an earlier row that
+ *                 will be imported has them)
+ *   'overlap'   - the row's time overlaps an existing session (or an earlier row that will be imported)
+ *   'new'       - none of the above
+ * @param {string} filePath - The file to import.
+ * @param {Object} options - { mapping, dateFormat, projectMap?, skipDuplicates?, skipOverlaps? }; the last
+ *   three are as for importFile and decide which earlier rows later ones are checked against.
+ * @returns {Promise<Object>} { dateFormat, rows: [{ line, status, entry?, error?, conflict? }], projects: [{ name, count, match }] }
+ *   where `match` is the existing project with the same name (ignoring case), or null.
+ *   An unknown dateFormat is detected from the file.
+ */
+async function previewImport(filePath, { mapping, dateFormat, ...skipOptions } = {}) {
+  const { headers, rows } = await readImportFile(filePath);
+  validateMapping(mapping, headers);
+  const format = DATE_FORMATS[dateFormat] ? dateFormat : detectDateFormat(rows.map(row => row[mapping.date]));
+
+  const results = rows.map((row, index) => {
+    const line = index + 2; // Line 1 is the header
+    try {
+      const entry = parseImportRow(row, mapping, format);
+      // Validate like a manually added session; the project is mapped later
+      const { duration_minutes: durationMinutes } = dataManager.buildSessionRow({ ...entry, project: entry.project || '-' });
+      return { line, status: 'new', entry: { ...entry, duration_minutes: durationMinutes } };
+    } catch (error) {
+      return { line, status: 'invalid', error: error.message };
+    }
+  });
+
+  await markConflicts(results, result => getSkipReason(result, skipOptions) === null);
+
+  const projects = await dataManager.loadAndMigrateProjects();
+  const projectCounts = new Map();
+  results.forEach(result => {
+    if (result.entry) projectCounts.set(result.entry.project, (projectCounts.get(result.entry.project) || 0) + 1);
+  });
+  const projectSummary = [...projectCounts.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, count]) => {
+      const match = name ? projects.find(project => project.name.toLowerCase() === name.toLowerCase()) : null;
+      return { name, count, match: match ? match.name : null };
+    });
+
+  console.log(`[Import] Previewed ${results.length} rows from ${filePath}`);
+  return { dateFormat: format, rows: results, projects: projectSummary };
+}
+
+/**
+ * Reads a file's headers and suggests how to import it.
+ * @param {string} filePath - The file to import.
+ * @returns {Promise<Object>} { filePath, fileName, headers, rowCount, source, mapping, dateFormat, sampleRows }
+ */
+async function analyzeImportFile(filePath) {
+  const { headers, rows } = await readImportFile(filePath);
+  const source = detectSource(headers);
+  const mapping = suggestMapping(source, headers);
+  return {
+    filePath,
+    fileName: path.basename(filePath),
+    headers,
+    rowCount: rows.length,
+    source,
+    mapping,
+    dateFormat: mapping.date ? detectDateFormat(rows.map(row => row[mapping.date])) : 'YYYY-MM-DD',
+    sampleRows: rows.slice(0, 5),
+  };
+}
+
+/**
+ * Imports a file's rows as sessions. Projects chosen for creation and every imported session
+ * are written as one undoable change.
+ * @param {string} filePath - The file to import.
+ * @param {Object} options
+ * @param {Object} options.mapping - Field name -> header name.
+ * @param {string} options.dateFormat - A key of DATE_FORMATS.
+ * @param {Object} options.projectMap - The file's project name -> { action: 'existing', project } |
+ *   { action: 'create', name } | { action: 'skip' }. Rows without a project use the '' key.
+ * @param {boolean} [options.skipDuplicates] - Leave out duplicate rows (default true).
+ * @param {boolean} [options.skipOverlaps] - Leave out rows overlapping other sessions (default true).
+ * @returns {Promise<Object>} { success, imported, createdProjects, skipped: { invalid, duplicate, overlap, project } }
+ */
+async function importFile(filePath, { mapping, dateFormat, projectMap = {}, skipDuplicates = true, skipOverlaps = true } = {}) {
+  const skipOptions = { projectMap, skipDuplicates, skipOverlaps };
+  const preview = await previewImport(filePath, { mapping, dateFormat, ...skipOptions });
+  const existingProjects = await dataManager.loadAndMigrateProjects();
+  const skipped = { invalid: 0, duplicate: 0, overlap: 0, project: 0 };
+  const toCreate = new Map(); // lowercase name -> name
+  const sessionsData = [];
+
+  preview.rows.forEach(result => {
+    const skipReason = getSkipReason(result, skipOptions);
+    if (skipReason) {
+      skipped[skipReason] += 1;
+      return;
+    }
+    const target = projectMap[result.entry.project || NO_PROJECT];
+    if (!target) {
+      throw new Error(`Choose a project for "${result.entry.project || 'entries without a project'}"`);
+    }
+    let projectName;
+    if (target.action === 'existing') {
+      const project = existingProjects.find(p => p.name === target.project);
+      if (!project) throw new Error(`Project "${target.project}" not found`);
+      projectName = project.name;
+    } else if (target.action === 'create') {
+      projectName = typeof target.name === 'string' ? target.name.trim() : '';
+      if (!projectName) throw new Error('New projects need a name');
+      const existing = existingProjects.find(p => p.name.toLowerCase() === projectName.toLowerCase());
+      if (existing) {
+        projectName = existing.name;
+      } else if (!toCreate.has(projectName.toLowerCase())) {
+        toCreate.set(projectName.toLowerCase(), projectName);
+      } else {
+        projectName = toCreate.get(projectName.toLowerCase());
+      }
+    } else {
+      throw new Error(`Unknown project mapping: ${target.action}`);
+    }
+    const { duration_minutes: durationMinutes, ...entry } = result.entry;
+    sessionsData.push({ ...entry, project: projectName });
+  });
+
+  if (sessionsData.length === 0) {
+    return { success: true, imported: 0, createdProjects: [], skipped };
+  }
+
+  const createdProjects = [...toCreate.values()];
+  const imported = await dataManager.importSessions(sessionsData, { newProjects: createdProjects });
+  console.log(`[Import] Imported ${imported.length} sessions from ${filePath} (${createdProjects.length} new projects)`);
+  return { success: true, imported: imported.length, createdProjects, skipped };
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  IMPORT_SOURCES,
+  DATE_FORMATS,
+  analyzeImportFile,
+  suggestMapping,
+  markConflicts,
+  previewImport,
+  importFile,
+};
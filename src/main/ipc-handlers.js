@@ -1,6 +1,15 @@
-const { ipcMain } = require('electron');
+const { ipcMain, dialog, BrowserWindow } = require('electron');
 const dataManager = require('./data-manager'); // Handles data operations
-const { getStartOfWeek, getStartOfMonth, formatDateYYYYMMDD, formatShortDate, getDayName } = require('./utils'); // Import date utils
+const settings = require('./settings');
+const views = require('./views');
+const goals = require('./goals');
+const exporter = require('./export');
+const importer = require('./import');
+const calendarImport = require('./calendar-import');
+const reports = require('./reports');
+const timesheet = require('./timesheet');
+const { createTimesheetWindow, printHtmlToPdf } = require('./window-manager');
+const { getStartOfWeek, getStartOfMonth, formatDateYYYYMMDD, formatShortDate, getDayName, writeFileAtomic } = require('./utils'); // Import date utils
 
 // Helper function to calculate total hours for a given date range (inclusive)
 function calculateTotalHours(sessions, startDateStr, endDateStr) {
@@ -26,7 +35,7 @@ function registerIpcHandlers() {
 
   ipcMain.handle('load-sessions', async () => {
     try {
-        return await dataManager.loadSessionsFromCSV();
+        return await dataManager.loadSessions();
     } catch (error) {
         console.error("Error in 'load-sessions' handler:", error);
         throw error; // Rethrow to let renderer handle it
@@ -35,13 +44,40 @@ function registerIpcHandlers() {
 
   ipcMain.handle('update-session', async (event, id, field, value) => {
     try {
-      return await dataManager.updateSessionInCSV(id, field, value);
+      return await dataManager.updateSession(id, field, value);
     } catch (error) {
       console.error(`Error in 'update-session' handler for ID ${id}:`, error);
       throw error;
     }
   });
 
+  ipcMain.handle('add-session', async (event, sessionData) => {
+    try {
+      return await dataManager.addSession(sessionData);
+    } catch (error) {
+      console.error("Error in 'add-session' handler:", error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('set-timesheet-cell', async (event, date, project, minutes) => {
+    try {
+      return await dataManager.setTimesheetCell(date, project, minutes);
+    } catch (error) {
+      console.error("Error in 'set-timesheet-cell' handler:", error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('bulk-update-sessions', async (event, ids, action) => {
+    try {
+      return await dataManager.bulkUpdateSessions(ids, action);
+    } catch (error) {
+      console.error("Error in 'bulk-update-sessions' handler:", error);
+      throw error;
+    }
+  });
+
   ipcMain.handle('load-projects', async () => {
     try {
       return await dataManager.loadAndMigrateProjects();
@@ -63,15 +99,69 @@ function registerIpcHandlers() {
     }
   });
 
-  ipcMain.handle('delete-project', async (event, id) => {
+  ipcMain.handle('delete-project', async (event, id, options) => {
     try {
-      return await dataManager.deleteProject(id);
+      return await dataManager.deleteProject(id, options);
     } catch (error) {
       console.error(`Error in 'delete-project' handler for ID ${id}:`, error);
       throw error;
     }
   });
 
+  ipcMain.handle('move-project', async (event, id, parentId) => {
+    try {
+      return await dataManager.moveProject(id, parentId);
+    } catch (error) {
+      console.error(`Error in 'move-project' handler for ID ${id}:`, error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('update-project-goals', async (event, id, projectGoals) => {
+    try {
+      return await dataManager.updateProjectGoals(id, projectGoals);
+    } catch (error) {
+      console.error(`Error in 'update-project-goals' handler for ID ${id}:`, error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('update-project-billing', async (event, id, billing) => {
+    try {
+      return await dataManager.updateProjectBilling(id, billing);
+    } catch (error) {
+      console.error(`Error in 'update-project-billing' handler for ID ${id}:`, error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('get-goal-progress', async () => {
+    try {
+      return await goals.getGoalProgress();
+    } catch (error) {
+      console.error("Error in 'get-goal-progress' handler:", error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('set-project-archived', async (event, id, archived) => {
+    try {
+      return await dataManager.setProjectArchived(id, Boolean(archived));
+    } catch (error) {
+      console.error(`Error in 'set-project-archived' handler for ID ${id}:`, error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('rename-project', async (event, id, newName) => {
+    try {
+      return await dataManager.renameProject(id, newName);
+    } catch (error) {
+      console.error(`Error in 'rename-project' handler for ID ${id}:`, error);
+      throw error;
+    }
+  });
+
   ipcMain.handle('update-project-color', async (event, id, color) => {
     try {
       return await dataManager.updateProjectColor(id, color);
@@ -83,9 +173,11 @@ function registerIpcHandlers() {
 
   ipcMain.handle('get-comparison-stats', async () => {
     try {
-        const sessions = await dataManager.loadSessionsFromCSV();
         const today = new Date();
         today.setHours(0, 0, 0, 0);
+        // Only the last few months are compared, so let the storage backend narrow the query
+        const earliestDate = new Date(today.getFullYear(), today.getMonth() - 3, 1);
+        const sessions = await dataManager.loadSessions({ startDate: formatDateYYYYMMDD(earliestDate) });
         const todayStr = formatDateYYYYMMDD(today);
         const todayDayOfWeek = today.getDay(); // 0=Sun, 6=Sat
         const todayDateOfMonth = today.getDate();
@@ -179,6 +271,321 @@ function registerIpcHandlers() {
     }
   });
 
+  ipcMain.handle('get-orphaned-projects', async () => {
+    try {
+      return await dataManager.getOrphanedProjects();
+    } catch (error) {
+      console.error('[IPC Handler] Error getting orphaned projects:', error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('merge-orphaned-project', async (event, orphanName, targetProject) => {
+    try {
+      return await dataManager.mergeOrphanedProject(orphanName, targetProject);
+    } catch (error) {
+      console.error(`[IPC Handler] Error merging "${orphanName}" into "${targetProject}":`, error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('create-project-from-orphan', async (event, orphanName, color) => {
+    try {
+      return await dataManager.createProjectFromOrphan(orphanName, color);
+    } catch (error) {
+      console.error(`[IPC Handler] Error creating project from "${orphanName}":`, error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('load-views', async () => {
+    try {
+      return await views.loadViews();
+    } catch (error) {
+      console.error("Error in 'load-views' handler:", error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('save-view', async (event, name, filter) => {
+    try {
+      return await views.saveView(name, filter);
+    } catch (error) {
+      console.error(`Error in 'save-view' handler for "${name}":`, error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('delete-view', async (event, id) => {
+    try {
+      return await views.deleteView(id);
+    } catch (error) {
+      console.error(`Error in 'delete-view' handler for ID ${id}:`, error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('undo', async () => {
+    try {
+      return await dataManager.undo();
+    } catch (error) {
+      console.error("Error in 'undo' handler:", error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('redo', async () => {
+    try {
+      return await dataManager.redo();
+    } catch (error) {
+      console.error("Error in 'redo' handler:", error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('get-history-state', async () => {
+    try {
+      return await dataManager.getHistoryState();
+    } catch (error) {
+      console.error("Error in 'get-history-state' handler:", error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('get-settings', async () => {
+    try {
+      return await settings.loadSettings();
+    } catch (error) {
+      console.error("Error in 'get-settings' handler:", error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('update-settings', async (event, changes) => {
+    try {
+      return await settings.updateSettings(changes);
+    } catch (error) {
+      console.error("Error in 'update-settings' handler:", error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('get-storage-info', async () => {
+    try {
+      return dataManager.getStorageInfo();
+    } catch (error) {
+      console.error("Error in 'get-storage-info' handler:", error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('switch-storage-backend', async (event, backendName) => {
+    try {
+      return await dataManager.switchStorageBackend(backendName);
+    } catch (error) {
+      console.error(`Error in 'switch-storage-backend' handler for ${backendName}:`, error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('export-sessions-csv', async (event) => {
+    try {
+      const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+        title: 'Export Sessions as CSV',
+        defaultPath: 'juju-sessions.csv',
+        filters: [{ name: 'CSV', extensions: ['csv'] }],
+      });
+      if (canceled || !filePath) {
+        return { success: false, canceled: true };
+      }
+      const count = await dataManager.exportSessionsToCSV(filePath);
+      return { success: true, filePath, count };
+    } catch (error) {
+      console.error("Error in 'export-sessions-csv' handler:", error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('export-sessions', async (event, options = {}) => {
+    try {
+      const format = exporter.EXPORT_FORMATS[options.format];
+      if (!format) {
+        throw new Error(`Unknown export format: ${options.format}`);
+      }
+      const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+        title: `Export Sessions as ${format.name}`,
+        defaultPath: `juju-sessions.${format.extension}`,
+        filters: [{ name: format.name, extensions: [format.extension] }],
+      });
+      if (canceled || !filePath) {
+        return { success: false, canceled: true };
+      }
+      const count = await exporter.exportSessions(filePath, options);
+      return { success: true, filePath, count };
+    } catch (error) {
+      console.error("Error in 'export-sessions' handler:", error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('choose-import-file', async (event) => {
+    try {
+      const { canceled, filePaths } = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+        title: 'Import Time Entries',
+        filters: [{ name: 'CSV', extensions: ['csv'] }],
+        properties: ['openFile'],
+      });
+      if (canceled || filePaths.length === 0) {
+        return { canceled: true };
+      }
+      return await importer.analyzeImportFile(filePaths[0]);
+    } catch (error) {
+      console.error("Error in 'choose-import-file' handler:", error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('suggest-import-mapping', async (event, source, headers) => {
+    try {
+      return importer.suggestMapping(source, headers);
+    } catch (error) {
+      console.error("Error in 'suggest-import-mapping' handler:", error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('preview-import', async (event, filePath, options) => {
+    try {
+      return await importer.previewImport(filePath, options);
+    } catch (error) {
+      console.error("Error in 'preview-import' handler:", error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('import-sessions', async (event, filePath, options) => {
+    try {
+      return await importer.importFile(filePath, options);
+    } catch (error) {
+      console.error("Error in 'import-sessions' handler:", error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('choose-calendar-file', async (event) => {
+    try {
+      const { canceled, filePaths } = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+        title: 'Import Calendar Events',
+        filters: [{ name: 'iCalendar', extensions: ['ics'] }],
+        properties: ['openFile'],
+      });
+      if (canceled || filePaths.length === 0) {
+        return { canceled: true };
+      }
+      return await calendarImport.analyzeCalendarFile(filePaths[0]);
+    } catch (error) {
+      console.error("Error in 'choose-calendar-file' handler:", error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('preview-calendar-import', async (event, filePath, options) => {
+    try {
+      return await calendarImport.previewCalendarImport(filePath, options);
+    } catch (error) {
+      console.error("Error in 'preview-calendar-import' handler:", error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('import-calendar-events', async (event, filePath, options) => {
+    try {
+      return await calendarImport.importCalendarEvents(filePath, options);
+    } catch (error) {
+      console.error("Error in 'import-calendar-events' handler:", error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('build-invoice', async (event, options) => {
+    try {
+      const invoice = await reports.buildInvoice(options);
+      return { invoice, html: reports.renderInvoiceHtml(invoice) };
+    } catch (error) {
+      console.error("Error in 'build-invoice' handler:", error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('save-invoice-pdf', async (event, options) => {
+    try {
+      const invoice = await reports.buildInvoice(options);
+      const safeName = invoice.client.name.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'client';
+      const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+        title: 'Save Invoice as PDF',
+        defaultPath: `invoice-${safeName}-${invoice.startDate}-${invoice.endDate}.pdf`,
+        filters: [{ name: 'PDF', extensions: ['pdf'] }],
+      });
+      if (canceled || !filePath) {
+        return { success: false, canceled: true };
+      }
+      const pdf = await printHtmlToPdf(reports.renderInvoiceHtml(invoice));
+      await writeFileAtomic(filePath, pdf);
+      console.log(`[IPC Handler] Saved invoice PDF to ${filePath}`);
+      return { success: true, filePath };
+    } catch (error) {
+      console.error("Error in 'save-invoice-pdf' handler:", error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('open-timesheet-window', async () => {
+    try {
+      createTimesheetWindow();
+      return { success: true };
+    } catch (error) {
+      console.error("Error in 'open-timesheet-window' handler:", error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('build-timesheet', async (event, options) => {
+    try {
+      const sheet = await timesheet.buildTimesheet(options);
+      return { timesheet: sheet, html: timesheet.renderTimesheetHtml(sheet) };
+    } catch (error) {
+      console.error("Error in 'build-timesheet' handler:", error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle('save-timesheet', async (event, options, format) => {
+    try {
+      if (format !== 'pdf' && format !== 'markdown') {
+        throw new Error(`Unknown timesheet format: ${format}`);
+      }
+      const sheet = await timesheet.buildTimesheet(options);
+      const extension = format === 'pdf' ? 'pdf' : 'md';
+      const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+        title: `Save Timesheet as ${format === 'pdf' ? 'PDF' : 'Markdown'}`,
+        defaultPath: `timesheet-${sheet.startDate}-${sheet.endDate}.${extension}`,
+        filters: [{ name: format === 'pdf' ? 'PDF' : 'Markdown', extensions: [extension] }],
+      });
+      if (canceled || !filePath) {
+        return { success: false, canceled: true };
+      }
+      const content = format === 'pdf'
+        ? await printHtmlToPdf(timesheet.renderTimesheetHtml(sheet), { landscape: sheet.period === 'month' }) // A month's columns need the width
+        : timesheet.formatTimesheetMarkdown(sheet);
+      await writeFileAtomic(filePath, content);
+      console.log(`[IPC Handler] Saved timesheet to ${filePath}`);
+      return { success: true, filePath };
+    } catch (error) {
+      console.error("Error in 'save-timesheet' handler:", error);
+      throw error;
+    }
+  });
+
   console.log('[IPC Handler] IPC handlers registered.');
 }
 
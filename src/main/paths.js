@@ -0,0 +1,24 @@
+const { app } = require('electron');
+const path = require('path');
+
+// --- Constants ---
+// All of Juju's user data lives in one folder inside Electron's userData directory.
+const USER_DATA_PATH = path.join(app.getPath('userData'), 'juju');
+const DATA_FILE_PATH = path.join(USER_DATA_PATH, 'data.csv');
+const PROJECTS_FILE_PATH = path.join(USER_DATA_PATH, 'projects.json');
+const DATABASE_FILE_PATH = path.join(USER_DATA_PATH, 'juju.db');
+const SETTINGS_FILE_PATH = path.join(USER_DATA_PATH, 'settings.json');
+const ACTIVE_SESSION_FILE_PATH = path.join(USER_DATA_PATH, 'active-session.json');
+const HISTORY_FILE_PATH = path.join(USER_DATA_PATH, 'history.json');
+const VIEWS_FILE_PATH = path.join(USER_DATA_PATH, 'views.json');
+
+module.exports = {
+  USER_DATA_PATH,
+  DATA_FILE_PATH,
+  PROJECTS_FILE_PATH,
+  DATABASE_FILE_PATH,
+  SETTINGS_FILE_PATH,
+  ACTIVE_SESSION_FILE_PATH,
+  HISTORY_FILE_PATH,
+  VIEWS_FILE_PATH,
+};
@@ -0,0 +1,103 @@
+// Projects form a shallow tree through an optional parentId: clients at the top,
+// their projects below, and sub-projects below those. Sessions still reference
+// the project they were tracked against by name, at whatever level it sits.
+
+const MAX_PROJECT_DEPTH = 3; // client → project → sub-project
+
+/**
+ * Indexes projects by ID.
+ * @param {Array<Object>} projects - Project objects.
+ * @returns {Map<string, Object>} Map of ID to project.
+ */
+function indexProjects(projects) {
+  return new Map(projects.map(project => [project.id, project]));
+}
+
+/**
+ * Lists a project's ancestors from the top level down, ending with the project itself.
+ * Stops at a missing parent or a cycle, so malformed data can't loop forever.
+ * @param {Object} project - The project.
+ * @param {Map<string, Object>} byId - Projects indexed by ID.
+ * @returns {Array<Object>} The path of projects.
+ */
+function getProjectPath(project, byId) {
+  const path = [project];
+  const seen = new Set([project.id]);
+  let parent = project.parentId ? byId.get(project.parentId) : null;
+  while (parent && !seen.has(parent.id)) {
+    path.unshift(parent);
+    seen.add(parent.id);
+    parent = parent.parentId ? byId.get(parent.parentId) : null;
+  }
+  return path;
+}
+
+/**
+ * Counts the levels in a project's subtree, the project included (a leaf is 1).
+ * @param {string} id - The project ID.
+ * @param {Array<Object>} projects - All projects.
+ * @returns {number} Height of the subtree.
+ */
+function getSubtreeHeight(id, projects, seen = new Set()) {
+  if (seen.has(id)) return 0;
+  seen.add(id);
+  const childHeights = projects
+    .filter(project => project.parentId === id)
+    .map(child => getSubtreeHeight(child.id, projects, seen));
+  return 1 + Math.max(0, ...childHeights);
+}
+
+/**
+ * Checks whether a project can be placed under a new parent: the parent must exist,
+ * must not be the project or one of its descendants, and the result must stay within MAX_PROJECT_DEPTH.
+ * @param {Object} project - The project being moved.
+ * @param {string|null} parentId - The new parent's ID, or null for the top level.
+ * @param {Array<Object>} projects - All projects.
+ * @returns {string|null} An error message, or null if the move is allowed.
+ */
+function validateParent(project, parentId, projects) {
+  if (!parentId) return null;
+  const byId = indexProjects(projects);
+  const parent = byId.get(parentId);
+  if (!parent) {
+    return 'Parent project not found';
+  }
+  const parentPath = getProjectPath(parent, byId);
+  if (parentPath.some(ancestor => ancestor.id === project.id)) {
+    return 'A project cannot be moved under itself or one of its sub-projects';
+  }
+  const height = project.id ? getSubtreeHeight(project.id, projects) : 1;
+  if (parentPath.length + height > MAX_PROJECT_DEPTH) {
+    return `Projects can only be nested ${MAX_PROJECT_DEPTH} levels deep (client, project, sub-project)`;
+  }
+  return null;
+}
+
+/**
+ * Arranges projects into a tree. Projects whose parent is missing from the list
+ * (for example because it was filtered out) become top-level nodes.
+ * @param {Array<Object>} projects - Project objects, in display order.
+ * @returns {Array<{project: Object, children: Array}>} Top-level nodes.
+ */
+function buildProjectTree(projects) {
+  const nodes = new Map(projects.map(project => [project.id, { project, children: [] }]));
+  const roots = [];
+  projects.forEach(project => {
+    const parentNode = project.parentId ? nodes.get(project.parentId) : null;
+    if (parentNode && parentNode.project.id !== project.id) {
+      parentNode.children.push(nodes.get(project.id));
+    } else {
+      roots.push(nodes.get(project.id));
+    }
+  });
+  return roots;
+}
+
+module.exports = {
+  MAX_PROJECT_DEPTH,
+  indexProjects,
+  getProjectPath,
+  getSubtreeHeight,
+  validateParent,
+  buildProjectTree,
+};
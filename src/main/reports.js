@@ -0,0 +1,330 @@
+const dataManager = require('./data-manager');
+const { indexProjects, getProjectPath } = require('./project-tree');
+const { isSessionBillable } = require('./storage/session-schema');
+const { formatDateYYYYMMDD, escapeHtml } = require('./utils');
+
+// Invoices: billable sessions of one client (a project and its sub-projects) for a date range,
+// charged at the hourly rate of the project they were tracked on. Projects may carry
+// { rate, currency }; a project without them uses its nearest ancestor's.
+
+const DEFAULT_CURRENCY = 'USD'; // For rates when no project up the tree names a currency
+const GROUP_BY_OPTIONS = ['day', 'project'];
+const ROUNDING_MODES = ['up', 'nearest', 'down'];
+
+/**
+ * Checks the invoice options and fills in defaults.
+ * @param {Object} options - { startDate, endDate, clientId, groupBy?, rounding?: { minutes, mode } }
+ * @returns {Object} The validated options.
+ */
+function validateInvoiceOptions(options = {}) {
+  const { startDate, endDate, clientId, groupBy = 'day', rounding = {} } = options;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate || '') || !/^\d{4}-\d{2}-\d{2}$/.test(endDate || '')) {
+    throw new Error('Choose the dates to invoice');
+  }
+  if (startDate > endDate) {
+    throw new Error('Start date cannot be after end date');
+  }
+  if (!clientId) {
+    throw new Error('Choose a client');
+  }
+  if (!GROUP_BY_OPTIONS.includes(groupBy)) {
+    throw new Error(`Unknown grouping: ${groupBy}`);
+  }
+  const minutes = Number(rounding.minutes || 0);
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > 60) {
+    throw new Error('Rounding must be a whole number of minutes between 0 and 60');
+  }
+  const mode = rounding.mode || 'up';
+  if (!ROUNDING_MODES.includes(mode)) {
+    throw new Error(`Unknown rounding mode: ${mode}`);
+  }
+  return { startDate, endDate, clientId, groupBy, rounding: { minutes, mode } };
+}
+
+/**
+ * Rounds a session's minutes to the invoice's rounding step.
+ * @param {number} minutes - Tracked minutes.
+ * @param {Object} rounding - { minutes: step (0 for none), mode: 'up' | 'nearest' | 'down' }
+ * @returns {number} Billed minutes.
+ */
+function roundMinutes(minutes, rounding) {
+  const step = rounding.minutes;
+  if (!step) return minutes;
+  const round = rounding.mode === 'up' ? Math.ceil : rounding.mode === 'down' ? Math.floor : Math.round;
+  return round(minutes / step) * step;
+}
+
+/**
+ * Works out a project's hourly rate and currency, inheriting from its ancestors.
+ * @param {Object} project - The project.
+ * @param {Map<string, Object>} byId - Projects indexed by ID.
+ * @returns {{rate: number|null, currency: string}} The rate (null if none is set) and currency.
+ */
+function getProjectBilling(project, byId) {
+  const nearestFirst = getProjectPath(project, byId).reverse();
+  const rated = nearestFirst.find(p => typeof p.rate === 'number');
+  const withCurrency = nearestFirst.find(p => p.currency);
+  return {
+    rate: rated ? rated.rate : null,
+    currency: withCurrency ? withCurrency.currency : DEFAULT_CURRENCY,
+  };
+}
+
+/**
+ * Rounds a money amount to cents.
+ * @param {number} amount - The amount.
+ * @returns {number} The rounded amount.
+ */
+function toCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Sums item amounts per currency. Items without a rate are left out.
+ * @param {Array<Object>} items - Invoice items.
+ * @returns {Array<{currency: string, amount: number}>} Totals sorted by currency.
+ */
+function sumAmounts(items) {
+  const totals = new Map();
+  items.forEach(item => {
+    if (item.amount === null) return;
+    totals.set(item.currency, (totals.get(item.currency) || 0) + item.amount);
+  });
+  return [...totals.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([currency, amount]) => ({ currency, amount: toCents(amount) }));
+}
+
+/**
+ * Builds an itemized invoice for a client's billable sessions in a date range.
+ * Every session is rounded on its own before it is charged.
+ * @param {Object} options - { startDate, endDate, clientId, groupBy: 'day' | 'project',
+ *   rounding: { minutes, mode: 'up' | 'nearest' | 'down' } }
+ * @returns {Promise<Object>} { client: { id, name }, startDate, endDate, groupBy, rounding, generatedOn,
+ *   groups: [{ key, items, minutes, billedMinutes, amounts }], totals: { minutes, billedMinutes, amounts },
+ *   unrated: { count, billedMinutes }, nonBillable: { count, minutes } } where each item is
+ *   { id, date, start_time, end_time, project, notes, minutes, billedMinutes, rate, currency, amount }.
+ */
+async function buildInvoice(options) {
+  const { startDate, endDate, clientId, groupBy, rounding } = validateInvoiceOptions(options);
+  const [projects, sessions] = await Promise.all([
+    dataManager.loadAndMigrateProjects(),
+    dataManager.loadSessions({ startDate, endDate }),
+  ]);
+  const byId = indexProjects(projects);
+  const client = byId.get(clientId);
+  if (!client) {
+    throw new Error(`Project with ID ${clientId} not found`);
+  }
+
+  // The client's own sessions count too, as do those of everything below it
+  const clientProjects = new Map(projects
+    .filter(project => getProjectPath(project, byId).some(p => p.id === client.id))
+    .map(project => [project.name, project]));
+
+  const items = [];
+  const nonBillable = { count: 0, minutes: 0 };
+  sessions
+    .filter(session => clientProjects.has(session.project))
+    .sort((a, b) => `${a.date} ${a.start_time}`.localeCompare(`${b.date} ${b.start_time}`))
+    .forEach(session => {
+      const minutes = parseInt(session.duration_minutes, 10) || 0;
+      if (!isSessionBillable(session)) {
+        nonBillable.count += 1;
+        nonBillable.minutes += minutes;
+        return;
+      }
+      const project = clientProjects.get(session.project);
+      const { rate, currency } = getProjectBilling(project, byId);
+      const billedMinutes = roundMinutes(minutes, rounding);
+      items.push({
+        id: session.id,
+        date: session.date,
+        start_time: session.start_time,
+        end_time: session.end_time,
+        // Named from below the client, which heads the invoice already
+        project: getProjectPath(project, byId).slice(1).map(p => p.name).join(' › ') || client.name,
+        notes: session.notes || '',
+        minutes,
+        billedMinutes,
+        rate,
+        currency,
+        amount: rate === null ? null : toCents(rate * billedMinutes / 60),
+      });
+    });
+
+  const groups = new Map();
+  items.forEach(item => {
+    const key = groupBy === 'day' ? item.date : item.project;
+    if (!groups.has(key)) groups.set(key, { key, items: [] });
+    groups.get(key).items.push(item);
+  });
+  const sortedGroups = [...groups.values()]
+    .sort((a, b) => a.key.localeCompare(b.key))
+    .map(group => ({
+      ...group,
+      minutes: group.items.reduce((sum, item) => sum + item.minutes, 0),
+      billedMinutes: group.items.reduce((sum, item) => sum + item.billedMinutes, 0),
+      amounts: sumAmounts(group.items),
+    }));
+
+  const unratedItems = items.filter(item => item.rate === null);
+  console.log(`[Reports] Built invoice for "${client.name}" from ${startDate} to ${endDate}: ${items.length} sessions`);
+  return {
+    client: { id: client.id, name: client.name },
+    startDate,
+    endDate,
+    groupBy,
+    rounding,
+    generatedOn: formatDateYYYYMMDD(new Date()),
+    groups: sortedGroups,
+    totals: {
+      minutes: items.reduce((sum, item) => sum + item.minutes, 0),
+      billedMinutes: items.reduce((sum, item) => sum + item.billedMinutes, 0),
+      amounts: sumAmounts(items),
+    },
+    unrated: {
+      count: unratedItems.length,
+      billedMinutes: unratedItems.reduce((sum, item) => sum + item.billedMinutes, 0),
+    },
+    nonBillable,
+  };
+}
+
+/**
+ * Formats an amount of money, e.g. "$1,250.00".
+ * @param {number} amount - The amount.
+ * @param {string} currency - ISO 4217 currency code.
+ * @returns {string} The formatted amount.
+ */
+function formatMoney(amount, currency) {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+  } catch (error) {
+    return `${amount.toFixed(2)} ${currency}`; // Codes Intl doesn't know
+  }
+}
+
+/**
+ * Formats minutes as decimal hours, e.g. 90 -> "1.50".
+ * @param {number} minutes - The minutes.
+ * @returns {string} The hours with two decimals.
+ */
+function formatHours(minutes) {
+  return (minutes / 60).toFixed(2);
+}
+
+/**
+ * Formats a YYYY-MM-DD date for the invoice, e.g. "Mon, Jan 15, 2024".
+ * @param {string} date - The date.
+ * @returns {string} The formatted date.
+ */
+function formatInvoiceDate(date) {
+  return new Date(`${date}T00:00:00`).toLocaleDateString('en-US', {
+    weekday: 'short', month: 'short', day: 'numeric', year: 'numeric',
+  });
+}
+
+/**
+ * Describes the invoice's rounding, e.g. "Each session rounded up to 15 minutes."
+ * @param {Object} rounding - { minutes, mode }
+ * @returns {string} The description.
+ */
+function describeRounding(rounding) {
+  if (!rounding.minutes) return 'Sessions billed to the minute.';
+  const how = rounding.mode === 'nearest' ? 'to the nearest' : `${rounding.mode} to`;
+  return `Each session rounded ${how} ${rounding.minutes} minutes.`;
+}
+
+/**
+ * Renders an invoice as a standalone, printable HTML document.
+ * @param {Object} invoice - From buildInvoice.
+ * @returns {string} The HTML.
+ */
+function renderInvoiceHtml(invoice) {
+  const byDay = invoice.groupBy === 'day';
+  const formatAmounts = amounts => amounts.length > 0
+    ? amounts.map(({ amount, currency }) => formatMoney(amount, currency)).join('<br>')
+    : '&ndash;';
+
+  const groupsHtml = invoice.groups.map(group => `
+    <tbody>
+      <tr class="group-row"><th colspan="6">${escapeHtml(byDay ? formatInvoiceDate(group.key) : group.key)}</th></tr>
+      ${group.items.map(item => `
+      <tr>
+        <td>${escapeHtml(byDay ? item.project : formatInvoiceDate(item.date))}</td>
+        <td class="time">${escapeHtml(String(item.start_time).slice(0, 5))}&ndash;${escapeHtml(String(item.end_time).slice(0, 5))}</td>
+        <td>${escapeHtml(item.notes)}</td>
+        <td class="num">${formatHours(item.billedMinutes)}</td>
+        <td class="num">${item.rate === null ? '<span class="unrated">No rate</span>' : formatMoney(item.rate, item.currency)}</td>
+        <td class="num">${item.amount === null ? '&ndash;' : formatMoney(item.amount, item.currency)}</td>
+      </tr>`).join('')}
+      <tr class="subtotal-row">
+        <td colspan="3">Subtotal</td>
+        <td class="num">${formatHours(group.billedMinutes)}</td>
+        <td></td>
+        <td class="num">${formatAmounts(group.amounts)}</td>
+      </tr>
+    </tbody>`).join('');
+
+  const notes = [describeRounding(invoice.rounding)];
+  if (invoice.unrated.count > 0) {
+    notes.push(`${invoice.unrated.count} session${invoice.unrated.count === 1 ? ' has' : 's have'} no hourly rate (${formatHours(invoice.unrated.billedMinutes)} h) and ${invoice.unrated.count === 1 ? 'is' : 'are'} not charged.`);
+  }
+  if (invoice.nonBillable.count > 0) {
+    notes.push(`${invoice.nonBillable.count} non-billable session${invoice.nonBillable.count === 1 ? '' : 's'} (${formatHours(invoice.nonBillable.minutes)} h) left out.`);
+  }
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8">
+<title>Invoice - ${escapeHtml(invoice.client.name)}</title>
+<style>
+  @page { margin: 15mm; }
+  body { font-family: 'Helvetica Neue', Arial, sans-serif; color: #222; background: #fff; font-size: 12px; margin: 0; padding: 24px; }
+  h1 { font-size: 24px; margin: 0 0 4px; letter-spacing: 1px; text-transform: uppercase; }
+  .meta { display: flex; justify-content: space-between; margin-bottom: 24px; color: #555; }
+  .meta strong { color: #222; font-size: 14px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { padding: 6px 8px; text-align: left; vertical-align: top; }
+  thead th { border-bottom: 2px solid #222; font-size: 11px; text-transform: uppercase; color: #555; }
+  tbody { page-break-inside: avoid; }
+  tbody td { border-bottom: 1px solid #e5e5e5; }
+  .group-row th { padding-top: 16px; font-size: 13px; border-bottom: 1px solid #999; }
+  .subtotal-row td { font-weight: 600; border-bottom: none; }
+  .num { text-align: right; white-space: nowrap; }
+  .time { white-space: nowrap; }
+  .unrated { color: #b00; }
+  .totals { margin-top: 24px; margin-left: auto; width: 40%; }
+  .totals td { border-bottom: 1px solid #e5e5e5; }
+  .totals tr:last-child td { border-top: 2px solid #222; border-bottom: none; font-size: 14px; font-weight: 700; }
+  .notes { margin-top: 24px; color: #555; }
+  .notes p { margin: 2px 0; }
+  .empty { padding: 24px 0; color: #555; }
+</style>
+</head><body>
+  <h1>Invoice</h1>
+  <div class="meta">
+    <div>Bill to<br><strong>${escapeHtml(invoice.client.name)}</strong></div>
+    <div class="num">Period: ${escapeHtml(formatInvoiceDate(invoice.startDate))} &ndash; ${escapeHtml(formatInvoiceDate(invoice.endDate))}<br>Issued: ${escapeHtml(formatInvoiceDate(invoice.generatedOn))}</div>
+  </div>
+  ${invoice.groups.length === 0 ? '<p class="empty">No billable sessions in this period.</p>' : `
+  <table>
+    <thead><tr>
+      <th>${byDay ? 'Project' : 'Date'}</th><th>Time</th><th>Description</th>
+      <th class="num">Hours</th><th class="num">Rate</th><th class="num">Amount</th>
+    </tr></thead>
+    ${groupsHtml}
+  </table>
+  <table class="totals">
+    <tr><td>Hours tracked</td><td class="num">${formatHours(invoice.totals.minutes)}</td></tr>
+    <tr><td>Hours billed</td><td class="num">${formatHours(invoice.totals.billedMinutes)}</td></tr>
+    <tr><td>Total</td><td class="num">${formatAmounts(invoice.totals.amounts)}</td></tr>
+  </table>`}
+  <div class="notes">${notes.map(note => `<p>${escapeHtml(note)}</p>`).join('')}</div>
+</body></html>`;
+}
+
+module.exports = {
+  buildInvoice,
+  renderInvoiceHtml,
+};
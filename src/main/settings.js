@@ -0,0 +1,156 @@
+const fsPromises = require('fs').promises;
+const { SETTINGS_FILE_PATH } = require('./paths');
+const { enqueueWrite } = require('./write-queue');
+const { writeFileAtomic } = require('./utils');
+
+// Defaults for every setting; settings.json only needs to hold the values the user changed.
+const DEFAULT_SETTINGS = {
+  storageBackend: 'csv', // 'csv' | 'sqlite'
+  focusBlockMinutes: [25, 50, 90], // Block lengths offered under "Start Timed Session"
+  breakMinutes: 5, // Break countdown after a timed block; 0 turns breaks off
+  idleThresholdMinutes: 10, // Ask about idle time after this long without input; 0 turns idle detection off
+  dailyGoalHours: 0, // Hours to track per day across all projects; 0 means no goal
+  // Calendar import: events whose summary contains `text` (ignoring case) go to `project`; first match wins
+  calendarImportRules: [],
+  // Sessions table sort: primary column plus an optional secondary one for ties
+  sessionSort: { primary: { key: 'date', direction: 'desc' }, secondary: null },
+};
+
+const SESSION_SORT_KEYS = ['date', 'project', 'duration_minutes', 'start_time', 'end_time', 'notes', 'tags'];
+
+/**
+ * Checks one sort key of the sessionSort setting.
+ * @param {Object} sortKey - { key, direction }
+ * @returns {Object} The validated sort key.
+ */
+function toSortKey(sortKey) {
+  if (!sortKey || !SESSION_SORT_KEYS.includes(sortKey.key) || !['asc', 'desc'].includes(sortKey.direction)) {
+    throw new Error('Invalid session sort');
+  }
+  return { key: sortKey.key, direction: sortKey.direction };
+}
+
+/**
+ * Checks a whole number setting and returns it as a number.
+ * @param {*} value - The submitted value.
+ * @param {string} name - Setting name for error messages.
+ * @param {number} min - Smallest allowed value.
+ * @param {number} max - Largest allowed value.
+ * @returns {number} The validated value.
+ */
+function toWholeNumber(value, name, min, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`${name} must be a whole number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Checks an hours value (decimals allowed) and returns it as a number rounded to two places.
+ * @param {*} value - The submitted value.
+ * @param {string} name - Setting name for error messages.
+ * @param {number} max - Largest allowed value.
+ * @returns {number} The validated value.
+ */
+function toHours(value, name, max) {
+  const number = Number(value);
+  if (value === '' || value === null || !Number.isFinite(number) || number < 0 || number > max) {
+    throw new Error(`${name} must be a number of hours between 0 and ${max}`);
+  }
+  return Math.round(number * 100) / 100;
+}
+
+// Validators for settings the dashboard may change. Each returns the cleaned value or throws.
+const SETTING_VALIDATORS = {
+  focusBlockMinutes: (value) => {
+    if (!Array.isArray(value) || value.length === 0) {
+      throw new Error('At least one focus block length is required');
+    }
+    const minutes = value.map(v => toWholeNumber(v, 'Focus block length', 1, 600));
+    return [...new Set(minutes)].sort((a, b) => a - b);
+  },
+  breakMinutes: (value) => toWholeNumber(value, 'Break length', 0, 120),
+  idleThresholdMinutes: (value) => toWholeNumber(value, 'Idle threshold', 0, 480),
+  dailyGoalHours: (value) => toHours(value, 'Daily goal', 24),
+  calendarImportRules: (value) => {
+    if (!Array.isArray(value)) {
+      throw new Error('Calendar import rules must be a list');
+    }
+    return value.map(rule => {
+      const text = rule && typeof rule.text === 'string' ? rule.text.trim() : '';
+      const project = rule && typeof rule.project === 'string' ? rule.project.trim() : '';
+      if (!text || !project) {
+        throw new Error('Each calendar import rule needs summary text and a project');
+      }
+      return { text, project };
+    });
+  },
+  sessionSort: (value) => ({
+    primary: toSortKey(value && value.primary),
+    secondary: value && value.secondary ? toSortKey(value.secondary) : null,
+  }),
+};
+
+/**
+ * Reads settings.json and merges it over the defaults.
+ * @returns {Promise<Object>} The current settings.
+ */
+async function loadSettings() {
+  try {
+    const fileContent = await fsPromises.readFile(SETTINGS_FILE_PATH, 'utf8');
+    const stored = JSON.parse(fileContent);
+    if (typeof stored !== 'object' || stored === null || Array.isArray(stored)) {
+      console.warn('[Settings] settings.json does not contain an object. Using defaults.');
+      return { ...DEFAULT_SETTINGS };
+    }
+    return { ...DEFAULT_SETTINGS, ...stored };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('[Settings] Error reading settings.json, using defaults:', error);
+    }
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Merges the given values into settings.json.
+ * Unqueued: only call this from inside a queued write task.
+ * @param {Object} changes - The settings to change.
+ * @returns {Promise<Object>} The updated settings.
+ */
+async function writeSettingsChanges(changes) {
+  const settings = { ...(await loadSettings()), ...changes };
+  await writeFileAtomic(SETTINGS_FILE_PATH, JSON.stringify(settings, null, 2));
+  console.log('[Settings] Settings updated:', Object.keys(changes).join(', '));
+  return settings;
+}
+
+/**
+ * Validates user-editable settings and merges them into settings.json through the write queue.
+ * Settings without a validator (e.g. storageBackend) have their own dedicated flows and are rejected here.
+ * @param {Object} changes - The settings to change.
+ * @returns {Promise<Object>} The updated settings.
+ */
+async function updateSettings(changes) {
+  if (typeof changes !== 'object' || changes === null || Array.isArray(changes)) {
+    throw new Error('Settings changes must be an object');
+  }
+  const validated = {};
+  Object.entries(changes).forEach(([key, value]) => {
+    const validate = SETTING_VALIDATORS[key];
+    if (!validate) {
+      throw new Error(`Setting "${key}" cannot be changed here`);
+    }
+    validated[key] = validate(value);
+  });
+  return enqueueWrite(() => writeSettingsChanges(validated));
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  loadSettings,
+  writeSettingsChanges,
+  updateSettings,
+  toHours,
+};
@@ -41,6 +41,33 @@ function registerGlobalShortcut(trayInstance) {
   }
 }
 
+/**
+ * Registers the global shortcut that pauses or resumes the running session.
+ * @param {Function} onTogglePause - Called when the shortcut is pressed.
+ */
+function registerPauseShortcut(onTogglePause) {
+  if (typeof onTogglePause !== 'function') {
+    console.error('[Shortcuts] Cannot register pause shortcut: toggle function is missing.');
+    return;
+  }
+
+  const shortcut = 'Shift+Option+Command+P';
+  try {
+    const ret = globalShortcut.register(shortcut, () => {
+      console.log(`[Shortcuts] Global shortcut '${shortcut}' triggered!`);
+      onTogglePause();
+    });
+
+    if (!ret) {
+      console.warn(`[Shortcuts] Global shortcut '${shortcut}' registration failed. Is it already registered by another application?`);
+    } else {
+        console.log(`[Shortcuts] Global shortcut '${shortcut}' registered successfully.`);
+    }
+  } catch (error) {
+      console.error(`[Shortcuts] Error registering global shortcut '${shortcut}':`, error);
+  }
+}
+
 /**
  * Unregisters all global shortcuts used by the application.
  * Should be called before the app quits.
@@ -53,5 +80,6 @@ function unregisterGlobalShortcuts() {
 
 module.exports = {
   registerGlobalShortcut,
+  registerPauseShortcut,
   unregisterGlobalShortcuts,
 };
@@ -0,0 +1,202 @@
+const { app } = require('electron');
+const path = require('path');
+const fsPromises = require('fs').promises;
+const Papa = require('papaparse');
+const { writeFileAtomic } = require('../utils');
+const { SESSION_HEADERS, generateSessionId, sessionMatchesFilter } = require('./session-schema');
+
+/**
+ * Creates the CSV/JSON storage backend: sessions in data.csv, projects in projects.json.
+ * Every write rewrites the whole file atomically; callers serialize writes through the write queue.
+ * @param {Object} paths - { dataFilePath: string, projectsFilePath: string }
+ * @returns {Object} A storage backend (see storage/index.js).
+ */
+function createCsvStorage({ dataFilePath, projectsFilePath }) {
+
+  /**
+   * Ensures data.csv and projects.json exist, creating them with defaults if they don't.
+   */
+  async function ensureFiles() {
+    // Ensure data.csv exists
+    try {
+      await fsPromises.access(dataFilePath);
+      console.log(`data.csv found at: ${dataFilePath}`);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.log('data.csv not found, creating default.');
+        const defaultDataPath = path.join(app.getAppPath(), 'data.csv'); // Check for bundled default relative to app root
+        try {
+          await fsPromises.access(defaultDataPath);
+          await fsPromises.copyFile(defaultDataPath, dataFilePath);
+          console.log('Copied default data.csv.');
+        } catch (copyError) {
+          // Check if the error is ENOENT for the default file as well
+          if (copyError.code === 'ENOENT') {
+             console.log('Default data.csv not found in app path, creating empty.');
+          } else {
+             console.error('Error accessing/copying default data.csv:', copyError);
+          }
+          await fsPromises.writeFile(dataFilePath, '', 'utf8'); // Create empty if no default or copy failed
+          console.log('Created empty data.csv.');
+        }
+      } else {
+        throw error; // Re-throw other access errors
+      }
+    }
+
+    // Ensure projects.json exists
+    try {
+      await fsPromises.access(projectsFilePath);
+      console.log(`projects.json found at: ${projectsFilePath}`);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.log('projects.json not found, creating default empty array.');
+        await fsPromises.writeFile(projectsFilePath, JSON.stringify([], null, 2), 'utf8');
+      } else {
+        throw error; // Re-throw other access errors
+      }
+    }
+  }
+
+  /**
+   * Reads and parses data.csv. Rows without a unique 'id' come back with id ''.
+   * @returns {Promise<Array<Object>>} Raw session rows (all values are strings).
+   */
+  async function readRows() {
+    let csvData;
+    try {
+      csvData = await fsPromises.readFile(dataFilePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.warn('[CSV] data.csv not found during load. Returning empty array.');
+        return []; // If the file doesn't exist, return empty data
+      }
+      throw error;
+    }
+
+    // Use Papaparse to parse the CSV data
+    const parseResult = Papa.parse(csvData, {
+        header: true,        // First row contains headers
+        skipEmptyLines: true, // Ignore empty lines
+        dynamicTyping: false, // Keep original types as strings for consistency initially
+        transformHeader: header => header.trim(), // Trim whitespace from headers
+    });
+
+    if (parseResult.errors.length > 0) {
+        console.error('[CSV] Errors encountered during CSV parsing:', parseResult.errors);
+        // You might want to handle specific errors differently
+    }
+
+    const seenIds = new Set();
+    return parseResult.data.map(session => {
+        let id = typeof session.id === 'string' ? session.id.trim() : '';
+        if (seenIds.has(id)) id = ''; // A duplicated id (e.g. a copy-pasted row) needs a new one
+        if (id) seenIds.add(id);
+        return { ...session, id };
+    });
+  }
+
+  /**
+   * Serializes rows and overwrites data.csv with them, giving id-less rows a new ID.
+   * Known columns are written first in SESSION_HEADERS order, followed by any extra columns found in the rows.
+   * @param {Array<Object>} rows - The session rows to write.
+   */
+  async function writeRows(rows) {
+    const extraHeaders = [];
+    const rowsToWrite = rows.map(row => {
+      Object.keys(row).forEach(key => {
+        if (!SESSION_HEADERS.includes(key) && !extraHeaders.includes(key)) extraHeaders.push(key);
+      });
+      return row.id ? row : { ...row, id: generateSessionId() };
+    });
+
+    const csvString = Papa.unparse(rowsToWrite, {
+      columns: [...SESSION_HEADERS, ...extraHeaders],
+      header: true,
+      quotes: true, // Ensure fields are quoted if they contain commas, quotes, or newlines
+      newline: "\n",
+    });
+
+    await writeFileAtomic(dataFilePath, csvString + "\n");
+  }
+
+  return {
+    name: 'csv',
+    location: dataFilePath,
+
+    async init() {
+      await ensureFiles();
+    },
+
+    async migrate() {
+      const rows = await readRows();
+      if (rows.some(row => !row.id)) {
+        console.log('[CSV] Found sessions without a unique ID. Rewriting data.csv with IDs...');
+        await writeRows(rows);
+        console.log('[CSV] Session ID migration complete.');
+      }
+    },
+
+    async readSessions(filter = {}) {
+      const rows = await readRows();
+      return rows.filter(row => sessionMatchesFilter(row, filter));
+    },
+
+    async insertSessions(sessions) {
+      const rows = await readRows();
+      await writeRows([...rows, ...sessions]);
+    },
+
+    async updateSessions(sessions) {
+      const rows = await readRows();
+      sessions.forEach(session => {
+        const index = rows.findIndex(row => row.id && row.id === session.id);
+        if (index === -1) {
+          throw new Error(`Session with ID ${session.id} not found`);
+        }
+        rows[index] = { ...rows[index], ...session };
+      });
+      await writeRows(rows);
+    },
+
+    async deleteSessions(ids) {
+      const rows = await readRows();
+      const idSet = new Set(ids.map(String));
+      const remaining = rows.filter(row => !(row.id && idSet.has(row.id)));
+      if (rows.length - remaining.length !== idSet.size) {
+        throw new Error('One or more sessions to delete were not found');
+      }
+      await writeRows(remaining);
+    },
+
+    async replaceSessions(sessions) {
+      await writeRows(sessions);
+    },
+
+    async readProjects() {
+      try {
+        const fileContent = await fsPromises.readFile(projectsFilePath, 'utf8');
+        return JSON.parse(fileContent);
+      } catch (readError) {
+        if (readError.code === 'ENOENT') {
+          // File doesn't exist, handled by init, but double-check
+          console.log('[loadProjects] projects.json confirmed not found, returning empty array.');
+          return [];
+        }
+        throw readError; // Re-throw other read errors
+      }
+    },
+
+    async writeProjects(projects) {
+      await writeFileAtomic(projectsFilePath, JSON.stringify(projects, null, 2));
+    },
+
+    async close() {
+      // Nothing to release: every call opens and closes its own file handles.
+    },
+  };
+}
+
+module.exports = {
+  createCsvStorage,
+};
@@ -0,0 +1,46 @@
+const { DATA_FILE_PATH, PROJECTS_FILE_PATH, DATABASE_FILE_PATH } = require('../paths');
+const { createCsvStorage } = require('./csv-storage');
+const { createSqliteStorage } = require('./sqlite-storage');
+
+/**
+ * A storage backend persists sessions and projects. All methods are async.
+ * The data manager is the only caller; it serializes writes through the write queue.
+ *
+ * @typedef {Object} StorageBackend
+ * @property {string} name - Backend identifier ('csv' | 'sqlite').
+ * @property {string} location - Path of the main data file, for display.
+ * @property {Function} init - Creates the underlying files/tables if needed.
+ * @property {Function} migrate - Persists an ID for any session row that lacks one.
+ * @property {Function} readSessions - (filter?: {startDate, endDate, project}) => session rows; rows without a persisted ID have id ''.
+ * @property {Function} insertSessions - (sessions) => void.
+ * @property {Function} updateSessions - (sessions) => void; merges each session into the row with the same ID.
+ * @property {Function} deleteSessions - (ids) => void.
+ * @property {Function} replaceSessions - (sessions) => void; replaces every stored session.
+ * @property {Function} readProjects - () => the stored projects array (unvalidated).
+ * @property {Function} writeProjects - (projects) => void; replaces every stored project.
+ * @property {Function} close - Releases any open handles.
+ */
+
+const STORAGE_BACKENDS = ['csv', 'sqlite'];
+
+/**
+ * Creates (but does not initialize) the storage backend with the given name.
+ * @param {string} name - 'csv' or 'sqlite'.
+ * @returns {StorageBackend} The backend.
+ */
+function createStorage(name) {
+  switch (name) {
+    case 'csv':
+      return createCsvStorage({ dataFilePath: DATA_FILE_PATH, projectsFilePath: PROJECTS_FILE_PATH });
+    case 'sqlite':
+      return createSqliteStorage({ databaseFilePath: DATABASE_FILE_PATH });
+    default:
+      throw new Error(`Unknown storage backend: ${name}`);
+  }
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  createStorage,
+  createCsvStorage,
+};
@@ -0,0 +1,56 @@
+const { randomUUID } = require('crypto');
+
+// Column order used whenever sessions are (re)written. Unknown extra columns are kept after these.
+const SESSION_HEADERS = ['id', 'date', 'start_time', 'end_time', 'duration_minutes', 'project', 'notes', 'pause_count', 'paused_minutes', 'focus_block_minutes', 'tags', 'billable'];
+
+/**
+ * Generates a unique, persistent ID for a session row.
+ * @returns {string} The new session ID.
+ */
+function generateSessionId() {
+  return randomUUID();
+}
+
+/**
+ * Checks whether a session matches a storage query filter.
+ * Dates are compared as YYYY-MM-DD strings, so both bounds are inclusive.
+ * @param {Object} session - The session row.
+ * @param {Object} [filter] - { startDate?: string, endDate?: string, project?: string }
+ * @returns {boolean} True if the session matches.
+ */
+function sessionMatchesFilter(session, filter = {}) {
+  if (filter.startDate && !(session.date >= filter.startDate)) return false;
+  if (filter.endDate && !(session.date <= filter.endDate)) return false;
+  if (filter.project && session.project !== filter.project) return false;
+  return true;
+}
+
+/**
+ * Checks whether a session counts towards invoices. The `billable` column holds 'yes' or 'no';
+ * sessions saved before the column existed have it empty and are billable.
+ * @param {Object} session - The session row.
+ * @returns {boolean} True if the session is billable.
+ */
+function isSessionBillable(session) {
+  return session.billable !== 'no';
+}
+
+/**
+ * Turns a submitted billable flag into the stored 'yes' / 'no'.
+ * @param {*} value - true/false, 'yes'/'no', 'true'/'false' or '1'/'0'.
+ * @returns {'yes' | 'no'} The stored value.
+ */
+function formatBillable(value) {
+  const text = String(value).trim().toLowerCase();
+  if (value === true || ['yes', 'true', '1'].includes(text)) return 'yes';
+  if (value === false || ['no', 'false', '0'].includes(text)) return 'no';
+  throw new Error(`Billable must be yes or no, not "${value}"`);
+}
+
+module.exports = {
+  SESSION_HEADERS,
+  generateSessionId,
+  sessionMatchesFilter,
+  isSessionBillable,
+  formatBillable,
+};
@@ -0,0 +1,240 @@
+const { SESSION_HEADERS, generateSessionId } = require('./session-schema');
+
+// Column names come from session object keys, so only plain identifiers are allowed into SQL.
+const COLUMN_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+// Session fields without a column of their own (extra CSV headers such as "Client #" or "Notes",
+// which SQLite would take for the notes column) are kept together in this column as a JSON object.
+const EXTRA_FIELDS_COLUMN = 'extra_fields';
+
+/**
+ * Creates the embedded SQLite storage backend (juju.db).
+ * Sessions live in an indexed table so date/project queries don't have to scan every row;
+ * projects are stored as JSON documents so they can carry any fields projects.json does.
+ * @param {Object} paths - { databaseFilePath: string }
+ * @returns {Object} A storage backend (see storage/index.js).
+ */
+function createSqliteStorage({ databaseFilePath }) {
+  // Loaded lazily so the native module is only required when this backend is actually used
+  const Database = require('better-sqlite3');
+  let db = null;
+  let sessionColumns = []; // Columns holding one session field each, i.e. all but EXTRA_FIELDS_COLUMN
+
+  /**
+   * Adds TEXT columns for any schema fields the table doesn't have yet.
+   * @param {Array<string>} fields - Session field names.
+   */
+  function ensureSessionColumns(fields) {
+    fields.forEach(field => {
+      if (sessionColumns.includes(field)) return;
+      if (!COLUMN_NAME_PATTERN.test(field)) {
+        throw new Error(`Invalid session field name: ${field}`);
+      }
+      db.exec(`ALTER TABLE sessions ADD COLUMN "${field}" TEXT`);
+      sessionColumns.push(field);
+      console.log(`[SQLite] Added session column: ${field}`);
+    });
+  }
+
+  /**
+   * Picks out the fields of a session that have no column of their own.
+   * @param {Object} session - The session object.
+   * @returns {Object} The extra fields, as strings.
+   */
+  function getExtraFields(session) {
+    const extras = {};
+    Object.keys(session).forEach(field => {
+      if (field && !sessionColumns.includes(field)) {
+        extras[field] = session[field] == null ? '' : String(session[field]);
+      }
+    });
+    return extras;
+  }
+
+  /**
+   * Serializes extra fields for EXTRA_FIELDS_COLUMN; empty when there are none.
+   * @param {Object} extras - The extra fields.
+   * @returns {string} The column value.
+   */
+  function formatExtraFields(extras) {
+    return Object.keys(extras).length > 0 ? JSON.stringify(extras) : '';
+  }
+
+  /**
+   * Reads EXTRA_FIELDS_COLUMN back into an object.
+   * @param {string} value - The column value.
+   * @returns {Object} The extra fields.
+   */
+  function parseExtraFields(value) {
+    if (!value) return {};
+    try {
+      const extras = JSON.parse(value);
+      return extras && typeof extras === 'object' && !Array.isArray(extras) ? extras : {};
+    } catch (error) {
+      console.error('[SQLite] Ignoring unreadable extra session fields:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Converts a session object into named statement parameters covering every column.
+   * @param {Object} session - The session object.
+   * @returns {Object} Parameters keyed by column name.
+   */
+  function toParams(session) {
+    const params = {};
+    sessionColumns.forEach(column => {
+      const value = session[column];
+      if (column === 'duration_minutes') {
+        params[column] = parseInt(value, 10) || 0;
+      } else {
+        params[column] = value == null ? '' : String(value);
+      }
+    });
+    params[EXTRA_FIELDS_COLUMN] = formatExtraFields(getExtraFields(session));
+    return params;
+  }
+
+  /**
+   * Converts a table row back into a session object shaped like a parsed CSV row.
+   * @param {Object} row - The row returned by better-sqlite3.
+   * @returns {Object} The session object.
+   */
+  function fromRow(row) {
+    const session = {};
+    sessionColumns.forEach(column => {
+      session[column] = row[column] == null ? '' : String(row[column]);
+    });
+    Object.entries(parseExtraFields(row[EXTRA_FIELDS_COLUMN])).forEach(([field, value]) => {
+      session[field] = value == null ? '' : String(value);
+    });
+    return session;
+  }
+
+  function insertAll(sessions) {
+    const columns = [...sessionColumns, EXTRA_FIELDS_COLUMN];
+    const columnList = columns.map(column => `"${column}"`).join(', ');
+    const valueList = columns.map(column => `@${column}`).join(', ');
+    const insert = db.prepare(`INSERT INTO sessions (${columnList}) VALUES (${valueList})`);
+    sessions.forEach(session => {
+      insert.run(toParams(session.id ? session : { ...session, id: generateSessionId() }));
+    });
+  }
+
+  return {
+    name: 'sqlite',
+    location: databaseFilePath,
+
+    async init() {
+      db = new Database(databaseFilePath);
+      db.pragma('journal_mode = WAL');
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS sessions (
+          id TEXT PRIMARY KEY,
+          date TEXT NOT NULL DEFAULT '',
+          start_time TEXT NOT NULL DEFAULT '',
+          end_time TEXT NOT NULL DEFAULT '',
+          duration_minutes INTEGER NOT NULL DEFAULT 0,
+          project TEXT NOT NULL DEFAULT '',
+          notes TEXT NOT NULL DEFAULT ''
+        );
+        CREATE INDEX IF NOT EXISTS idx_sessions_date ON sessions (date, start_time);
+        CREATE INDEX IF NOT EXISTS idx_sessions_project_date ON sessions (project, date);
+        CREATE TABLE IF NOT EXISTS projects (
+          id TEXT PRIMARY KEY,
+          position INTEGER NOT NULL,
+          data TEXT NOT NULL
+        );
+      `);
+      sessionColumns = db.prepare('PRAGMA table_info(sessions)').all().map(column => column.name);
+      if (!sessionColumns.includes(EXTRA_FIELDS_COLUMN)) {
+        db.exec(`ALTER TABLE sessions ADD COLUMN "${EXTRA_FIELDS_COLUMN}" TEXT NOT NULL DEFAULT ''`);
+      }
+      sessionColumns = sessionColumns.filter(column => column !== EXTRA_FIELDS_COLUMN);
+      ensureSessionColumns(SESSION_HEADERS);
+      console.log(`[SQLite] Database ready at: ${databaseFilePath}`);
+    },
+
+    async migrate() {
+      // IDs are the primary key, so every row already has one.
+    },
+
+    async readSessions(filter = {}) {
+      const conditions = [];
+      const params = {};
+      if (filter.startDate) { conditions.push('date >= @startDate'); params.startDate = filter.startDate; }
+      if (filter.endDate) { conditions.push('date <= @endDate'); params.endDate = filter.endDate; }
+      if (filter.project) { conditions.push('project = @project'); params.project = filter.project; }
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const rows = db.prepare(`SELECT * FROM sessions ${where} ORDER BY date, start_time`).all(params);
+      return rows.map(fromRow);
+    },
+
+    async insertSessions(sessions) {
+      db.transaction(() => insertAll(sessions))();
+    },
+
+    async updateSessions(sessions) {
+      db.transaction(() => {
+        const selectExtras = db.prepare(`SELECT "${EXTRA_FIELDS_COLUMN}" AS extras FROM sessions WHERE id = ?`);
+        sessions.forEach(session => {
+          const current = selectExtras.get(String(session.id));
+          if (!current) {
+            throw new Error(`Session with ID ${session.id} not found`);
+          }
+          const params = toParams(session);
+          const fields = Object.keys(session).filter(field => field !== 'id' && sessionColumns.includes(field));
+          const extras = getExtraFields(session);
+          if (Object.keys(extras).length > 0) {
+            fields.push(EXTRA_FIELDS_COLUMN);
+            params[EXTRA_FIELDS_COLUMN] = formatExtraFields({ ...parseExtraFields(current.extras), ...extras });
+          }
+          if (fields.length === 0) return;
+          const assignments = fields.map(field => `"${field}" = @${field}`).join(', ');
+          db.prepare(`UPDATE sessions SET ${assignments} WHERE id = @id`)
+            .run(Object.fromEntries(['id', ...fields].map(field => [field, params[field]])));
+        });
+      })();
+    },
+
+    async deleteSessions(ids) {
+      db.transaction(() => {
+        const remove = db.prepare('DELETE FROM sessions WHERE id = ?');
+        ids.forEach(id => {
+          if (remove.run(String(id)).changes === 0) {
+            throw new Error(`Session with ID ${id} not found`);
+          }
+        });
+      })();
+    },
+
+    async replaceSessions(sessions) {
+      db.transaction(() => {
+        db.prepare('DELETE FROM sessions').run();
+        insertAll(sessions);
+      })();
+    },
+
+    async readProjects() {
+      return db.prepare('SELECT data FROM projects ORDER BY position').all().map(row => JSON.parse(row.data));
+    },
+
+    async writeProjects(projects) {
+      db.transaction(() => {
+        db.prepare('DELETE FROM projects').run();
+        const insert = db.prepare('INSERT INTO projects (id, position, data) VALUES (?, ?, ?)');
+        projects.forEach((project, index) => insert.run(String(project.id), index, JSON.stringify(project)));
+      })();
+    },
+
+    async close() {
+      if (db) {
+        db.close();
+        db = null;
+      }
+    },
+  };
+}
+
+module.exports = {
+  createSqliteStorage,
+};
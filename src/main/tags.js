@@ -0,0 +1,55 @@
+// Session tags (#writing, #meetings, ...) live in the `tags` column as lowercase names
+// separated by spaces, without the leading '#'.
+
+const HASHTAG_PATTERN = /(?:^|\s)#([\p{L}\p{N}_-]+)/gu;
+
+/**
+ * Cleans up a list of tag names: strips '#', lowercases and removes blanks and duplicates.
+ * @param {Array<string>} names - Raw tag names.
+ * @returns {Array<string>} Normalized tags, in first-seen order.
+ */
+function normalizeTagList(names) {
+  const tags = [];
+  names.forEach(name => {
+    const tag = String(name).trim().replace(/^#+/, '').toLowerCase();
+    if (tag && !tags.includes(tag)) tags.push(tag);
+  });
+  return tags;
+}
+
+/**
+ * Finds the hashtags typed in a piece of text, e.g. session notes.
+ * @param {string} text - The text to scan.
+ * @returns {Array<string>} Tag names without the '#'.
+ */
+function extractHashtags(text) {
+  if (typeof text !== 'string') return [];
+  return normalizeTagList([...text.matchAll(HASHTAG_PATTERN)].map(match => match[1]));
+}
+
+/**
+ * Parses a stored or user-entered tags value. Tags may be separated by spaces or commas,
+ * with or without a leading '#'.
+ * @param {string|Array<string>} value - The tags value.
+ * @returns {Array<string>} Normalized tags.
+ */
+function parseTags(value) {
+  if (Array.isArray(value)) return normalizeTagList(value);
+  if (typeof value !== 'string') return [];
+  return normalizeTagList(value.split(/[\s,]+/));
+}
+
+/**
+ * Formats tags for the `tags` column.
+ * @param {Array<string>} tags - Normalized tags.
+ * @returns {string} Space-separated tags.
+ */
+function formatTags(tags) {
+  return normalizeTagList(tags).join(' ');
+}
+
+module.exports = {
+  extractHashtags,
+  parseTags,
+  formatTags,
+};
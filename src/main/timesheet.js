@@ -0,0 +1,218 @@
+const dataManager = require('./data-manager');
+const { getStartOfWeek, getStartOfMonth, formatDateYYYYMMDD, formatDuration, escapeHtml } = require('./utils');
+
+// Timesheets: a projects × days grid of tracked time for one week (Monday to Sunday, as
+// getStartOfWeek counts it) or one calendar month, with the session notes listed underneath.
+
+const TIMESHEET_PERIODS = ['week', 'month'];
+const NO_PROJECT_LABEL = 'No project'; // Row label for sessions without a project
+
+/**
+ * Works out the days a timesheet covers.
+ * @param {'week' | 'month'} period - The kind of timesheet.
+ * @param {string} date - Any YYYY-MM-DD day inside the period.
+ * @returns {{startDate: string, endDate: string, days: Array<string>, title: string}}
+ */
+function getTimesheetRange(period, date) {
+  if (!TIMESHEET_PERIODS.includes(period)) {
+    throw new Error(`Unknown timesheet period: ${period}`);
+  }
+  const reference = new Date(`${date}T00:00:00`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || isNaN(reference.getTime())) {
+    throw new Error('Choose a date for the timesheet');
+  }
+
+  const start = period === 'week' ? getStartOfWeek(reference) : getStartOfMonth(reference);
+  const end = period === 'week'
+    ? new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6)
+    : new Date(start.getFullYear(), start.getMonth() + 1, 0);
+  const days = [];
+  for (let day = new Date(start); day <= end; day.setDate(day.getDate() + 1)) {
+    days.push(formatDateYYYYMMDD(day));
+  }
+
+  const title = period === 'week'
+    ? `Week of ${start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} – ${end.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`
+    : start.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+  return { startDate: days[0], endDate: days[days.length - 1], days, title };
+}
+
+/**
+ * Totals the sessions of a week or month per project and day.
+ * @param {Object} options - { period: 'week' | 'month', date: 'YYYY-MM-DD' inside the period }
+ * @returns {Promise<Object>} { period, startDate, endDate, title, days: ['YYYY-MM-DD'],
+ *   rows: [{ project, label, minutes: [per day], total }], dayTotals: [per day], total,
+ *   notes: [{ date, start_time, project, minutes, notes }] } where a row's project is the sessions'
+ *   project ('' for none) and label is what to show for it; a note's project is its row's label.
+ */
+async function buildTimesheet({ period = 'week', date } = {}) {
+  const { startDate, endDate, days, title } = getTimesheetRange(period, date);
+  const sessions = await dataManager.loadSessions({ startDate, endDate });
+  const dayIndex = new Map(days.map((day, index) => [day, index]));
+
+  const rows = new Map();
+  const notes = [];
+  sessions
+    .filter(session => dayIndex.has(session.date))
+    .sort((a, b) => `${a.date} ${a.start_time}`.localeCompare(`${b.date} ${b.start_time}`))
+    .forEach(session => {
+      const project = session.project || '';
+      const minutes = parseInt(session.duration_minutes, 10) || 0;
+      if (!rows.has(project)) {
+        rows.set(project, { project, label: project || NO_PROJECT_LABEL, minutes: days.map(() => 0), total: 0 });
+      }
+      const row = rows.get(project);
+      row.minutes[dayIndex.get(session.date)] += minutes;
+      row.total += minutes;
+      if (session.notes && session.notes.trim()) {
+        notes.push({ date: session.date, start_time: session.start_time, project: row.label, minutes, notes: session.notes.trim() });
+      }
+    });
+
+  const sortedRows = [...rows.values()].sort((a, b) => a.label.localeCompare(b.label));
+  const dayTotals = days.map((day, index) => sortedRows.reduce((sum, row) => sum + row.minutes[index], 0));
+  console.log(`[Timesheet] Built ${period} timesheet from ${startDate} to ${endDate}: ${sortedRows.length} projects`);
+  return {
+    period,
+    startDate,
+    endDate,
+    title,
+    days,
+    rows: sortedRows,
+    dayTotals,
+    total: dayTotals.reduce((sum, minutes) => sum + minutes, 0),
+    notes,
+  };
+}
+
+/**
+ * Formats minutes for a timesheet cell, e.g. "1h 30m"; empty for no time.
+ * @param {number} minutes - The minutes.
+ * @returns {string} The formatted time.
+ */
+function formatCell(minutes) {
+  return minutes > 0 ? formatDuration(minutes * 60 * 1000) : '';
+}
+
+/**
+ * Labels a timesheet column: weekday and day for a week, day of the month for a month.
+ * @param {string} day - YYYY-MM-DD.
+ * @param {'week' | 'month'} period - The kind of timesheet.
+ * @returns {string} e.g. "Mon 15" or "15".
+ */
+function formatDayHeader(day, period) {
+  const date = new Date(`${day}T00:00:00`);
+  return period === 'week'
+    ? `${date.toLocaleDateString('en-US', { weekday: 'short' })} ${date.getDate()}`
+    : String(date.getDate());
+}
+
+/**
+ * Formats a YYYY-MM-DD date for the notes list, e.g. "Mon, Jan 15".
+ * @param {string} day - YYYY-MM-DD.
+ * @returns {string} The formatted date.
+ */
+function formatNoteDate(day) {
+  return new Date(`${day}T00:00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+/**
+ * Renders a timesheet as a standalone, printable HTML document.
+ * @param {Object} timesheet - From buildTimesheet.
+ * @returns {string} The HTML.
+ */
+function renderTimesheetHtml(timesheet) {
+  const weekendClass = day => [0, 6].includes(new Date(`${day}T00:00:00`).getDay()) ? ' weekend' : '';
+  const bodyHtml = timesheet.rows.map(row => `
+      <tr>
+        <th>${escapeHtml(row.label)}</th>
+        ${row.minutes.map((minutes, index) => `<td class="num${weekendClass(timesheet.days[index])}">${formatCell(minutes)}</td>`).join('')}
+        <td class="num total">${formatCell(row.total)}</td>
+      </tr>`).join('');
+  const notesHtml = timesheet.notes.map(note => `
+      <li><span class="note-meta">${escapeHtml(formatNoteDate(note.date))} · ${escapeHtml(note.project)} (${formatCell(note.minutes) || '0h 0m'})</span> ${escapeHtml(note.notes)}</li>`).join('');
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8">
+<title>Timesheet - ${escapeHtml(timesheet.title)}</title>
+<style>
+  @page { margin: 12mm; }
+  body { font-family: 'Helvetica Neue', Arial, sans-serif; color: #222; background: #fff; font-size: 12px; margin: 0; padding: 24px; }
+  h1 { font-size: 20px; margin: 0 0 16px; }
+  h2 { font-size: 14px; margin: 24px 0 8px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { padding: 5px 6px; border: 1px solid #ddd; text-align: left; }
+  thead th, tfoot th, tfoot td { background: #f3f3f3; }
+  .month th, .month td { padding: 4px 2px; font-size: 10px; }
+  .num { text-align: right; white-space: nowrap; }
+  .weekend { background: #fafafa; }
+  .total, tfoot td { font-weight: 700; }
+  ul { margin: 0; padding-left: 18px; }
+  li { margin: 3px 0; }
+  .note-meta { color: #555; }
+  .empty { color: #555; }
+</style>
+</head><body>
+  <h1>Timesheet: ${escapeHtml(timesheet.title)}</h1>
+  ${timesheet.rows.length === 0 ? '<p class="empty">No sessions in this period.</p>' : `
+  <table class="${timesheet.period}">
+    <thead><tr>
+      <th>Project</th>
+      ${timesheet.days.map(day => `<th class="num${weekendClass(day)}">${escapeHtml(formatDayHeader(day, timesheet.period))}</th>`).join('')}
+      <th class="num">Total</th>
+    </tr></thead>
+    <tbody>${bodyHtml}
+    </tbody>
+    <tfoot><tr>
+      <th>Total</th>
+      ${timesheet.dayTotals.map(minutes => `<td class="num">${formatCell(minutes)}</td>`).join('')}
+      <td class="num">${formatCell(timesheet.total)}</td>
+    </tr></tfoot>
+  </table>`}
+  ${timesheet.notes.length > 0 ? `<h2>Notes</h2>
+  <ul>${notesHtml}
+  </ul>` : ''}
+</body></html>`;
+}
+
+/**
+ * Escapes text for a Markdown table cell or list item, so project names and notes show as typed.
+ * @param {string} text - The text.
+ * @returns {string} The escaped text, on one line.
+ */
+function escapeMarkdownText(text) {
+  return String(text).replace(/[\\`*_[\]<>|~]/g, '\\$&').replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Formats a timesheet as a Markdown document with a table and a notes list.
+ * @param {Object} timesheet - From buildTimesheet.
+ * @returns {string} The Markdown text.
+ */
+function formatTimesheetMarkdown(timesheet) {
+  const lines = [`# Timesheet: ${timesheet.title}`, ''];
+  if (timesheet.rows.length === 0) {
+    lines.push('No sessions in this period.');
+  } else {
+    const tableRow = cells => `| ${cells.join(' | ')} |`;
+    lines.push(tableRow(['Project', ...timesheet.days.map(day => formatDayHeader(day, timesheet.period)), 'Total']));
+    lines.push(tableRow([':---', ...timesheet.days.map(() => '---:'), '---:']));
+    timesheet.rows.forEach(row => {
+      lines.push(tableRow([escapeMarkdownText(row.label), ...row.minutes.map(formatCell), `**${formatCell(row.total)}**`]));
+    });
+    lines.push(tableRow(['**Total**', ...timesheet.dayTotals.map(minutes => minutes > 0 ? `**${formatCell(minutes)}**` : ''), `**${formatCell(timesheet.total)}**`]));
+  }
+  if (timesheet.notes.length > 0) {
+    lines.push('', '## Notes', '');
+    timesheet.notes.forEach(note => {
+      lines.push(`- **${formatNoteDate(note.date)}** · ${escapeMarkdownText(note.project)} (${formatCell(note.minutes) || '0h 0m'}): ${escapeMarkdownText(note.notes)}`);
+    });
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  buildTimesheet,
+  renderTimesheetHtml,
+  formatTimesheetMarkdown,
+};
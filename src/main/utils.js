@@ -1,3 +1,5 @@
+const fsPromises = require('fs').promises;
+
 /**
  * Formats milliseconds into a more readable "Xh Ym" string.
  * @param {number} ms - Duration in milliseconds.
@@ -66,11 +68,54 @@ function getDayName(dayIndex) {
     return days[dayIndex];
 }
 
+/**
+ * Escapes text for safe insertion into generated HTML documents.
+ * @param {*} text - The text to escape (non-strings are converted).
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// --- File Helper Functions ---
+
+/**
+ * Writes a file atomically: the content goes to a temp file next to the target,
+ * is flushed to disk, and then renamed over the target. A crash mid-write leaves
+ * the previous file intact instead of a truncated one.
+ * @param {string} filePath - The file to write.
+ * @param {string|Buffer} content - The content to write.
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const fileHandle = await fsPromises.open(tempPath, 'w');
+  try {
+    await fileHandle.writeFile(content, 'utf8');
+    await fileHandle.sync();
+  } finally {
+    await fileHandle.close();
+  }
+  try {
+    await fsPromises.rename(tempPath, filePath);
+  } catch (error) {
+    await fsPromises.unlink(tempPath).catch(() => {}); // Don't leave the temp file behind
+    throw error;
+  }
+}
+
 module.exports = {
     formatDuration,
     getStartOfWeek,
     getStartOfMonth,
     formatDateYYYYMMDD,
     formatShortDate,
-    getDayName
+    getDayName,
+    escapeHtml,
+    writeFileAtomic
 };
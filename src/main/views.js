@@ -0,0 +1,128 @@
+const fsPromises = require('fs').promises;
+const { VIEWS_FILE_PATH } = require('./paths');
+const { enqueueWrite } = require('./write-queue');
+const { writeFileAtomic } = require('./utils');
+
+// Saved views are named Sessions tab filters, kept in views.json next to projects.json.
+// Each view is { id, name, filter } where filter is { combinator: 'and' | 'or', conditions: [...] }
+// as built by src/renderer/dashboard/filters.js.
+
+/**
+ * Reads all saved views.
+ * @returns {Promise<Array<Object>>} The saved views, in the order they were created.
+ */
+async function loadViews() {
+  try {
+    const fileContent = await fsPromises.readFile(VIEWS_FILE_PATH, 'utf8');
+    const views = JSON.parse(fileContent);
+    if (!Array.isArray(views)) {
+      console.warn('[Views] views.json does not contain an array. Ignoring it.');
+      return [];
+    }
+    return views;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('[Views] Error reading views.json:', error);
+    }
+    return [];
+  }
+}
+
+/**
+ * Checks that a filter has the expected shape before it's stored.
+ * @param {Object} filter - The filter to check.
+ */
+function validateFilter(filter) {
+  if (!filter || !['and', 'or'].includes(filter.combinator) || !Array.isArray(filter.conditions)) {
+    throw new Error('Invalid filter');
+  }
+  if (filter.conditions.some(condition => !condition || typeof condition.type !== 'string')) {
+    throw new Error('Invalid filter condition');
+  }
+}
+
+/**
+ * Saves a view, replacing any existing view with the same name (case-insensitive).
+ * @param {string} name - The view name.
+ * @param {Object} filter - The filter to save.
+ * @returns {Promise<Object>} { success: true, view }
+ */
+async function saveView(name, filter) {
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  if (!trimmedName) {
+    throw new Error('Please enter a name for the view');
+  }
+  validateFilter(filter);
+
+  return enqueueWrite(async () => {
+    const views = await loadViews();
+    const existing = views.find(view => view.name.toLowerCase() === trimmedName.toLowerCase());
+    const view = {
+      id: existing ? existing.id : Date.now().toString() + Math.random().toString(36).substring(2, 5),
+      name: trimmedName,
+      filter,
+    };
+    const updatedViews = existing ? views.map(v => (v.id === existing.id ? view : v)) : [...views, view];
+    await writeFileAtomic(VIEWS_FILE_PATH, JSON.stringify(updatedViews, null, 2));
+    console.log(`[Views] ${existing ? 'Updated' : 'Saved'} view "${trimmedName}"`);
+    return { success: true, view };
+  });
+}
+
+/**
+ * Deletes a saved view.
+ * @param {string} id - The view ID.
+ * @returns {Promise<Object>} { success: true, id }
+ */
+async function deleteView(id) {
+  return enqueueWrite(async () => {
+    const views = await loadViews();
+    const remaining = views.filter(view => view.id !== id);
+    if (remaining.length === views.length) {
+      throw new Error(`View with ID ${id} not found`);
+    }
+    await writeFileAtomic(VIEWS_FILE_PATH, JSON.stringify(remaining, null, 2));
+    console.log(`[Views] Deleted view ${id}`);
+    return { success: true, id };
+  });
+}
+
+/**
+ * Points the projects conditions of saved views at a project's new name.
+ * Unqueued: only call this from inside a queued write task (renaming a project, or undoing that).
+ * @param {string} oldName - The name views may still hold.
+ * @param {string} newName - The name to use instead.
+ * @returns {Promise<number>} The number of views changed.
+ */
+async function renameProjectInViews(oldName, newName) {
+  const views = await loadViews();
+  let changed = 0;
+  const updatedViews = views.map(view => {
+    const conditions = view.filter && Array.isArray(view.filter.conditions) ? view.filter.conditions : [];
+    if (!conditions.some(condition => condition.type === 'projects' && Array.isArray(condition.projects) && condition.projects.includes(oldName))) {
+      return view;
+    }
+    changed++;
+    return {
+      ...view,
+      filter: {
+        ...view.filter,
+        conditions: conditions.map(condition => (condition.type === 'projects' && Array.isArray(condition.projects)
+          ? { ...condition, projects: [...new Set(condition.projects.map(name => (name === oldName ? newName : name)))] }
+          : condition)),
+      },
+    };
+  });
+  if (changed > 0) {
+    await writeFileAtomic(VIEWS_FILE_PATH, JSON.stringify(updatedViews, null, 2));
+    console.log(`[Views] Renamed project "${oldName}" to "${newName}" in ${changed} views`);
+  }
+  return changed;
+}
+
+module.exports = {
+  loadViews,
+  saveView,
+  deleteView,
+  renameProjectInViews,
+};
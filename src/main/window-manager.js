@@ -4,6 +4,7 @@ const { formatDuration } = require('./utils');
 
 // Keep track of windows to prevent duplicates
 let dashboardWindow = null;
+let timesheetWindow = null;
 
 function createDashboardWindow() {
   if (dashboardWindow && !dashboardWindow.isDestroyed()) {
@@ -38,6 +39,38 @@ function createDashboardWindow() {
   return dashboardWindow;
 }
 
+/**
+ * Opens the timesheet window, or focuses it if it is already open.
+ * @returns {BrowserWindow} The timesheet window.
+ */
+function createTimesheetWindow() {
+  if (timesheetWindow && !timesheetWindow.isDestroyed()) {
+    timesheetWindow.focus();
+    return timesheetWindow;
+  }
+
+  timesheetWindow = new BrowserWindow({
+    width: 1100,
+    height: 800,
+    title: 'Juju Timesheet',
+    webPreferences: {
+      preload: path.join(app.getAppPath(), 'preload.js'),
+      contextIsolation: true,
+      nodeIntegration: false,
+      sandbox: false,
+      webSecurity: true
+    },
+  });
+
+  timesheetWindow.loadFile(path.join(app.getAppPath(), 'timesheet.html'));
+
+  timesheetWindow.on('closed', () => {
+    timesheetWindow = null;
+  });
+
+  return timesheetWindow;
+}
+
 /**
  * Shows a modal dialog window for entering session notes.
  * @param {Object} dialogData - Data to display in the dialog { projectName, durationMs }
@@ -165,7 +198,7 @@ async function showNotesDialog(dialogData) {
         </head><body>
             <h4>Session Complete</h4>
             <p>Project: ${dialogData?.projectName || 'N/A'}<br>Duration: ${formatDuration(dialogData?.durationMs || 0)}</p>
-            <textarea id="notesInput" placeholder="What did you work on? (Ctrl+Enter or Cmd+Enter to save)"></textarea>
+            <textarea id="notesInput" placeholder="What did you work on? Add #tags anywhere. (Ctrl+Enter or Cmd+Enter to save)"></textarea>
             <div class="buttons">
                 <button id="cancelBtn" class="secondary">Cancel (Esc)</button>
                 <button id="saveBtn" class="primary">Save</button>
@@ -240,7 +273,32 @@ async function showNotesDialog(dialogData) {
   });
 }
 
+/**
+ * Renders a standalone HTML document to PDF in a hidden window.
+ * @param {string} html - The document, with its styles inlined.
+ * @param {Object} [pdfOptions] - Extra webContents.printToPDF options, e.g. { landscape: true }.
+ * @returns {Promise<Buffer>} The PDF data.
+ */
+async function printHtmlToPdf(html, pdfOptions = {}) {
+  const printWin = new BrowserWindow({
+    show: false,
+    webPreferences: {
+      contextIsolation: true,
+      nodeIntegration: false,
+      javascript: false, // Reports are static HTML
+    },
+  });
+  try {
+    await printWin.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(html)}`);
+    return await printWin.webContents.printToPDF({ pageSize: 'A4', printBackground: true, ...pdfOptions });
+  } finally {
+    printWin.destroy();
+  }
+}
+
 module.exports = {
   createDashboardWindow,
+  createTimesheetWindow,
   showNotesDialog,
+  printHtmlToPdf,
 };
@@ -0,0 +1,21 @@
+// --- Write Queue ---
+// Every mutation of Juju's data files runs through this queue, one at a time,
+// so a tray save and a dashboard edit can never read-modify-write over each other.
+let writeQueue = Promise.resolve();
+
+/**
+ * Queues a write task to run after all previously queued tasks have settled.
+ * Tasks must not call other queued functions themselves (that would deadlock the queue);
+ * use the unqueued helpers instead.
+ * @param {Function} task - Async function performing the mutation.
+ * @returns {Promise<*>} Resolves/rejects with the task's own result.
+ */
+function enqueueWrite(task) {
+  const result = writeQueue.then(task);
+  writeQueue = result.catch(() => {}); // A failed task must not block the tasks queued after it
+  return result;
+}
+
+module.exports = {
+  enqueueWrite,
+};
@@ -236,7 +236,7 @@ export function createMultiBarComparisonChart(canvasId, labels, values, highligh
     });
 }
 
-export async function createPieChart(canvasId, labels, data) {
+export async function createPieChart(canvasId, labels, data, onSliceClick = null) {
     const canvas = document.getElementById(canvasId);
     if (!canvas) {
         console.error(`Canvas element with ID ${canvasId} not found.`);
@@ -279,6 +279,11 @@ export async function createPieChart(canvasId, labels, data) {
         options: {
             responsive: true,
             maintainAspectRatio: false,
+            onClick: (event, elements) => {
+                if (onSliceClick && elements.length > 0) {
+                    onSliceClick(filteredLabels[elements[0].index]);
+                }
+            },
             plugins: {
                 legend: {
                     ...sharedLegendConfig,
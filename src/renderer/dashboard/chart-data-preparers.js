@@ -1,4 +1,4 @@
-import { getWeekNumber } from './utils.js';
+import { getWeekNumber, getSessionTags } from './utils.js';
 
 export function prepareYearlyDailyProjectData(filteredSessions) {
     if (!filteredSessions || filteredSessions.length === 0) {
@@ -126,4 +126,27 @@ export function preparePieData(sessions) {
     const data = labels.map(label => projectTotals[label] / 60);
 
     return { labels, data };
-}
\ No newline at end of file
+}
+
+/**
+ * Like preparePieData, but slices by tag. A session with several tags has its time split
+ * evenly between them so the slices still add up to the time tracked.
+ * @param {Array<Object>} sessions - Session objects.
+ * @returns {{labels: Array<string>, data: Array<number>}} Tag labels (with '#') and hours.
+ */
+export function prepareTagPieData(sessions) {
+    const tagTotals = {};
+    sessions.forEach(session => {
+        const tags = getSessionTags(session);
+        const labels = tags.length > 0 ? tags.map(tag => `#${tag}`) : ['Untagged'];
+        const share = (session.duration_minutes || 0) / labels.length;
+        labels.forEach(label => {
+            tagTotals[label] = (tagTotals[label] || 0) + share;
+        });
+    });
+
+    const labels = Object.keys(tagTotals).sort();
+    const data = labels.map(label => tagTotals[label] / 60);
+
+    return { labels, data };
+}
@@ -7,7 +7,8 @@ import {
 import {
     prepareYearlyDailyProjectData,
     prepareWeeklyProjectData,
-    preparePieData
+    preparePieData,
+    prepareTagPieData
 } from './chart-data-preparers.js';
 
 // Chart instances
@@ -40,7 +41,15 @@ export function destroyCharts() {
     console.log('[Charts] Destroyed existing chart instances.');
 }
 
-export async function updateCharts(filteredSessions, allSessions, rangeTitle) {
+/**
+ * Redraws every chart for the given sessions.
+ * @param {Array<Object>} filteredSessions - Sessions in the chart date range.
+ * @param {Array<Object>} allSessions - All sessions.
+ * @param {string} rangeTitle - Description of the date range for the heading.
+ * @param {Object} [options] - { pieDimension: 'project' | 'tag', onPieSliceClick(projectName) }.
+ *   The click handler only applies to the project pie.
+ */
+export async function updateCharts(filteredSessions, allSessions, rangeTitle, options = {}) {
     try {
         checkChartJs();
 
@@ -147,8 +156,9 @@ export async function updateCharts(filteredSessions, allSessions, rangeTitle) {
             weeklyChartInstance = await createWeeklyStreamChart('weekly-chart', weeklyProjectData);
 
             // Pie Chart
-            const pieData = preparePieData(filteredSessions);
-            pieChartInstance = await createPieChart('pie-chart', pieData.labels, pieData.data);
+            const byTag = options.pieDimension === 'tag';
+            const pieData = byTag ? prepareTagPieData(filteredSessions) : preparePieData(filteredSessions);
+            pieChartInstance = await createPieChart('pie-chart', pieData.labels, pieData.data, byTag ? null : options.onPieSliceClick);
 
             return {
                 yearlyChart: yearlyChartInstance,
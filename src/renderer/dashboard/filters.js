@@ -0,0 +1,262 @@
+import { escapeHtml, getSessionTags } from './utils.js';
+
+// Structured filters for the Sessions tab. A filter is
+//   { combinator: 'and' | 'or', conditions: [{ type, ...params }] }
+// and is stored as-is in saved views (views.json). Conditions that aren't filled in yet
+// are ignored rather than matching nothing, so a half-built filter never empties the table.
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0]; // Show Monday first, matching getStartOfWeek
+
+const CONDITION_TYPES = {
+    dateRange: { label: 'Date range', create: () => ({ type: 'dateRange', from: '', to: '' }) },
+    projects: { label: 'Projects', create: () => ({ type: 'projects', projects: [] }) },
+    duration: { label: 'Duration', create: () => ({ type: 'duration', operator: 'gt', minutes: '' }) },
+    weekday: { label: 'Weekday', create: () => ({ type: 'weekday', days: [] }) },
+    timeOfDay: { label: 'Start time', create: () => ({ type: 'timeOfDay', from: '', to: '' }) },
+    notes: { label: 'Notes', create: () => ({ type: 'notes', empty: true }) },
+    tags: { label: 'Tags', create: () => ({ type: 'tags', tags: [], match: 'any' }) },
+};
+
+/**
+ * Creates an empty filter.
+ * @returns {Object} A filter with no conditions.
+ */
+function createEmptyFilter() {
+    return { combinator: 'and', conditions: [] };
+}
+
+/**
+ * Checks whether a condition has enough input to filter anything.
+ * @param {Object} condition - The condition.
+ * @returns {boolean} True if the condition should be applied.
+ */
+function isConditionComplete(condition) {
+    switch (condition.type) {
+        case 'dateRange': return Boolean(condition.from || condition.to);
+        case 'projects': return Array.isArray(condition.projects) && condition.projects.length > 0;
+        case 'duration': return condition.minutes !== '' && !isNaN(Number(condition.minutes));
+        case 'weekday': return Array.isArray(condition.days) && condition.days.length > 0;
+        case 'timeOfDay': return Boolean(condition.from && condition.to);
+        case 'notes': return true;
+        case 'tags': return Array.isArray(condition.tags) && condition.tags.length > 0;
+        default: return false;
+    }
+}
+
+/**
+ * Checks whether a filter has any condition that would be applied.
+ * @param {Object | null} filter - The filter.
+ * @returns {boolean} True if the filter is active.
+ */
+function isFilterActive(filter) {
+    return Boolean(filter && Array.isArray(filter.conditions) && filter.conditions.some(isConditionComplete));
+}
+
+/**
+ * Checks one condition against a session.
+ * @param {Object} session - The session object.
+ * @param {Object} condition - A complete condition.
+ * @returns {boolean} True if the session satisfies the condition.
+ */
+function sessionMatchesCondition(session, condition) {
+    switch (condition.type) {
+        case 'dateRange':
+            // YYYY-MM-DD strings compare correctly as text; both ends inclusive
+            if (condition.from && !(session.date >= condition.from)) return false;
+            if (condition.to && !(session.date <= condition.to)) return false;
+            return true;
+        case 'projects':
+            return condition.projects.includes(session.project || 'N/A');
+        case 'duration': {
+            const minutes = parseInt(session.duration_minutes, 10) || 0;
+            return condition.operator === 'lt' ? minutes < Number(condition.minutes) : minutes > Number(condition.minutes);
+        }
+        case 'weekday': {
+            const date = new Date(`${session.date}T00:00:00`);
+            return !isNaN(date.getTime()) && condition.days.includes(date.getDay());
+        }
+        case 'timeOfDay': {
+            const start = typeof session.start_time === 'string' ? session.start_time.slice(0, 5) : '';
+            if (!start) return false;
+            // A window like 22:00-02:00 wraps past midnight
+            return condition.from <= condition.to
+                ? start >= condition.from && start <= condition.to
+                : start >= condition.from || start <= condition.to;
+        }
+        case 'notes': {
+            const isEmpty = !(session.notes || '').trim();
+            return condition.empty ? isEmpty : !isEmpty;
+        }
+        case 'tags': {
+            const tags = getSessionTags(session);
+            return condition.match === 'all'
+                ? condition.tags.every(tag => tags.includes(tag))
+                : condition.tags.some(tag => tags.includes(tag));
+        }
+        default:
+            return true;
+    }
+}
+
+/**
+ * Checks a session against a filter, combining its complete conditions with AND or OR.
+ * @param {Object} session - The session object.
+ * @param {Object} filter - The filter.
+ * @returns {boolean} True if the session matches.
+ */
+function sessionMatchesFilter(session, filter) {
+    const conditions = filter.conditions.filter(isConditionComplete);
+    if (conditions.length === 0) return true;
+    return filter.combinator === 'or'
+        ? conditions.some(condition => sessionMatchesCondition(session, condition))
+        : conditions.every(condition => sessionMatchesCondition(session, condition));
+}
+
+/**
+ * Builds the inputs for one condition's parameters.
+ * @param {Object} condition - The condition being edited.
+ * @param {Object} choices - { projectNames, tagNames } offered by the projects and tags conditions.
+ * @returns {string} HTML for the parameter inputs.
+ */
+function renderConditionInputs(condition, { projectNames = [], tagNames = [] }) {
+    switch (condition.type) {
+        case 'dateRange':
+            return `
+                <input type="date" class="input-base" data-param="from" value="${escapeHtml(condition.from)}">
+                <span>to</span>
+                <input type="date" class="input-base" data-param="to" value="${escapeHtml(condition.to)}">`;
+        case 'projects': {
+            // Keep projects that are selected but no longer exist, so saved views still show them
+            const names = [...new Set([...projectNames, ...condition.projects])];
+            return `
+                <select multiple class="input-base" data-param="projects" size="${Math.min(Math.max(names.length, 2), 5)}">
+                    ${names.map(name => `<option value="${escapeHtml(name)}" ${condition.projects.includes(name) ? 'selected' : ''}>${escapeHtml(name)}</option>`).join('')}
+                </select>`;
+        }
+        case 'duration':
+            return `
+                <select class="input-base" data-param="operator">
+                    <option value="gt" ${condition.operator === 'gt' ? 'selected' : ''}>more than</option>
+                    <option value="lt" ${condition.operator === 'lt' ? 'selected' : ''}>less than</option>
+                </select>
+                <input type="number" class="input-base" data-param="minutes" min="0" step="1" value="${escapeHtml(condition.minutes)}">
+                <span>minutes</span>`;
+        case 'weekday':
+            return WEEKDAY_ORDER.map(day => `
+                <label class="filter-weekday">
+                    <input type="checkbox" data-param="days" value="${day}" ${condition.days.includes(day) ? 'checked' : ''}>
+                    ${WEEKDAY_LABELS[day]}
+                </label>`).join('');
+        case 'timeOfDay':
+            return `
+                <span>between</span>
+                <input type="time" class="input-base" data-param="from" value="${escapeHtml(condition.from)}">
+                <span>and</span>
+                <input type="time" class="input-base" data-param="to" value="${escapeHtml(condition.to)}">`;
+        case 'notes':
+            return `
+                <select class="input-base" data-param="empty">
+                    <option value="true" ${condition.empty ? 'selected' : ''}>are empty</option>
+                    <option value="false" ${!condition.empty ? 'selected' : ''}>are not empty</option>
+                </select>`;
+        case 'tags': {
+            // Like projects, keep selected tags that no session uses any more
+            const names = [...new Set([...tagNames, ...condition.tags])];
+            return `
+                <select class="input-base" data-param="match">
+                    <option value="any" ${condition.match !== 'all' ? 'selected' : ''}>any of</option>
+                    <option value="all" ${condition.match === 'all' ? 'selected' : ''}>all of</option>
+                </select>
+                <select multiple class="input-base" data-param="tags" size="${Math.min(Math.max(names.length, 2), 5)}">
+                    ${names.map(name => `<option value="${escapeHtml(name)}" ${condition.tags.includes(name) ? 'selected' : ''}>#${escapeHtml(name)}</option>`).join('')}
+                </select>`;
+        }
+        default:
+            return '';
+    }
+}
+
+/**
+ * Reads a changed parameter input back into its condition.
+ * @param {Object} condition - The condition to update.
+ * @param {HTMLElement} rowElement - The condition's row.
+ * @param {HTMLElement} input - The input that changed.
+ */
+function readConditionInput(condition, rowElement, input) {
+    const param = input.dataset.param;
+    if (param === 'projects' || param === 'tags') {
+        condition[param] = [...input.selectedOptions].map(option => option.value);
+    } else if (param === 'days') {
+        condition.days = [...rowElement.querySelectorAll('input[data-param="days"]:checked')].map(box => Number(box.value));
+    } else if (param === 'empty') {
+        condition.empty = input.value === 'true';
+    } else {
+        condition[param] = input.value;
+    }
+}
+
+/**
+ * Renders editable rows for a filter's conditions. Edits change the filter object in place.
+ * @param {HTMLElement} listElement - Container for the condition rows.
+ * @param {Object} filter - The filter being edited.
+ * @param {Object} choices - { projectNames, tagNames } offered by the projects and tags conditions.
+ * @param {Function} onChange - Called after any edit.
+ */
+function renderFilterConditions(listElement, filter, choices, onChange) {
+    listElement.innerHTML = '';
+
+    if (filter.conditions.length === 0) {
+        listElement.innerHTML = '<div class="filter-empty">No conditions yet.</div>';
+        return;
+    }
+
+    filter.conditions.forEach((condition, index) => {
+        const row = document.createElement('div');
+        row.className = 'filter-condition';
+        row.innerHTML = `
+            <select class="input-base filter-type">
+                ${Object.entries(CONDITION_TYPES).map(([type, { label }]) =>
+                    `<option value="${type}" ${type === condition.type ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+            <div class="filter-params">${renderConditionInputs(condition, choices)}</div>
+            <button class="btn btn-delete filter-remove" title="Remove condition">×</button>
+        `;
+
+        row.querySelector('.filter-type').addEventListener('change', (e) => {
+            filter.conditions[index] = CONDITION_TYPES[e.target.value].create();
+            renderFilterConditions(listElement, filter, choices, onChange);
+            onChange();
+        });
+        row.querySelector('.filter-params').addEventListener('change', (e) => {
+            if (!e.target.dataset.param) return;
+            readConditionInput(condition, row, e.target);
+            onChange();
+        });
+        row.querySelector('.filter-remove').addEventListener('click', () => {
+            filter.conditions.splice(index, 1);
+            renderFilterConditions(listElement, filter, choices, onChange);
+            onChange();
+        });
+
+        listElement.appendChild(row);
+    });
+}
+
+/**
+ * Adds a new condition of the given type to a filter.
+ * @param {Object} filter - The filter to extend.
+ * @param {string} type - A key of CONDITION_TYPES.
+ */
+function addFilterCondition(filter, type) {
+    const conditionType = CONDITION_TYPES[type] || CONDITION_TYPES.dateRange;
+    filter.conditions.push(conditionType.create());
+}
+
+export {
+    createEmptyFilter,
+    isFilterActive,
+    sessionMatchesFilter,
+    renderFilterConditions,
+    addFilterCondition
+};
@@ -0,0 +1,272 @@
+import { escapeHtml, formatMinutesToHoursMinutes } from './utils.js';
+
+// Rendering for the import wizards in the Settings tab. The main process parses the files
+// (src/main/import.js for CSV, src/main/calendar-import.js for .ics); these helpers show the column
+// mapping, preview rows and project choices.
+
+const FIELD_LABELS = {
+    date: 'Date',
+    start_time: 'Start time',
+    end_time: 'End time',
+    duration: 'Duration',
+    project: 'Project',
+    notes: 'Notes',
+    tags: 'Tags',
+};
+
+const STATUS_LABELS = {
+    new: 'New',
+    duplicate: 'Duplicate',
+    overlap: 'Overlaps',
+    invalid: 'Invalid',
+};
+
+const PREVIEW_ROW_LIMIT = 200; // Rows shown in the preview table; all rows are still imported
+
+/**
+ * Renders a column select for every field.
+ * @param {HTMLElement} container - Element to render into.
+ * @param {Array<string>} headers - The file's header names.
+ * @param {Object} mapping - Field name -> header name; updated in place.
+ * @param {Function} onChange - Called after the mapping changes.
+ */
+function renderColumnMapping(container, headers, mapping, onChange) {
+    container.innerHTML = Object.entries(FIELD_LABELS).map(([field, label]) => `
+        <label>${label}
+            <select class="input-base" data-field="${field}">
+                <option value="">-- None --</option>
+                ${headers.map(header => `<option value="${escapeHtml(header)}">${escapeHtml(header)}</option>`).join('')}
+            </select>
+        </label>
+    `).join('');
+    container.querySelectorAll('select').forEach(select => {
+        select.value = mapping[select.dataset.field] || '';
+        select.addEventListener('change', () => {
+            if (select.value) {
+                mapping[select.dataset.field] = select.value;
+            } else {
+                delete mapping[select.dataset.field];
+            }
+            onChange();
+        });
+    });
+}
+
+/**
+ * Counts preview rows by status.
+ * @param {Array<Object>} rows - Preview rows from previewImport.
+ * @returns {{new: number, duplicate: number, overlap: number, invalid: number}}
+ */
+function countImportRows(rows) {
+    const counts = { new: 0, duplicate: 0, overlap: 0, invalid: 0 };
+    rows.forEach(row => { counts[row.status] += 1; });
+    return counts;
+}
+
+/**
+ * Describes the session a row clashes with.
+ * @param {Object} conflict - { date, start_time, end_time, project, source }
+ * @returns {string} e.g. "Existing session 2024-01-31 09:00-10:00 (Website)".
+ */
+function describeConflict(conflict) {
+    const where = conflict.source === 'file' ? 'Earlier row' : 'Existing session';
+    return `${where} ${conflict.date} ${String(conflict.start_time).slice(0, 5)}-${String(conflict.end_time).slice(0, 5)} (${conflict.project || 'no project'})`;
+}
+
+/**
+ * Renders the preview table rows.
+ * @param {HTMLElement} tableBody - The preview table's tbody.
+ * @param {Array<Object>} rows - Preview rows from previewImport.
+ */
+function renderImportPreview(tableBody, rows) {
+    tableBody.innerHTML = rows.slice(0, PREVIEW_ROW_LIMIT).map(row => {
+        const title = row.error || (row.conflict ? describeConflict(row.conflict) : '');
+        if (!row.entry) {
+            return `<tr class="import-row-invalid">
+                <td>${row.line}</td>
+                <td><span class="import-status" title="${escapeHtml(title)}">${STATUS_LABELS.invalid}</span></td>
+                <td colspan="6">${escapeHtml(row.error)}</td>
+            </tr>`;
+        }
+        const { entry } = row;
+        return `<tr class="import-row-${row.status}">
+            <td>${row.line}</td>
+            <td><span class="import-status" title="${escapeHtml(title)}">${STATUS_LABELS[row.status]}</span></td>
+            <td>${escapeHtml(entry.date)}</td>
+            <td>${escapeHtml(entry.start_time.slice(0, 5))}</td>
+            <td>${escapeHtml(entry.end_time.slice(0, 5))}</td>
+            <td>${formatMinutesToHoursMinutes(entry.duration_minutes)}</td>
+            <td>${escapeHtml(entry.project || '(none)')}</td>
+            <td>${escapeHtml(entry.notes)}</td>
+        </tr>`;
+    }).join('');
+    if (rows.length > PREVIEW_ROW_LIMIT) {
+        tableBody.insertAdjacentHTML('beforeend',
+            `<tr><td colspan="8" class="import-preview-more">…and ${rows.length - PREVIEW_ROW_LIMIT} more rows</td></tr>`);
+    }
+}
+
+/**
+ * Picks a starting choice for each of the file's projects: the Juju project with the same name
+ * if there is one, otherwise a new project of that name. Rows without a project are skipped.
+ * Choices already made for a name are kept.
+ * @param {Array<Object>} fileProjects - { name, count, match } from previewImport.
+ * @param {Object} [previous] - The previous project map.
+ * @returns {Object} File project name -> { action, project?, name? }.
+ */
+function createProjectMap(fileProjects, previous = {}) {
+    const projectMap = {};
+    fileProjects.forEach(({ name, match }) => {
+        if (previous[name]) {
+            projectMap[name] = previous[name];
+        } else if (match) {
+            projectMap[name] = { action: 'existing', project: match };
+        } else if (name) {
+            projectMap[name] = { action: 'create', name };
+        } else {
+            projectMap[name] = { action: 'skip' };
+        }
+    });
+    return projectMap;
+}
+
+/**
+ * Renders a choice of Juju project for each project named in the file.
+ * @param {HTMLElement} container - Element to render into.
+ * @param {Array<Object>} fileProjects - { name, count, match } from previewImport.
+ * @param {Array<string>} projectNames - Existing Juju project names.
+ * @param {Object} projectMap - From createProjectMap; updated in place.
+ * @param {Function} onChange - Called after a choice changes.
+ */
+function renderProjectMapping(container, fileProjects, projectNames, projectMap, onChange) {
+    if (fileProjects.length === 0) {
+        container.innerHTML = '<p class="settings-description">No rows to import.</p>';
+        return;
+    }
+    container.innerHTML = fileProjects.map(({ name, count }) => `
+        <div class="import-project-row" data-name="${escapeHtml(name)}">
+            <span class="import-project-name">${escapeHtml(name || '(no project)')} <small>${count} row${count === 1 ? '' : 's'}</small></span>
+            <select class="input-base">
+                ${name ? `<option value="create">Create project "${escapeHtml(name)}"</option>` : ''}
+                ${projectNames.map(projectName => `<option value="existing:${escapeHtml(projectName)}">${escapeHtml(projectName)}</option>`).join('')}
+                <option value="skip">Don't import</option>
+            </select>
+        </div>
+    `).join('');
+    container.querySelectorAll('.import-project-row').forEach(row => {
+        const name = row.dataset.name;
+        const select = row.querySelector('select');
+        const choice = projectMap[name];
+        select.value = choice.action === 'existing' ? `existing:${choice.project}` : choice.action;
+        select.addEventListener('change', () => {
+            if (select.value === 'create' || select.value === 'skip') {
+                projectMap[name] = select.value === 'create' ? { action: 'create', name } : { action: 'skip' };
+            } else {
+                projectMap[name] = { action: 'existing', project: select.value.slice('existing:'.length) };
+            }
+            onChange();
+        });
+    });
+}
+
+/**
+ * Renders the calendar import's summary-text rules.
+ * @param {HTMLElement} container - Element to render into.
+ * @param {Array<Object>} rules - [{ text, project }]; updated in place.
+ * @param {Array<string>} projectNames - Existing Juju project names.
+ * @param {Function} onChange - Called after a rule changes or is removed.
+ */
+function renderCalendarRules(container, rules, projectNames, onChange) {
+    if (rules.length === 0) {
+        container.innerHTML = '<p class="filter-empty">No rules yet.</p>';
+        return;
+    }
+    container.innerHTML = rules.map((rule, index) => `
+        <div class="calendar-rule" data-index="${index}">
+            <label>Summary contains</label>
+            <input type="text" class="input-base calendar-rule-text" value="${escapeHtml(rule.text)}" placeholder="e.g. Focus">
+            <label>&rarr;</label>
+            <select class="input-base calendar-rule-project">
+                <option value="">-- Select Project --</option>
+                ${projectNames.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('')}
+            </select>
+            <button class="btn btn-secondary calendar-rule-remove" title="Remove rule">&times;</button>
+        </div>
+    `).join('');
+    container.querySelectorAll('.calendar-rule').forEach(row => {
+        const rule = rules[Number(row.dataset.index)];
+        const textInput = row.querySelector('.calendar-rule-text');
+        const projectSelect = row.querySelector('.calendar-rule-project');
+        projectSelect.value = rule.project;
+        textInput.addEventListener('change', () => {
+            rule.text = textInput.value;
+            onChange();
+        });
+        projectSelect.addEventListener('change', () => {
+            rule.project = projectSelect.value;
+            onChange();
+        });
+        row.querySelector('.calendar-rule-remove').addEventListener('click', () => {
+            rules.splice(Number(row.dataset.index), 1);
+            renderCalendarRules(container, rules, projectNames, onChange);
+            onChange();
+        });
+    });
+}
+
+/**
+ * Checks whether a calendar event is ticked for import. Events the user hasn't ticked or unticked
+ * themselves start ticked when they are new and have a project.
+ * @param {Object} event - An event from previewCalendarImport.
+ * @param {Map<string, boolean>} choices - Event key -> ticked, for events the user changed.
+ * @returns {boolean} True if the event is selected.
+ */
+function isCalendarEventSelected(event, choices) {
+    if (!event.entry) return false;
+    return choices.has(event.key) ? choices.get(event.key) : event.status === 'new' && Boolean(event.project);
+}
+
+/**
+ * Renders the calendar events with a checkbox each.
+ * @param {HTMLElement} tableBody - The events table's tbody.
+ * @param {Array<Object>} events - Events from previewCalendarImport.
+ * @param {Map<string, boolean>} choices - Event key -> ticked; updated in place.
+ * @param {Function} onChange - Called after a checkbox changes.
+ */
+function renderCalendarEvents(tableBody, events, choices, onChange) {
+    if (events.length === 0) {
+        tableBody.innerHTML = '<tr><td colspan="8" class="import-preview-more">No events in these dates.</td></tr>';
+        return;
+    }
+    tableBody.innerHTML = events.map((event, index) => {
+        const title = event.error || (event.conflict ? describeConflict(event.conflict) : '');
+        const { entry } = event;
+        return `<tr class="import-row-${event.status}">
+            <td><input type="checkbox" data-index="${index}" ${isCalendarEventSelected(event, choices) ? 'checked' : ''} ${entry ? '' : 'disabled'}></td>
+            <td><span class="import-status" title="${escapeHtml(title)}">${STATUS_LABELS[event.status]}</span></td>
+            <td>${entry ? escapeHtml(entry.date) : ''}</td>
+            <td>${entry ? escapeHtml(entry.start_time.slice(0, 5)) : ''}</td>
+            <td>${entry ? escapeHtml(entry.end_time.slice(0, 5)) : ''}</td>
+            <td>${entry ? formatMinutesToHoursMinutes(entry.duration_minutes) : ''}</td>
+            <td>${escapeHtml(event.summary)}${event.recurring ? ' <span class="calendar-recurring" title="Recurring event">&#8635;</span>' : ''}</td>
+            <td>${event.project ? escapeHtml(event.project) : '<span class="import-no-project">No project</span>'}</td>
+        </tr>`;
+    }).join('');
+    tableBody.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            choices.set(events[Number(checkbox.dataset.index)].key, checkbox.checked);
+            onChange();
+        });
+    });
+}
+
+export {
+    countImportRows,
+    createProjectMap,
+    isCalendarEventSelected,
+    renderCalendarEvents,
+    renderCalendarRules,
+    renderColumnMapping,
+    renderImportPreview,
+    renderProjectMapping
+};
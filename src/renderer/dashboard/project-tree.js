@@ -0,0 +1,73 @@
+// Renderer-side helpers for the client → project → sub-project hierarchy (parentId on each project).
+
+export const MAX_PROJECT_DEPTH = 3;
+export const LEVEL_NAMES = ['Client', 'Project', 'Sub-project'];
+
+/**
+ * Lists a project's ancestors from the top level down, ending with the project itself.
+ * @param {Object} project - The project.
+ * @param {Map<string, Object>} byId - Projects indexed by ID.
+ * @returns {Array<Object>} The path of projects.
+ */
+export function getProjectPath(project, byId) {
+    const path = [project];
+    const seen = new Set([project.id]);
+    let parent = project.parentId ? byId.get(project.parentId) : null;
+    while (parent && !seen.has(parent.id)) {
+        path.unshift(parent);
+        seen.add(parent.id);
+        parent = parent.parentId ? byId.get(parent.parentId) : null;
+    }
+    return path;
+}
+
+/**
+ * Orders projects depth-first (each parent followed by its children) and notes each one's depth,
+ * for indented lists and selects.
+ * @param {Array<Object>} projects - All projects.
+ * @returns {Array<{project: Object, depth: number, hasChildren: boolean}>} Flattened tree, depth starting at 1.
+ */
+export function flattenProjectTree(projects) {
+    const ids = new Set(projects.map(p => p.id));
+    const result = [];
+    function visit(parentId, depth) {
+        projects
+            .filter(p => (parentId === null ? !p.parentId || !ids.has(p.parentId) : p.parentId === parentId))
+            .forEach(project => {
+                const hasChildren = projects.some(p => p.parentId === project.id);
+                result.push({ project, depth, hasChildren });
+                if (depth < MAX_PROJECT_DEPTH) visit(project.id, depth + 1);
+            });
+    }
+    visit(null, 1);
+    return result;
+}
+
+/**
+ * Relabels sessions with the project at the chosen level of the hierarchy so charts can roll
+ * sub-projects up into their parents. Sessions tracked above that level keep their own project.
+ * @param {Array<Object>} sessions - Session objects.
+ * @param {Array<Object>} projects - All projects.
+ * @param {Object} grouping - { depth: 1-3, rootId: string|null }. With a rootId, only sessions
+ *   under that project are kept (a drilldown).
+ * @returns {Array<Object>} Sessions with `project` replaced by the rolled-up name.
+ */
+export function rollUpSessions(sessions, projects, grouping) {
+    const byId = new Map(projects.map(p => [p.id, p]));
+    const byName = new Map(projects.map(p => [p.name, p]));
+    const result = [];
+
+    sessions.forEach(session => {
+        const project = byName.get(session.project);
+        if (!project) {
+            if (!grouping.rootId) result.push(session); // Unknown projects can't be placed in the tree
+            return;
+        }
+        const path = getProjectPath(project, byId);
+        if (grouping.rootId && !path.some(p => p.id === grouping.rootId)) return;
+        const groupProject = path[Math.min(grouping.depth, path.length) - 1];
+        result.push(groupProject === project ? session : { ...session, project: groupProject.name });
+    });
+
+    return result;
+}
@@ -0,0 +1,89 @@
+import { escapeHtml, getSessionTags } from './utils.js';
+
+// Session search for the Sessions tab. A query is split into terms that must all appear in a
+// session's notes, project name or #tags (case-insensitive):
+//   auth bug          -> both "auth" and "bug"
+//   "auth bug"        -> the exact phrase
+//   -meeting          -> sessions without "meeting"
+//   -"stand up"       -> sessions without the phrase
+
+/**
+ * Parses a search query into terms to include and exclude.
+ * @param {string} query - The raw search box text.
+ * @returns {{include: Array<string>, exclude: Array<string>}} Lowercased terms.
+ */
+function parseSearchQuery(query) {
+    const include = [];
+    const exclude = [];
+    // A token is an optional "-" followed by a quoted phrase or a run of non-space characters
+    const tokenPattern = /(-?)(?:"([^"]*)"?|(\S+))/g;
+    let match;
+    while ((match = tokenPattern.exec(query || '')) !== null) {
+        const term = (match[2] !== undefined ? match[2] : match[3]).trim().toLowerCase();
+        if (!term) continue;
+        (match[1] ? exclude : include).push(term);
+    }
+    return { include, exclude };
+}
+
+/**
+ * Checks whether a parsed query has any terms at all.
+ * @param {{include: Array<string>, exclude: Array<string>}} parsedQuery
+ * @returns {boolean} True if the query would filter anything.
+ */
+function isSearchActive(parsedQuery) {
+    return parsedQuery.include.length > 0 || parsedQuery.exclude.length > 0;
+}
+
+/**
+ * Checks whether a session matches a parsed query.
+ * @param {Object} session - The session object.
+ * @param {{include: Array<string>, exclude: Array<string>}} parsedQuery
+ * @returns {boolean} True if every included term appears and no excluded term does.
+ */
+function sessionMatchesSearch(session, parsedQuery) {
+    const tags = getSessionTags(session).map(tag => `#${tag}`).join(' ');
+    const haystack = `${session.notes || ''}\n${session.project || ''}\n${tags}`.toLowerCase();
+    return parsedQuery.include.every(term => haystack.includes(term)) &&
+        !parsedQuery.exclude.some(term => haystack.includes(term));
+}
+
+/**
+ * Escapes text for HTML and wraps every occurrence of the given terms in <mark>.
+ * @param {string} text - The text to display.
+ * @param {Array<string>} terms - Lowercased terms to highlight.
+ * @returns {string} Safe HTML.
+ */
+function highlightMatches(text, terms) {
+    const source = String(text ?? '');
+    if (!terms || terms.length === 0 || !source) return escapeHtml(source);
+
+    // Mark every character covered by a term, so overlapping terms merge into one highlight
+    const lower = source.toLowerCase();
+    const marked = new Array(source.length).fill(false);
+    terms.forEach(term => {
+        let index = lower.indexOf(term);
+        while (term && index !== -1) {
+            marked.fill(true, index, index + term.length);
+            index = lower.indexOf(term, index + term.length);
+        }
+    });
+
+    let html = '';
+    let start = 0;
+    while (start < source.length) {
+        let end = start;
+        while (end < source.length && marked[end] === marked[start]) end++;
+        const chunk = escapeHtml(source.slice(start, end));
+        html += marked[start] ? `<mark>${chunk}</mark>` : chunk;
+        start = end;
+    }
+    return html;
+}
+
+export {
+    parseSearchQuery,
+    isSearchActive,
+    sessionMatchesSearch,
+    highlightMatches
+};
@@ -0,0 +1,95 @@
+import { escapeHtml, formatMinutesToHoursMinutes, parseHoursInput } from './utils.js';
+
+// The Timesheet tab: a projects × weekdays grid for one week, built from the main process's
+// weekly timesheet (src/main/timesheet.js). Each cell holds a day's total for a project and
+// can be typed over; the main process then adjusts that day's sessions (setTimesheetCell).
+
+/**
+ * Formats minutes for an editable cell, e.g. 90 -> "1:30"; empty for no time.
+ * @param {number} minutes - The minutes.
+ * @returns {string} The cell value.
+ */
+function formatCellValue(minutes) {
+    if (!minutes) return '';
+    return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Renders the grid. Projects with time in the week get a row, as do the extra projects the user
+ * added to fill in. Sessions without a project are shown read-only: there's no project to give
+ * the time to.
+ * @param {HTMLTableElement} table - The grid table.
+ * @param {Object} timesheet - A weekly timesheet from buildTimesheet.
+ * @param {Array<string>} extraProjects - Project names to show even without time this week.
+ * @param {Function} onCellChange - Called with (project, date, minutes); returns a promise that
+ *   rejects if the change can't be saved.
+ */
+function renderTimesheetGrid(table, timesheet, extraProjects, onCellChange) {
+    const rows = [...timesheet.rows];
+    extraProjects
+        .filter(project => !rows.some(row => row.project === project))
+        .forEach(project => rows.push({ project, label: project, minutes: timesheet.days.map(() => 0), total: 0 }));
+
+    const dayHeaders = timesheet.days.map(day => {
+        const date = new Date(`${day}T00:00:00`);
+        return `<th>${date.toLocaleDateString('en-US', { weekday: 'short' })} ${date.getDate()}</th>`;
+    }).join('');
+    table.innerHTML = `
+        <thead><tr><th>Project</th>${dayHeaders}<th>Total</th></tr></thead>
+        <tbody>
+            ${rows.length === 0 ? `<tr><td colspan="${timesheet.days.length + 2}" class="no-data">No time tracked this week. Add a project to fill it in.</td></tr>` : ''}
+            ${rows.map(row => `
+            <tr>
+                <th>${escapeHtml(row.label)}</th>
+                ${row.minutes.map((minutes, index) => (row.project ? `
+                <td><input type="text" class="input-base timesheet-cell" data-project="${escapeHtml(row.project)}"
+                    data-date="${timesheet.days[index]}" data-minutes="${minutes}" value="${formatCellValue(minutes)}" placeholder="-"></td>` : `
+                <td class="timesheet-readonly" title="Give these sessions a project in the Sessions tab to edit them here">${formatCellValue(minutes)}</td>`)).join('')}
+                <td class="timesheet-total">${formatMinutesToHoursMinutes(row.total)}</td>
+            </tr>`).join('')}
+        </tbody>
+        <tfoot><tr>
+            <th>Total</th>
+            ${timesheet.dayTotals.map(minutes => `<td class="timesheet-total">${formatMinutesToHoursMinutes(minutes)}</td>`).join('')}
+            <td class="timesheet-total">${formatMinutesToHoursMinutes(timesheet.total)}</td>
+        </tr></tfoot>
+    `;
+
+    table.querySelectorAll('.timesheet-cell').forEach(input => {
+        const originalMinutes = Number(input.dataset.minutes);
+        const save = async () => {
+            const minutes = parseHoursInput(input.value);
+            if (minutes === null) {
+                alert('Please enter hours as 1:30, 1.5 or 90m');
+                input.value = formatCellValue(originalMinutes);
+                return;
+            }
+            if (minutes === originalMinutes) {
+                input.value = formatCellValue(minutes);
+                return;
+            }
+            input.disabled = true;
+            try {
+                await onCellChange(input.dataset.project, input.dataset.date, minutes);
+            } catch (error) {
+                console.error(`[Timesheet] Error updating ${input.dataset.project} on ${input.dataset.date}:`, error);
+                alert(`Failed to update session: ${error.message || 'Unknown error'}`);
+                input.value = formatCellValue(originalMinutes);
+                input.disabled = false;
+            }
+        };
+        input.addEventListener('change', save);
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                input.blur(); // Saves through the change event
+            } else if (e.key === 'Escape') {
+                input.value = formatCellValue(originalMinutes);
+                input.blur();
+            }
+        });
+    });
+}
+
+export {
+    renderTimesheetGrid
+};
@@ -1,4 +1,5 @@
-import { formatMinutesToHoursMinutes } from './utils.js'; // Import necessary utils
+import { formatMinutesToHoursMinutes, getSessionTags } from './utils.js'; // Import necessary utils
+import { highlightMatches } from './search.js';
 
 // Store reference to table body - assume it exists in the DOM when functions are called
 const recentSessionsBody = document.getElementById('recent-sessions-body');
@@ -30,8 +31,12 @@ function setupTabs() {
  * Assumes the provided sessions are already filtered, sorted, and paginated.
  * @param {Array<Object>} visibleSessions - The array of session objects to display.
  * @param {Function} refreshDashboardDataCallback - Callback function to refresh all dashboard data on edit.
+ * @param {Object} [selection] - Row selection state owned by dashboard.js.
+ * @param {Set<string>} selection.selectedIds - IDs of the currently selected sessions.
+ * @param {Function} selection.onToggle - Called with (id, checked) when a row checkbox changes.
+ * @param {Array<string>} [highlightTerms] - Search terms to highlight in the project and notes cells.
  */
-function updateSessionsTable(visibleSessions, refreshDashboardDataCallback) {
+function updateSessionsTable(visibleSessions, refreshDashboardDataCallback, selection = null, highlightTerms = []) {
     if (!recentSessionsBody) {
         console.error('[UI] Cannot update sessions table: recentSessionsBody element not found.');
         return;
@@ -43,7 +48,7 @@ function updateSessionsTable(visibleSessions, refreshDashboardDataCallback) {
     // Check if there are sessions to display for the current page/filter
     if (!visibleSessions || visibleSessions.length === 0) {
         recentSessionsBody.innerHTML = `
-            <tr><td colspan="6" class="no-data">No sessions match the current filter or page.</td></tr>`;
+            <tr><td colspan="10" class="no-data">No sessions match the current filter or page.</td></tr>`;
         // Do not add edit listeners if there's no data
         console.log('[UI] Sessions table updated with no data message.');
         return;
@@ -70,14 +75,32 @@ function updateSessionsTable(visibleSessions, refreshDashboardDataCallback) {
         const endTime = typeof session.end_time === 'string' ? session.end_time.slice(0, 5) : '??:??';
         const projectName = session.project || 'N/A';
         const notes = session.notes || '';
+        const tagsHtml = getSessionTags(session)
+            .map(tag => `<span class="tag-chip">${highlightMatches(`#${tag}`, highlightTerms)}</span>`)
+            .join(' ');
+        const pauseCount = parseInt(session.pause_count, 10) || 0;
+        const pausedMinutes = parseInt(session.paused_minutes, 10) || 0;
+        const pauseInfo = pauseCount > 0
+            ? `<span class="pause-info" title="Paused ${pauseCount} time${pauseCount === 1 ? '' : 's'}, ${formatMinutesToHoursMinutes(pausedMinutes)} excluded">${pauseCount}× paused, ${formatMinutesToHoursMinutes(pausedMinutes)}</span>`
+            : '';
+        const focusBlockMinutes = parseInt(session.focus_block_minutes, 10) || 0;
+        const focusInfo = focusBlockMinutes > 0
+            ? `<span class="focus-info" title="Timed session that ran its full block">${focusBlockMinutes}m focus block</span>`
+            : '';
+
+        const isSelected = selection ? selection.selectedIds.has(session.id) : false;
+        if (isSelected) row.classList.add('selected');
 
         row.innerHTML = `
+            <td class="select-col"><input type="checkbox" class="row-select" data-id="${session.id}" ${isSelected ? 'checked' : ''}></td>
             <td class="editable" data-field="date" data-id="${session.id}">${formattedDate}</td>
-            <td class="editable" data-field="project" data-id="${session.id}">${projectName}</td>
-            <td data-field="duration_minutes" data-id="${session.id}">${formatMinutesToHoursMinutes(session.duration_minutes)}</td>
+            <td class="editable" data-field="project" data-id="${session.id}">${highlightMatches(projectName, highlightTerms)}</td>
+            <td data-field="duration_minutes" data-id="${session.id}">${formatMinutesToHoursMinutes(session.duration_minutes)}${focusInfo}${pauseInfo}</td>
             <td class="editable" data-field="start_time" data-id="${session.id}">${startTime}</td>
             <td class="editable" data-field="end_time" data-id="${session.id}">${endTime}</td>
-            <td class="editable" data-field="notes" data-id="${session.id}">${notes}</td>
+            <td class="editable" data-field="notes" data-id="${session.id}">${highlightMatches(notes, highlightTerms)}</td>
+            <td class="editable" data-field="tags" data-id="${session.id}" title="Space-separated, e.g. #writing #review">${tagsHtml}</td>
+            <td class="billable-col"><input type="checkbox" class="billable-toggle" data-id="${session.id}" title="Billable" ${session.billable === 'no' ? '' : 'checked'}></td>
             <td class="actions">
                 <button class="btn btn-delete" data-id="${session.id}" title="Delete Session">×</button>
             </td>
@@ -88,6 +111,8 @@ function updateSessionsTable(visibleSessions, refreshDashboardDataCallback) {
     // Add both edit and delete listeners
     addEditListeners(refreshDashboardDataCallback);
     addDeleteListeners(refreshDashboardDataCallback);
+    addBillableListeners(refreshDashboardDataCallback);
+    addSelectionListeners(selection);
     console.log('[UI] Sessions table updated.');
 }
 
@@ -264,6 +289,64 @@ async function handleCellUpdate(refreshDashboardDataCallback) { // Receive callb
     }
 }
 
+/**
+ * Shows the current sort on the sessions table headers: an arrow on the primary column
+ * and a smaller numbered arrow on the secondary one.
+ * @param {Object} sort - { primary: { key, direction }, secondary: { key, direction } | null }
+ */
+function updateSortIndicators(sort) {
+    document.querySelectorAll('#recent-sessions-table th.sortable').forEach(th => {
+        th.querySelector('.sort-indicator')?.remove();
+        const key = th.dataset.sortKey;
+        let rank = null;
+        let direction = null;
+        if (sort.primary && sort.primary.key === key) {
+            rank = 1;
+            direction = sort.primary.direction;
+        } else if (sort.secondary && sort.secondary.key === key) {
+            rank = 2;
+            direction = sort.secondary.direction;
+        }
+        th.title = 'Click to sort. The previous sort column is kept as the tie-breaker.';
+        if (!rank) return;
+
+        const indicator = document.createElement('span');
+        indicator.className = `sort-indicator${rank === 1 ? ' primary' : ''}`;
+        indicator.textContent = `${direction === 'asc' ? '▲' : '▼'}${rank === 2 ? '2' : ''}`;
+        th.appendChild(indicator);
+    });
+}
+
+// Add change listeners to the row checkboxes
+function addSelectionListeners(selection) {
+    if (!selection || typeof selection.onToggle !== 'function') return;
+    document.querySelectorAll('#recent-sessions-body .row-select').forEach(checkbox => {
+        checkbox.addEventListener('change', (e) => {
+            e.target.closest('tr').classList.toggle('selected', e.target.checked);
+            selection.onToggle(e.target.dataset.id, e.target.checked);
+        });
+    });
+}
+
+// Add change listeners to the billable checkboxes; sessions without the flag count as billable
+function addBillableListeners(refreshDashboardDataCallback) {
+    document.querySelectorAll('#recent-sessions-body .billable-toggle').forEach(checkbox => {
+        checkbox.addEventListener('change', async (e) => {
+            const id = e.target.dataset.id;
+            try {
+                await window.api.updateSession(id, 'billable', e.target.checked ? 'yes' : 'no');
+                if (typeof refreshDashboardDataCallback === 'function') {
+                    refreshDashboardDataCallback();
+                }
+            } catch (error) {
+                console.error(`[UI] Error updating billable flag (ID=${id}):`, error);
+                alert(`Failed to update session: ${error.message || 'Unknown error'}`);
+                e.target.checked = !e.target.checked;
+            }
+        });
+    });
+}
+
 // Add this new function for delete functionality
 function addDeleteListeners(refreshDashboardDataCallback) {
     document.querySelectorAll('#recent-sessions-body .btn-delete').forEach(button => {
@@ -289,5 +372,6 @@ function addDeleteListeners(refreshDashboardDataCallback) {
 
 export {
     setupTabs,
-    updateSessionsTable
+    updateSessionsTable,
+    updateSortIndicators
 };
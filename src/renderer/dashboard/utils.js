@@ -13,6 +13,25 @@ function formatMinutesToHoursMinutes(totalMinutes) {
   return `${hours}h ${minutes}m`;
 }
 
+/**
+ * Parses hours typed by the user: "1:30", "1.5", "1,5", "1h 30m", "90m" or "2h".
+ * @param {string} text - The typed value; empty means no time.
+ * @returns {number|null} Whole minutes, or null if the text isn't a duration.
+ */
+function parseHoursInput(text) {
+  const value = String(text ?? '').trim().toLowerCase();
+  if (value === '') return 0;
+  let match = value.match(/^(\d+):([0-5]\d)$/);
+  if (match) return Number(match[1]) * 60 + Number(match[2]);
+  match = value.match(/^(?:(\d+(?:[.,]\d+)?)\s*h)?\s*(?:(\d+)\s*m)?$/);
+  if (match && (match[1] || match[2])) {
+    return Math.round(Number((match[1] || '0').replace(',', '.')) * 60) + Number(match[2] || 0);
+  }
+  match = value.match(/^\d+(?:[.,]\d+)?$/);
+  if (match) return Math.round(Number(value.replace(',', '.')) * 60);
+  return null;
+}
+
 /**
  * Get YYYY-MM-DD strings for all days in a given year.
  * @param {number} year - The full year (e.g., 2024).
@@ -65,8 +84,54 @@ function getWeeksInYear(year) {
      return week; // Otherwise, the week of Dec 31st is the last week
 }
 
+/**
+ * Formats a Date as a local YYYY-MM-DD string, the format sessions store their date in.
+ * @param {Date} date - The date.
+ * @returns {string} e.g. "2024-01-31".
+ */
+function formatDateYYYYMMDD(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Escapes text for safe insertion into HTML.
+ * @param {*} text - The text to escape (non-strings are converted).
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Reads a session's tags. The tags column holds lowercase names separated by spaces, without '#'.
+ * @param {Object} session - The session object.
+ * @returns {Array<string>} Tag names.
+ */
+function getSessionTags(session) {
+    return String(session.tags || '').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Lists every tag used by the given sessions.
+ * @param {Array<Object>} sessions - Session objects.
+ * @returns {Array<string>} Sorted, unique tag names.
+ */
+function collectTags(sessions) {
+    return [...new Set(sessions.flatMap(getSessionTags))].sort();
+}
+
 export {
+    collectTags,
+    escapeHtml,
+    formatDateYYYYMMDD,
+    getSessionTags,
     formatMinutesToHoursMinutes,
+    parseHoursInput,
     getDaysInYear,
     getWeekNumber,
     getWeeksInYear
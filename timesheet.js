@@ -0,0 +1,78 @@
+// Timesheet window: picks a week or month and previews the printable timesheet built by the
+// main process (src/main/timesheet.js), which also writes the PDF and Markdown exports.
+import { formatDateYYYYMMDD, formatMinutesToHoursMinutes } from './src/renderer/dashboard/utils.js';
+
+const periodSelect = document.getElementById('timesheet-period');
+const dateInput = document.getElementById('timesheet-date');
+const summarySpan = document.getElementById('timesheet-summary');
+const preview = document.getElementById('timesheet-preview');
+const savePdfBtn = document.getElementById('save-timesheet-pdf-btn');
+const saveMarkdownBtn = document.getElementById('save-timesheet-markdown-btn');
+
+function getOptions() {
+    return { period: periodSelect.value, date: dateInput.value };
+}
+
+/** Builds the timesheet for the chosen week or month and shows it. */
+async function refreshTimesheet() {
+    try {
+        const { timesheet, html } = await window.api.buildTimesheet(getOptions());
+        preview.srcdoc = html;
+        summarySpan.textContent = `${timesheet.title}: ${formatMinutesToHoursMinutes(timesheet.total)} on ${timesheet.rows.length} project${timesheet.rows.length === 1 ? '' : 's'}`;
+    } catch (error) {
+        console.error('[Timesheet] Error building timesheet:', error);
+        preview.srcdoc = '';
+        summarySpan.textContent = error.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, '');
+    }
+}
+
+/**
+ * Moves the chosen date one week or month back or forward.
+ * @param {number} step - -1 for the previous period, 1 for the next.
+ */
+function shiftPeriod(step) {
+    const date = new Date(`${dateInput.value}T00:00:00`);
+    if (isNaN(date.getTime())) return;
+    if (periodSelect.value === 'week') {
+        date.setDate(date.getDate() + step * 7);
+    } else {
+        date.setDate(1); // Jan 31 + 1 month shouldn't land in March
+        date.setMonth(date.getMonth() + step);
+    }
+    dateInput.value = formatDateYYYYMMDD(date);
+    refreshTimesheet();
+}
+
+/**
+ * Saves the timesheet through a save dialog.
+ * @param {'pdf' | 'markdown'} format - The file format.
+ * @param {HTMLButtonElement} button - The button to disable while saving.
+ */
+async function saveTimesheet(format, button) {
+    button.disabled = true;
+    try {
+        const result = await window.api.saveTimesheet(getOptions(), format);
+        if (result.success) {
+            summarySpan.textContent = `Saved to ${result.filePath}`;
+        }
+    } catch (error) {
+        console.error(`[Timesheet] Error saving ${format}:`, error);
+        alert('Failed to save the timesheet: ' + error.message);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+dateInput.value = formatDateYYYYMMDD(new Date());
+periodSelect.addEventListener('change', refreshTimesheet);
+dateInput.addEventListener('change', refreshTimesheet);
+document.getElementById('timesheet-prev-btn').addEventListener('click', () => shiftPeriod(-1));
+document.getElementById('timesheet-next-btn').addEventListener('click', () => shiftPeriod(1));
+document.getElementById('timesheet-today-btn').addEventListener('click', () => {
+    dateInput.value = formatDateYYYYMMDD(new Date());
+    refreshTimesheet();
+});
+savePdfBtn.addEventListener('click', () => saveTimesheet('pdf', savePdfBtn));
+saveMarkdownBtn.addEventListener('click', () => saveTimesheet('markdown', saveMarkdownBtn));
+
+refreshTimesheet();
@@ -1,11 +1,13 @@
-const { Tray, Menu, app } = require('electron');
+const { Tray, Menu, Notification, app, dialog, powerMonitor } = require('electron');
 const path = require('path');
 const fsPromises = require('fs').promises; // For checking icon paths maybe
+const { buildProjectTree } = require('./src/main/project-tree');
 
 // --- Constants ---
 // It's good practice to check if icon files exist at startup
 const ICON_IDLE_PATH = path.join(__dirname, 'assets', 'icon-idle.png');
 const ICON_ACTIVE_PATH = path.join(__dirname, 'assets', 'icon-active.png');
+const IDLE_CHECK_INTERVAL_MS = 30 * 1000;
 
 // --- Module State ---
 let tray = null;
@@ -13,13 +15,36 @@ let isSessionActive = false;
 let currentProjectName = null; // Store only the name for the active session
 let sessionStartTime = null;
 let timerIntervalId = null;
+let isPaused = false;
+let pauseStartTime = null; // When the current pause began
+let pausedMs = 0; // Total time spent in completed pauses
+let pauseCount = 0;
+let focusBlockMinutes = null; // Block length for timed (focus) sessions, null for open-ended ones
+let focusBlockTimeoutId = null;
+let isFocusBlockComplete = false; // True while a finished block waits for its notes
+let breakEndTime = null; // Set while a break countdown is running
+let breakTimeoutId = null;
+let breakIntervalId = null;
+let idleCheckIntervalId = null;
+let idleStartTime = null; // Set once the machine has been idle past the threshold during a session
+let isIdlePromptOpen = false;
+let goalProgress = null; // Latest hour goal progress (see goals.js), shown in the tooltip
+const reachedGoalKeys = new Set(); // Goals already reached in their current period, so each is announced once
+
+const GOAL_PERIOD_PHRASES = { daily: 'today', weekly: 'this week', monthly: 'this month' };
 
 // Store functions passed from main.js
 let mainProcessApi = {
     loadProjects: async () => { console.warn('loadProjects API not provided to tray.js'); return []; },
     saveSession: async (sessionData) => { console.warn('saveSession API not provided to tray.js', sessionData); },
     showNotesDialog: async (dialogData) => { console.warn('showNotesDialog API not provided to tray.js'); return null; },
+    loadActiveSession: async () => { console.warn('loadActiveSession API not provided to tray.js'); return null; },
+    saveActiveSession: async (state) => { console.warn('saveActiveSession API not provided to tray.js', state); },
+    clearActiveSession: async () => { console.warn('clearActiveSession API not provided to tray.js'); },
+    loadSettings: async () => { console.warn('loadSettings API not provided to tray.js'); return {}; },
+    getGoalProgress: async () => { console.warn('getGoalProgress API not provided to tray.js'); return null; },
     createDashboardWindow: () => { console.warn('createDashboardWindow fn not provided to tray.js'); },
+    createTimesheetWindow: () => { console.warn('createTimesheetWindow fn not provided to tray.js'); },
     createProjectManagerWindow: () => { console.warn('createProjectManagerWindow fn not provided to tray.js'); },
 };
 
@@ -39,23 +64,148 @@ function formatDuration(ms) {
     return `${hours}h ${minutes}m`;
 }
 
+/**
+ * Time tracked in the current session so far, excluding paused time.
+ * @param {Date} [now] - The moment to measure up to.
+ * @returns {number} Duration in milliseconds.
+ */
+function getActiveDurationMs(now = new Date()) {
+    const currentPauseMs = isPaused ? now - pauseStartTime : 0;
+    return now - sessionStartTime - pausedMs - currentPauseMs;
+}
+
+/**
+ * Shows a native notification if the platform supports them.
+ * @param {string} title - Notification title.
+ * @param {string} body - Notification text.
+ */
+function showNotification(title, body) {
+    if (!Notification.isSupported()) {
+        console.log(`Notifications not supported, skipping: ${title}`);
+        return;
+    }
+    new Notification({ title, body }).show();
+}
+
+/**
+ * Formats an hour count with at most one decimal, e.g. 2 or 2.5.
+ * @param {number} hours - Hours.
+ * @returns {string} Formatted hours.
+ */
+function formatHours(hours) {
+    return String(Math.round(hours * 10) / 10);
+}
+
+/**
+ * Summarizes today's goal progress for the tooltip: the global daily goal, plus the
+ * running project's daily goal while a session is active.
+ * @returns {string} Progress text, or an empty string without daily goals.
+ */
+function getGoalTooltipText() {
+    if (!goalProgress) return '';
+    const parts = [];
+    if (goalProgress.global) {
+        parts.push(`Today ${formatHours(goalProgress.global.hours)}/${formatHours(goalProgress.global.goalHours)}h`);
+    }
+    const project = isSessionActive ? goalProgress.projects.find(p => p.name === currentProjectName) : null;
+    const dailyGoal = project && project.goals.find(goal => goal.period === 'daily');
+    if (dailyGoal) {
+        parts.push(`${project.name} ${formatHours(dailyGoal.hours)}/${formatHours(dailyGoal.goalHours)}h`);
+    }
+    return parts.join(', ');
+}
+
+/**
+ * Reloads goal progress (counting the running session) and refreshes the tooltip.
+ * Goals reached since the last check are remembered and, if asked, announced with a notification.
+ * @param {boolean} [notifyReached] - False to only record goals already met, e.g. at startup.
+ */
+async function refreshGoalProgress(notifyReached = false) {
+    try {
+        const activeSession = isSessionActive
+            ? { projectName: currentProjectName, startTime: sessionStartTime.toISOString(), minutes: Math.round(getActiveDurationMs() / 60000) }
+            : null;
+        goalProgress = await mainProcessApi.getGoalProgress({ activeSession });
+    } catch (error) {
+        console.error("Failed to load goal progress:", error);
+        return;
+    }
+    if (!goalProgress) return;
+
+    const reached = [];
+    if (goalProgress.global && goalProgress.global.hours >= goalProgress.global.goalHours) {
+        reached.push({
+            key: `${goalProgress.periodStarts.daily}:global:daily`,
+            text: `You've tracked ${formatHours(goalProgress.global.goalHours)}h today.`,
+        });
+    }
+    goalProgress.projects.forEach(project => project.goals.forEach(goal => {
+        if (goal.hours < goal.goalHours) return;
+        reached.push({
+            key: `${goalProgress.periodStarts[goal.period]}:${project.id}:${goal.period}`,
+            text: `${formatHours(goal.goalHours)}h on ${project.name} ${GOAL_PERIOD_PHRASES[goal.period]}.`,
+        });
+    }));
+    reached.forEach(goal => {
+        if (reachedGoalKeys.has(goal.key)) return;
+        reachedGoalKeys.add(goal.key);
+        if (notifyReached) showNotification('Goal reached', goal.text);
+    });
+
+    updateTrayIconAndTooltip();
+}
+
 /**
  * Updates the tray icon and tooltip based on session state.
  */
 async function updateTrayIconAndTooltip() {
     if (!tray) return;
     try {
-        const iconPath = isSessionActive ? ICON_ACTIVE_PATH : ICON_IDLE_PATH;
+        // Paused sessions and finished focus blocks show the idle icon so it's obvious time isn't being counted
+        const isCounting = isSessionActive && !isPaused && !isFocusBlockComplete;
+        const iconPath = isCounting ? ICON_ACTIVE_PATH : ICON_IDLE_PATH;
         // Optional: Check if file exists before setting
         await fsPromises.access(iconPath);
         tray.setImage(iconPath);
-        tray.setToolTip(isSessionActive ? `Tracking: ${currentProjectName}` : 'Juju Time Tracker');
+        let tooltip;
+        if (isSessionActive && isFocusBlockComplete) {
+            tooltip = `Focus block complete: ${currentProjectName}`;
+        } else if (isSessionActive) {
+            tooltip = isPaused ? `Paused: ${currentProjectName}` : `Tracking: ${currentProjectName}`;
+        } else if (breakEndTime) {
+            tooltip = `On break: ${formatDuration(breakEndTime - Date.now())} left`;
+        } else {
+            tooltip = 'Juju Time Tracker';
+        }
+        const goalText = getGoalTooltipText();
+        tray.setToolTip(goalText ? `${tooltip} · ${goalText}` : tooltip);
     } catch (error) {
         console.error(`Error setting tray icon (${isSessionActive ? 'active' : 'idle'}):`, error);
         // Fallback? Or just log the error.
     }
 }
 
+/**
+ * Turns the project tree into nested menu items. A project with children becomes a submenu
+ * that starts with the project itself, so clients and parent projects can still be tracked directly.
+ * @param {Array<Object>} nodes - Tree nodes from buildProjectTree.
+ * @param {Function} createItem - Builds the menu item that starts a given project.
+ * @returns {Array<Object>} Menu template items.
+ */
+function buildProjectMenuItems(nodes, createItem) {
+    return nodes.map(({ project, children }) => {
+        if (children.length === 0) return createItem(project);
+        return {
+            label: project.name,
+            submenu: [
+                createItem(project),
+                { type: 'separator' },
+                ...buildProjectMenuItems(children, createItem),
+            ],
+        };
+    });
+}
+
 /**
  * Builds and sets the tray's context menu based on current state and projects.
  */
@@ -63,6 +213,14 @@ async function updateTrayMenu() {
     if (!tray) return;
 
     let projects = [];
+    let settings = {};
+    try {
+        settings = await mainProcessApi.loadSettings();
+    } catch (error) {
+        console.error("Failed to load settings for tray menu:", error);
+    }
+    const blockLengths = Array.isArray(settings.focusBlockMinutes) ? settings.focusBlockMinutes : [];
+
     try {
         projects = await mainProcessApi.loadProjects(); // Get projects via main process API
         // Ensure projects are in the expected format {id: string, name: string}
@@ -74,25 +232,44 @@ async function updateTrayMenu() {
         console.error("Failed to load projects for tray menu:", error);
     }
 
-    // Create submenu items for starting a session
-    const projectMenuItems = projects.map(project => ({
+    // Archived projects keep their history but can't be started from the tray;
+    // their sub-projects move up a level in the menu
+    const projectNodes = buildProjectTree(projects.filter(project => !project.archived));
+
+    // Create submenu items for starting a session, grouped under clients and parent projects
+    const projectMenuItems = buildProjectMenuItems(projectNodes, project => ({
         label: project.name, // Expecting objects with name property
         click: () => {
             startSession(project.name); // Start session using the project name
         },
     }));
 
+    // Same projects again, each offering the configured focus block lengths
+    const timedProjectMenuItems = buildProjectMenuItems(projectNodes, project => ({
+        label: project.name,
+        submenu: blockLengths.length > 0
+            ? blockLengths.map(minutes => ({
+                label: `${minutes} min`,
+                click: () => startSession(project.name, { focusBlockMinutes: minutes }),
+            }))
+            : [{ label: 'No block lengths configured', enabled: false }],
+    }));
+
+    const sessionLabelDetails = [formatDuration(getActiveDurationMs())];
+    if (isSessionActive && focusBlockMinutes) sessionLabelDetails.push(`of ${focusBlockMinutes}m block`);
+    if (isPaused) sessionLabelDetails.push('paused');
+
     // Define menu template
     const menuTemplate = [
         isSessionActive
             ? { // Session is Active: Show Stop Button
-                label: `Stop Session (${currentProjectName} - ${formatDuration(Date.now() - sessionStartTime)})`,
+                label: `Stop Session (${currentProjectName} - ${sessionLabelDetails.join(', ')})`,
                 click: async () => {
                     try {
                         // Ask main process to show notes dialog
                         const notes = await mainProcessApi.showNotesDialog({
                             projectName: currentProjectName,
-                            durationMs: Date.now() - sessionStartTime
+                            durationMs: getActiveDurationMs()
                         });
                         // If notes dialog wasn't cancelled (returned null)
                         if (notes !== null) {
@@ -112,15 +289,31 @@ async function updateTrayMenu() {
                 label: 'Start Session',
                 submenu: projectMenuItems.length > 0 ? projectMenuItems : [{ label: 'No projects found', enabled: false }],
             },
+        ...(isSessionActive ? [{
+            label: isPaused ? 'Resume Session' : 'Pause Session',
+            enabled: !isFocusBlockComplete,
+            click: () => togglePause(),
+        }] : [{
+            label: 'Start Timed Session',
+            submenu: timedProjectMenuItems.length > 0 ? timedProjectMenuItems : [{ label: 'No projects found', enabled: false }],
+        }]),
+        ...(breakEndTime ? [
+            { label: `On Break (${formatDuration(breakEndTime - Date.now())} left)`, enabled: false },
+            { label: 'End Break', click: () => endBreak(false) },
+        ] : []),
         { type: 'separator' },
         {
             label: 'View Dashboard',
             click: () => mainProcessApi.createDashboardWindow(), // Use stored function
         },
+        {
+            label: 'View Timesheet',
+            click: () => mainProcessApi.createTimesheetWindow(),
+        },
         { type: 'separator' },
         {
             label: 'Quit Juju',
-            click: () => app.quit(),
+            click: () => handleQuit(),
         },
     ];
 
@@ -130,19 +323,147 @@ async function updateTrayMenu() {
 
 // --- Session Management Functions ---
 
+/**
+ * Mirrors the running session to disk so it survives quitting, crashes and reboots.
+ * lastSeenTime is refreshed every minute and serves as the end time if Juju dies unexpectedly.
+ */
+async function persistActiveSession() {
+    if (!isSessionActive) return;
+    try {
+        await mainProcessApi.saveActiveSession({
+            projectName: currentProjectName,
+            startTime: sessionStartTime.toISOString(),
+            lastSeenTime: new Date().toISOString(),
+            pausedMs,
+            pauseCount,
+            pauseStartTime: isPaused ? pauseStartTime.toISOString() : null,
+            focusBlockMinutes,
+        });
+    } catch (error) {
+        console.error("Failed to persist active session:", error);
+    }
+}
+
+/**
+ * Schedules the end of the current focus block from the tracked time still left in it.
+ * Paused time doesn't count, so this is re-run on every resume.
+ */
+function scheduleFocusBlockEnd() {
+    if (focusBlockTimeoutId) {
+        clearTimeout(focusBlockTimeoutId);
+        focusBlockTimeoutId = null;
+    }
+    if (!isSessionActive || !focusBlockMinutes || isPaused || isFocusBlockComplete) return;
+
+    const remainingMs = focusBlockMinutes * 60 * 1000 - getActiveDurationMs();
+    focusBlockTimeoutId = setTimeout(() => {
+        completeFocusBlock().catch(error => console.error("Failed to complete focus block:", error));
+    }, Math.max(0, remainingMs));
+}
+
+/**
+ * Finishes a timed session when its block runs out: notifies, asks for notes, saves it
+ * and starts the break countdown if breaks are enabled.
+ */
+async function completeFocusBlock() {
+    if (!isSessionActive || !focusBlockMinutes || isFocusBlockComplete) return;
+
+    const endTime = new Date();
+    const projectName = currentProjectName;
+    const blockMinutes = focusBlockMinutes;
+    focusBlockTimeoutId = null;
+    isFocusBlockComplete = true;
+    console.log(`Focus block of ${blockMinutes} minutes complete for ${projectName}`);
+
+    updateTrayMenu();
+    updateTrayIconAndTooltip();
+    showNotification('Focus block complete', `${blockMinutes} minutes on ${projectName} are done.`);
+
+    let notes = '';
+    try {
+        notes = await mainProcessApi.showNotesDialog({
+            projectName,
+            durationMs: getActiveDurationMs(endTime)
+        });
+    } catch (error) {
+        console.error("Error during notes dialog process:", error);
+    }
+    // The block is finished either way, so a cancelled dialog still saves it without notes
+    await endSession(notes || '', endTime);
+
+    let breakMinutes = 0;
+    try {
+        const settings = await mainProcessApi.loadSettings();
+        breakMinutes = Number(settings.breakMinutes) || 0;
+    } catch (error) {
+        console.error("Failed to load break length:", error);
+    }
+    if (breakMinutes > 0 && !isSessionActive) {
+        startBreak(breakMinutes);
+    }
+}
+
+/**
+ * Starts the break countdown shown in the tray after a focus block.
+ * @param {number} minutes - Length of the break.
+ */
+function startBreak(minutes) {
+    endBreak(false);
+    console.log(`Starting ${minutes} minute break`);
+    breakEndTime = new Date(Date.now() + minutes * 60 * 1000);
+    breakTimeoutId = setTimeout(() => endBreak(true), minutes * 60 * 1000);
+    breakIntervalId = setInterval(() => {
+        updateTrayMenu(); // Update remaining break time
+        updateTrayIconAndTooltip();
+    }, 60 * 1000);
+    updateTrayMenu();
+    updateTrayIconAndTooltip();
+}
+
+/**
+ * Stops the break countdown.
+ * @param {boolean} notify - Whether to tell the user the break is over (false when it's cut short).
+ */
+function endBreak(notify) {
+    if (!breakEndTime) return;
+    clearTimeout(breakTimeoutId);
+    clearInterval(breakIntervalId);
+    breakTimeoutId = null;
+    breakIntervalId = null;
+    breakEndTime = null;
+    if (notify) {
+        showNotification('Break over', 'Ready for the next focus block?');
+    }
+    updateTrayMenu();
+    updateTrayIconAndTooltip();
+}
+
 /**
  * Starts a tracking session for the given project name.
  * @param {string} projectName - The name of the project to track.
+ * @param {Object} [options]
+ * @param {Date} [options.startTime] - When the session started; defaults to now (set when resuming a persisted session).
+ * @param {number} [options.pausedMs] - Paused time carried over from a persisted session.
+ * @param {number} [options.pauseCount] - Pause count carried over from a persisted session.
+ * @param {Date} [options.pauseStartTime] - Set if the persisted session was paused when Juju closed.
+ * @param {number} [options.focusBlockMinutes] - Makes this a timed session that ends after this much tracked time.
  */
-function startSession(projectName) {
+function startSession(projectName, options = {}) {
     if (isSessionActive || !projectName) {
         return; // Don't start if already active or no project name
     }
 
     console.log(`Starting session for project: ${projectName}`);
+    endBreak(false); // Starting work cuts any break short
     currentProjectName = projectName;
     isSessionActive = true;
-    sessionStartTime = new Date(); // Record start time
+    sessionStartTime = options.startTime || new Date(); // Record start time
+    pausedMs = options.pausedMs || 0;
+    pauseCount = options.pauseCount || 0;
+    isPaused = Boolean(options.pauseStartTime);
+    pauseStartTime = isPaused ? options.pauseStartTime : null;
+    focusBlockMinutes = options.focusBlockMinutes || null;
+    isFocusBlockComplete = false;
 
     // Clear any existing interval just in case
     if (timerIntervalId) clearInterval(timerIntervalId);
@@ -150,64 +471,387 @@ function startSession(projectName) {
     // Update menu immediately and then every minute for duration update
     updateTrayMenu();
     updateTrayIconAndTooltip();
+    persistActiveSession();
+    refreshGoalProgress(); // Goals already met before this session aren't announced again
     timerIntervalId = setInterval(() => {
         updateTrayMenu(); // Update duration in menu
+        persistActiveSession(); // Refresh the recorded end time in case Juju doesn't exit cleanly
+        refreshGoalProgress(true); // Tooltip progress, and a notification once a goal is reached
     }, 60 * 1000); // Update every minute (60000 ms) is sufficient
+    scheduleFocusBlockEnd();
 
+    idleStartTime = null;
+    if (idleCheckIntervalId) clearInterval(idleCheckIntervalId);
+    idleCheckIntervalId = setInterval(() => {
+        checkIdle().catch(error => console.error("Idle check failed:", error));
+    }, IDLE_CHECK_INTERVAL_MS);
 }
 
 /**
  * Ends the current session and requests main process to save the data.
  * @param {string} notes - Notes for the session.
+ * @param {Date} [endTime] - When the session ended; defaults to now (a restored session uses its recorded end time).
  */
-async function endSession(notes) {
+async function endSession(notes, endTime = new Date()) {
     if (!isSessionActive) return;
 
     console.log(`Attempting to end session for: ${currentProjectName}`);
 
-    // Clear the update interval
-    if (timerIntervalId) {
-        clearInterval(timerIntervalId);
-        timerIntervalId = null;
+    // Stopping while paused closes the open pause at the end time
+    if (isPaused) {
+        pausedMs += Math.max(0, endTime - pauseStartTime);
     }
-
-    const endTime = new Date();
-    const durationMs = endTime - sessionStartTime;
+    const durationMs = endTime - sessionStartTime - pausedMs;
 
     // Prepare session data object
     const sessionData = {
         startTime: sessionStartTime.toISOString(),
         endTime: endTime.toISOString(),
-        durationMinutes: Math.round(durationMs / 60000),
+        durationMinutes: Math.max(0, Math.round(durationMs / 60000)),
         projectName: currentProjectName, // Send the name
         notes: notes || "", // Ensure notes is always a string
+        pauseCount,
+        pausedMinutes: Math.round(pausedMs / 60000),
+        focusBlockMinutes: isFocusBlockComplete ? focusBlockMinutes : null, // Only set when a timed session's block ran out
     };
 
     // Reset state *before* async save call (more responsive UI)
     const previouslyActiveProject = currentProjectName;
+    clearSessionState();
+
+    // Send data to main process to save
+    try {
+        await mainProcessApi.saveSession(sessionData);
+        console.log(`Session for ${previouslyActiveProject} ended and save request sent.`);
+        // Only forget the persisted session once it's safely saved; otherwise it's offered again on next launch
+        await mainProcessApi.clearActiveSession();
+        await refreshGoalProgress(true); // The last minutes of the session may complete a goal
+    } catch (error) {
+        console.error("Failed to send session data to main process for saving:", error);
+        // Maybe queue for later saving? Or notify user?
+    }
+}
+
+/**
+ * Ends the current session without saving it.
+ */
+async function discardSession() {
+    if (!isSessionActive) return;
+
+    console.log(`Discarding session for: ${currentProjectName}`);
+    clearSessionState();
+    try {
+        await mainProcessApi.clearActiveSession();
+    } catch (error) {
+        console.error("Failed to clear the discarded session:", error);
+    }
+}
+
+/**
+ * Stops the current session's timers, clears its state and shows the tray as idle.
+ */
+function clearSessionState() {
+    if (timerIntervalId) {
+        clearInterval(timerIntervalId);
+        timerIntervalId = null;
+    }
+    if (focusBlockTimeoutId) {
+        clearTimeout(focusBlockTimeoutId);
+        focusBlockTimeoutId = null;
+    }
+    if (idleCheckIntervalId) {
+        clearInterval(idleCheckIntervalId);
+        idleCheckIntervalId = null;
+    }
+    idleStartTime = null;
+
     isSessionActive = false;
     currentProjectName = null;
     sessionStartTime = null;
+    isPaused = false;
+    pauseStartTime = null;
+    pausedMs = 0;
+    pauseCount = 0;
+    focusBlockMinutes = null;
+    isFocusBlockComplete = false;
 
-    // Update UI immediately
     updateTrayMenu(); // Show 'Start Session' options
     updateTrayIconAndTooltip(); // Set idle icon
+}
 
-    // Send data to main process to save
+/**
+ * Pauses the running session, or resumes it if it's already paused.
+ * Time spent paused is left out of the saved duration.
+ */
+function togglePause() {
+    if (!isSessionActive || isFocusBlockComplete) return;
+
+    if (isPaused) {
+        pausedMs += Date.now() - pauseStartTime;
+        isPaused = false;
+        pauseStartTime = null;
+        console.log(`Resumed session for ${currentProjectName}`);
+    } else {
+        isPaused = true;
+        pauseStartTime = new Date();
+        pauseCount++;
+        idleStartTime = null; // Pausing by hand means the user is back, so there's nothing to ask about
+        console.log(`Paused session for ${currentProjectName}`);
+    }
+
+    updateTrayMenu();
+    updateTrayIconAndTooltip();
+    scheduleFocusBlockEnd();
+    persistActiveSession();
+}
+
+/**
+ * Reads the idle threshold from settings.
+ * @returns {Promise<number>} Threshold in minutes; 0 means idle detection is off.
+ */
+async function getIdleThresholdMinutes() {
     try {
-        await mainProcessApi.saveSession(sessionData);
-        console.log(`Session for ${previouslyActiveProject} ended and save request sent.`);
+        const settings = await mainProcessApi.loadSettings();
+        return Number(settings.idleThresholdMinutes) || 0;
     } catch (error) {
-        console.error("Failed to send session data to main process for saving:", error);
-        // Maybe queue for later saving? Or notify user?
+        console.error("Failed to load idle threshold:", error);
+        return 0;
+    }
+}
+
+/**
+ * Polls the system idle time during a running session. Notes when the machine went idle
+ * past the threshold, and asks what to do with that time once the user is back.
+ */
+async function checkIdle() {
+    if (!isSessionActive || isPaused || isFocusBlockComplete || isIdlePromptOpen) return;
+
+    const idleSeconds = powerMonitor.getSystemIdleTime();
+    const now = Date.now();
+
+    if (!idleStartTime) {
+        const thresholdMinutes = await getIdleThresholdMinutes();
+        if (thresholdMinutes > 0 && idleSeconds >= thresholdMinutes * 60) {
+            // Idle time started before the session? Then the whole session so far was idle.
+            idleStartTime = new Date(Math.max(now - idleSeconds * 1000, sessionStartTime.getTime()));
+            console.log(`Idle since ${idleStartTime.toISOString()} during session for ${currentProjectName}`);
+        }
+    } else if (idleSeconds * 1000 < IDLE_CHECK_INTERVAL_MS) {
+        // Input since the last check: the user is back
+        await handleReturnFromIdle(new Date(now - idleSeconds * 1000));
+    }
+}
+
+/**
+ * Treats sleep and screen lock as idle time from the moment they happen.
+ */
+function handleSystemAway() {
+    if (isSessionActive && !isPaused && !isFocusBlockComplete && !idleStartTime) {
+        idleStartTime = new Date();
+        console.log(`System asleep or locked during session for ${currentProjectName}`);
+    }
+}
+
+/**
+ * Prompts about idle time after the machine wakes or unlocks, if the absence passed the threshold.
+ */
+async function handleSystemBack() {
+    if (!idleStartTime || isIdlePromptOpen) return;
+    const thresholdMinutes = await getIdleThresholdMinutes();
+    if (thresholdMinutes <= 0 || Date.now() - idleStartTime < thresholdMinutes * 60 * 1000) {
+        idleStartTime = null; // Too short to ask about
+        return;
+    }
+    await handleReturnFromIdle(new Date());
+}
+
+/**
+ * Asks whether to keep, drop or split off the idle stretch of the running session.
+ * @param {Date} returnTime - When the user came back.
+ */
+async function handleReturnFromIdle(returnTime) {
+    if (!isSessionActive || !idleStartTime || isIdlePromptOpen) return;
+
+    const idleStart = idleStartTime;
+    const projectName = currentProjectName;
+    const promptedSessionStart = sessionStartTime;
+    isIdlePromptOpen = true;
+    let response;
+    try {
+        ({ response } = await dialog.showMessageBox({
+            type: 'question',
+            buttons: ['Keep Idle Time', 'Drop Idle Time', 'Split Into Separate Session'],
+            defaultId: 0,
+            cancelId: 0,
+            title: 'Welcome Back',
+            message: `You were idle for ${formatDuration(returnTime - idleStart)} while tracking "${projectName}".`,
+            detail: `Idle since ${idleStart.toLocaleTimeString()}.\n\n` +
+                'Drop ends the session when you went idle. ' +
+                'Split saves the idle time as its own session, without a project, and keeps tracking from now.',
+        }));
+    } finally {
+        isIdlePromptOpen = false;
+        idleStartTime = null;
+    }
+
+    // The session may have been stopped, or its focus block finished, while the prompt was open
+    if (!isSessionActive || sessionStartTime !== promptedSessionStart || isFocusBlockComplete) return;
+
+    if (response === 0) { // Keep
+        console.log(`Keeping idle time for ${projectName}`);
+        return;
+    }
+
+    // Idle since the session started: there's no work before the idle time to save
+    const idleFromStart = idleStart <= promptedSessionStart;
+    let notes = '';
+    if (!idleFromStart) {
+        notes = null;
+        try {
+            notes = await mainProcessApi.showNotesDialog({
+                projectName,
+                durationMs: getActiveDurationMs(idleStart)
+            });
+        } catch (error) {
+            console.error("Error during notes dialog process:", error);
+        }
+        if (notes === null) { // Cancelled: carry on tracking as if the idle time were kept
+            console.log(`Notes dialog cancelled, keeping idle time for ${projectName}`);
+            return;
+        }
+        if (!isSessionActive || sessionStartTime !== promptedSessionStart || isFocusBlockComplete) return;
+    }
+
+    // A timed session carries on with what was left of its block when the user went idle
+    const remainingBlockMs = focusBlockMinutes ? focusBlockMinutes * 60 * 1000 - getActiveDurationMs(idleStart) : 0;
+    if (idleFromStart) {
+        await discardSession();
+    } else {
+        await endSession(notes, idleStart);
+    }
+
+    if (response === 2) { // Split
+        try {
+            // Saved without a project so it isn't counted as work on the project
+            await mainProcessApi.saveSession({
+                startTime: idleStart.toISOString(),
+                endTime: returnTime.toISOString(),
+                durationMinutes: Math.round((returnTime - idleStart) / 60000),
+                projectName: '',
+                notes: `Idle time while tracking ${projectName}`,
+            });
+        } catch (error) {
+            console.error("Failed to save idle time as a separate session:", error);
+        }
+        startSession(projectName, {
+            startTime: returnTime,
+            focusBlockMinutes: remainingBlockMs > 0 ? Math.ceil(remainingBlockMs / 60000) : null,
+        });
+    }
+}
+
+/**
+ * Offers to resume, save or discard a session that was still running when Juju last exited.
+ */
+async function restorePersistedSession() {
+    const persisted = await mainProcessApi.loadActiveSession();
+    if (!persisted) return;
+
+    const startTime = new Date(persisted.startTime);
+    const lastSeenTime = new Date(persisted.lastSeenTime || persisted.startTime);
+    const recordedEndTime = lastSeenTime > startTime ? lastSeenTime : startTime;
+    const pauseState = {
+        pausedMs: Number(persisted.pausedMs) || 0,
+        pauseCount: Number(persisted.pauseCount) || 0,
+        pauseStartTime: persisted.pauseStartTime ? new Date(persisted.pauseStartTime) : null,
+    };
+    const recordedPauseMs = pauseState.pausedMs +
+        (pauseState.pauseStartTime ? Math.max(0, recordedEndTime - pauseState.pauseStartTime) : 0);
+    console.log(`Found persisted session for ${persisted.projectName} started at ${startTime.toISOString()}`);
+
+    const { response } = await dialog.showMessageBox({
+        type: 'question',
+        buttons: ['Resume', 'Save', 'Discard'],
+        defaultId: 0,
+        cancelId: 0,
+        title: 'Unfinished Session',
+        message: `A session for "${persisted.projectName}" was still running when Juju closed.`,
+        detail: `Started ${startTime.toLocaleString()}, last recorded ${recordedEndTime.toLocaleString()} ` +
+            `(${formatDuration(recordedEndTime - startTime - recordedPauseMs)} tracked).\n\n` +
+            'Resume keeps tracking from the original start time. Save ends it at the last recorded time.',
+    });
+
+    if (response === 0) { // Resume
+        startSession(persisted.projectName, {
+            startTime,
+            ...pauseState,
+            focusBlockMinutes: Number(persisted.focusBlockMinutes) || null,
+        });
+    } else if (response === 1) { // Save
+        isSessionActive = true;
+        currentProjectName = persisted.projectName;
+        sessionStartTime = startTime;
+        pausedMs = pauseState.pausedMs;
+        pauseCount = pauseState.pauseCount;
+        isPaused = Boolean(pauseState.pauseStartTime);
+        pauseStartTime = pauseState.pauseStartTime;
+        focusBlockMinutes = Number(persisted.focusBlockMinutes) || null;
+        const notes = await mainProcessApi.showNotesDialog({
+            projectName: persisted.projectName,
+            durationMs: recordedEndTime - startTime - recordedPauseMs
+        });
+        await endSession(notes, recordedEndTime); // A cancelled dialog still saves, just without notes
+    } else { // Discard
+        console.log(`Discarding persisted session for ${persisted.projectName}.`);
+        await mainProcessApi.clearActiveSession();
     }
 }
 
+/**
+ * Quits Juju, first asking what to do with a running session.
+ */
+async function handleQuit() {
+    if (!isSessionActive) {
+        app.quit();
+        return;
+    }
+
+    const { response } = await dialog.showMessageBox({
+        type: 'question',
+        buttons: ['Stop & Save', 'Resume Next Launch', 'Discard', 'Cancel'],
+        defaultId: 0,
+        cancelId: 3,
+        title: 'Session Running',
+        message: `A session for "${currentProjectName}" is still running (${formatDuration(getActiveDurationMs())}).`,
+        detail: 'What should happen to it before Juju quits?',
+    });
+
+    if (response === 0) { // Stop & Save
+        const notes = await mainProcessApi.showNotesDialog({
+            projectName: currentProjectName,
+            durationMs: getActiveDurationMs()
+        });
+        if (notes === null) {
+            console.log("Notes dialog cancelled, not quitting.");
+            return;
+        }
+        await endSession(notes);
+    } else if (response === 1) { // Resume Next Launch
+        await persistActiveSession();
+    } else if (response === 2) { // Discard
+        await mainProcessApi.clearActiveSession();
+    } else { // Cancel
+        return;
+    }
+    app.quit();
+}
+
 // --- Main Exported Function ---
 
 /**
  * Creates the system tray icon and menu.
- * @param {Object} api - Functions provided by main.js { loadProjects, saveSession, showNotesDialog, createDashboardWindow, createProjectManagerWindow }
+ * @param {Object} api - Functions provided by main.js { loadProjects, saveSession, showNotesDialog, createDashboardWindow, createTimesheetWindow, createProjectManagerWindow,
+ *                       loadActiveSession, saveActiveSession, clearActiveSession, loadSettings, getGoalProgress }
  * @returns {Tray | null} The created Tray instance or null if failed.
  */
 async function createTray(api) {
@@ -219,7 +863,10 @@ async function createTray(api) {
     // Store the provided API functions
     if (!api || typeof api.loadProjects !== 'function' || typeof api.saveSession !== 'function' ||
         typeof api.showNotesDialog !== 'function' || typeof api.createDashboardWindow !== 'function' ||
-        typeof api.createProjectManagerWindow !== 'function') {
+        typeof api.createTimesheetWindow !== 'function' ||
+        typeof api.createProjectManagerWindow !== 'function' || typeof api.loadActiveSession !== 'function' ||
+        typeof api.saveActiveSession !== 'function' || typeof api.clearActiveSession !== 'function' ||
+        typeof api.loadSettings !== 'function' || typeof api.getGoalProgress !== 'function') {
             console.error("createTray requires an API object with necessary functions from main.js");
             return null; // Cannot create tray without API
         }
@@ -241,11 +888,22 @@ async function createTray(api) {
             tray.popUpContextMenu(); // Show menu on right-click
         });
 
+        // Sleep and screen lock count as idle time for a running session
+        powerMonitor.on('suspend', handleSystemAway);
+        powerMonitor.on('lock-screen', handleSystemAway);
+        powerMonitor.on('resume', () => handleSystemBack().catch(error => console.error("Idle prompt failed:", error)));
+        powerMonitor.on('unlock-screen', () => handleSystemBack().catch(error => console.error("Idle prompt failed:", error)));
+
         // Build and set the initial menu
         await updateTrayMenu();
         await updateTrayIconAndTooltip(); // Set initial icon state
+        await refreshGoalProgress(); // Today's progress for the tooltip
 
         console.log("Tray created successfully.");
+
+        // Offer to pick up a session left running by a quit, crash or reboot (don't block tray creation on the dialog)
+        restorePersistedSession().catch(error => console.error("Failed to restore persisted session:", error));
+
         return tray; // Return the Tray instance to main.js
 
     } catch (error) {
@@ -259,4 +917,4 @@ async function createTray(api) {
 }
 
 // --- Export ---
-module.exports = { createTray }; // Correctly exporting the function
\ No newline at end of file
+module.exports = { createTray, togglePause }; // Correctly exporting the function
\ No newline at end of file